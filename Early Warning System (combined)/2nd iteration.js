@@ -1,31 +1,128 @@
 // ===========================================================================================
 // EARLY WARNING SYSTEM: DISTRICT-LEVEL WEATHER ANOMALIES IN PAKISTAN
 // 2nd Iteration: Custom Thresholds, Per-Day Standardization, Enhanced District Info
-// Single Map with 3 Toggleable Layers (Past 90-Day, 16-Day Forecast, Combined)
+// Single Map with 3 Toggleable Layers (Past N-Day, M-Day Forecast, Combined) + Hazard Layers
+// (SPI drought and extreme rainfall for precipitation, heatwave warning for temperature)
+// and a Warning Level Layer (Normal / Watch / Warning / Alert) from configurable rules,
+// plus a Compound Flood Risk Layer (antecedent wetness × forecast heavy rain) and, optionally,
+// Ensemble Layers (lagged GFS runs + configured models: mean and threshold probabilities).
+// Runs over every district (optionally rolled up to divisions / provinces) or over one custom
+// area drawn on the map or loaded from a table asset, with its baseline taken from ERA5-Land.
+// Dated runs archived by the scheduled job (Scheduled runs/) can be replayed on a time slider.
 // ===========================================================================================
 
+// --- SHARED MODULES ---
+var engine = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/anomaly_engine');
+var spi = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/spi');
+var extremes = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/extremes');
+var levels = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/warning_levels');
+var floodRisk = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/flood_risk');
+var ensemble = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/ensemble');
+var resultsExport = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/results_export');
+var bulletin = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/bulletin');
+var adminLevels = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/admin_levels');
+var resultCache = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/result_cache');
+var pipeline = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/pipeline');
+var runArchive = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/run_archive');
+
 // --- DATA SOURCES ---
 var pakistanDistricts = ee.FeatureCollection('projects/ee-mustafaasghar66/assets/gadm36_PAK_3');
 var dataFC = ee.FeatureCollection('projects/ee-mustafaasghar66/assets/Pakistan_Climate_2014_2024');
 
 // --- CONFIGURATION ---
 var today = ee.Date(Date.now());
-var forecastEndDate = today.advance(16, 'day');
-var MONTHS_TO_INCLUDE = 3; // Fixed at 90 days (3 months)
-var PAST_DAYS = 90;
-var FORECAST_DAYS = 16;
+// Selectable horizons (days); monthly past mode uses (past days / 30) whole months
+var PAST_DAYS_OPTIONS = [30, 60, 90, 180];
+var FORECAST_DAYS_OPTIONS = [3, 7, 10, 16];
+var DEFAULT_PAST_DAYS = 90;
+var DEFAULT_FORECAST_DAYS = 16;
+var DEFAULT_SPI_SCALE = 3;
+var SPI_CHART_YEARS = 10; // months shown in the district SPI chart = SPI_CHART_YEARS * 12
+var HEATWAVE_COLOR = '#d7301f';
+var RAINFALL_ALERT_COLOR = '#6a3d9a';
+var DEFAULT_RETURN_PERIOD = 5; // years
+var ENSEMBLE_RUN_OPTIONS = [0, 2, 4, 8]; // GFS runs in the lagged ensemble (0 = deterministic only)
+var PROBABILITY_ABOVE_PALETTE = ['#fff5f0', '#fcbba1', '#fb6a4a', '#cb181d', '#67000d'];
+var PROBABILITY_BELOW_PALETTE = ['#f7fbff', '#c6dbef', '#6baed6', '#2171b5', '#08306b'];
+var RUN_HISTORY_RUNS = 8; // recent GFS runs in the district run-to-run chart (6-hourly, so 48 h)
+// Run-to-run changes within this much (mm/day or °C; σ in standardized mode) count as steady
+var RUN_TREND_TOLERANCE = {absolute: 0.5, standardized: 0.1};
+
+// Results export: Cloud Storage bucket to use instead of Drive (empty = Drive), and how much
+// district outlines are simplified for the in-app GeoJSON download (m)
+var EXPORT_BUCKET = '';
+var DOWNLOAD_SIMPLIFY_METERS = 500;
+
+// Province bulletin: ranked table length options and the map thumbnail size (px, long side)
+var BULLETIN_TOP_N_OPTIONS = [5, 10, 15, 20];
+var BULLETIN_THUMB_PIXELS = 900;
+
+// Other forecast models to add to the ensemble. Each collection needs images stamped with their
+// valid time (system:time_start), a precipitation band in mm per image and a temperature band in °C.
+// e.g. {label: 'ECMWF IFS', collection: ee.ImageCollection('projects/.../ifs_daily'),
+//       precipitationBand: 'tp_mm', temperatureBand: 't2m_c', scale: 9000}
+var EXTRA_FORECAST_SOURCES = [];
+
+// Result cache: per-district results are reused while the GFS run and ERA5 window stay the same.
+// Set a folder (e.g. 'projects/ee-mustafaasghar66/assets/ews_cache') to also save each run as
+// a table asset (export task) and reload it in later sessions; empty = memory only.
+var RESULT_CACHE_FOLDER = '';
+var RESULT_CACHE_RUNS = 4; // runs kept in memory
+
+// Asset folder the scheduled job writes its dated results tables to (its assetFolder setting)
+var ARCHIVE_FOLDER = 'projects/ee-mustafaasghar66/assets/ews_archive';
 
-// 1. GFS DATASET (Future 16-day forecast)
+// Custom analysis area (a drawn polygon or a table asset, e.g. a river catchment): it runs
+// through the app as a single "district" whose baseline is built from ERA5-Land
+var CUSTOM_AREA = 'custom';
+var DEFAULT_AREA_NAME = 'Custom area';
+var CUSTOM_AREA_LEVEL = {level: adminLevels.DISTRICT_LEVEL, field: 'NAME_3', label: 'Area', plural: 'Areas', custom: true};
+
+// Warning level rules per parameter and anomaly mode (see Shared modules/warning_levels for the
+// rule format); replace with a custom {precipitation: {...}, temperature: {...}} object to retune
+var WARNING_RULES = levels.DEFAULT_RULE_SETS;
+
+// 1. GFS DATASET (Future, up to 16 days)
 var gfsDataset = ee.ImageCollection('NOAA/GFS0P25')
   .filterDate(today.advance(-1, 'day'), today.advance(1, 'day'))
   .filter(ee.Filter.lte('forecast_hours', 384))
   .filter(ee.Filter.gte('forecast_hours', 0));
 
-// 2. ERA5 DATASET (Past) - Last 3 months available
+// 2. ERA5 DATASET (Past) - Latest complete months available
 var era5Dataset = ee.ImageCollection("ECMWF/ERA5_LAND/MONTHLY_AGGR")
   .select(["total_precipitation_sum", "temperature_2m"])
   .filterDate("2020-01-01", today); 
-var latestEra5Images = era5Dataset.sort('system:time_start', false).limit(3);
+
+// Baseline period of Pakistan_Climate_2014_2024; per-month standard deviations are
+// computed from the same ERA5-Land months when the table lacks the *_sd_* attributes
+var BASELINE_START_YEAR = 2014;
+var BASELINE_END_YEAR = 2024;
+var era5BaselineDataset = ee.ImageCollection("ECMWF/ERA5_LAND/MONTHLY_AGGR")
+  .select(["total_precipitation_sum", "temperature_2m"])
+  .filterDate(ee.Date.fromYMD(BASELINE_START_YEAR, 1, 1), ee.Date.fromYMD(BASELINE_END_YEAR + 1, 1, 1));
+
+// 3. ERA5 DAILY DATASET (Past, daily mode) - exact N days up to the latest available day
+var era5DailyDataset = ee.ImageCollection("ECMWF/ERA5_LAND/DAILY_AGGR")
+  .select(["total_precipitation_sum", "temperature_2m"])
+  .filterDate(today.advance(-1, 'year'), today);
+
+// 4. ERA5 MONTHLY RECORD (SPI drought layer) - same record the Historical anomalies script loads
+var era5SpiDataset = spi.eeMonthlyPrecipMm(ee.ImageCollection("ECMWF/ERA5_LAND/MONTHLY_AGGR")
+  .filterDate(ee.Date.fromYMD(spi.SPI_RECORD_START_YEAR, 1, 1), today));
+
+// 5. ERA5 DAILY MAXIMA (heatwave percentile thresholds over the baseline years)
+var era5DailyMaxDataset = ee.ImageCollection("ECMWF/ERA5_LAND/DAILY_AGGR");
+
+// 6. ERA5 SOIL MOISTURE (optional flood risk component) - latest daily top layer vs monthly baseline
+var era5SoilDailyDataset = ee.ImageCollection("ECMWF/ERA5_LAND/DAILY_AGGR")
+  .select(floodRisk.SOIL_BAND)
+  .filterDate(today.advance(-2, 'month'), today);
+var era5SoilMonthlyDataset = ee.ImageCollection("ECMWF/ERA5_LAND/MONTHLY_AGGR").select(floodRisk.SOIL_BAND);
+
+// 7. GFS LAGGED ENSEMBLE / RUN HISTORY - the last few days of runs, so up to 8 runs (48 h) are available
+var gfsEnsembleDataset = ee.ImageCollection('NOAA/GFS0P25')
+  .filterDate(today.advance(-3, 'day'), today.advance(1, 'day'))
+  .filter(ee.Filter.lte('forecast_hours', 384));
 
 // Global UI Variables
 var loadingLabel = null;
@@ -33,6 +130,13 @@ var loadingPanel = null;
 var districtInfoPanel = null;
 var districtInfoTitle = null;
 var panelDistrictWidgets = [];
+var warningSummaryWidgets = [];
+var exportWidgets = [];
+var bulletinWidgets = [];
+var bulletinLayers = []; // layers of the current map the bulletin can show (set in createSingleMapWithLayers)
+var districtCache = resultCache.createCache(RESULT_CACHE_RUNS);
+var lastRun = null; // raw features and settings of the map on screen, for recolouring
+var replayState = null; // {runs, index, date} while an archived run is on screen
 var keepRotating = true;
 var districtLoadingSymbol = null;
 var mainMap = null;
@@ -43,7 +147,7 @@ var currentBlueThreshold = -5; // Default: -5 mm/day for precipitation
 
 print("Today's date:", today);
 print("Early Warning System: 2nd Iteration");
-print("Analysis Period: Past 90 days + 16-day forecast");
+print("Analysis Period: Past " + DEFAULT_PAST_DAYS + " days + " + DEFAULT_FORECAST_DAYS + "-day forecast (selectable)");
 print("Values shown in per-day units");
 
 
@@ -67,12 +171,24 @@ panel.add(ui.Label({
 panel.add(ui.Label({
   value: 'This early warning system uses global datasets (ERA5 + GFS) to detect weather anomalies at the district level.\n\n' +
        'The map displays three toggleable layers:\n\n' +
-       '• Layer 1: Past 90-Day Anomaly (per day)\n' +
-       '   Daily deviation of last 3 months from baseline\n\n' +
-       '• Layer 2: 16-Day Forecast Anomaly (per day)\n' +
+       '• Layer 1: Past Anomaly (per day)\n' +
+       '   Daily deviation of the past window (whole months, or\n   exact days in daily mode) from baseline\n\n' +
+       '• Layer 2: Forecast Anomaly (per day)\n' +
        '   Daily deviation of upcoming forecast from baseline\n\n' +
        '• Layer 3: Combined Anomaly (per day)\n' +
        '   Average of past and forecast daily deviations\n\n' +
+       '• Layer 4: SPI Drought (precipitation)\n' +
+       '   Standardized Precipitation Index in WMO categories\n\n' +
+       '• Layer 5: Extreme Rainfall Alert (precipitation)\n' +
+       '   Peak 24 h / 72 h / 7-day forecast totals above\n   return-period thresholds\n\n' +
+       '• Layer 6: Compound Flood Risk (precipitation)\n' +
+       '   Forecast heavy rain × antecedent wetness (past\n   rainfall, optionally soil moisture)\n\n' +
+       '• Layer 7: Heatwave Warning (temperature)\n' +
+       '   ' + extremes.HEATWAVE_MIN_DAYS + '+ forecast days with daily max above threshold\n\n' +
+       '• Layer 8: Warning Levels\n' +
+       '   Normal / Watch / Warning / Alert from rules on the\n   anomalies and hazard flags above\n\n' +
+       '• Layers 9-11: Forecast Ensemble (when enabled)\n' +
+       '   Ensemble mean anomaly and the probability of an\n   anomaly beyond the red / blue thresholds\n\n' +
        'Use the layer controls (top right of map) to toggle layers on/off.',
   style: { fontSize: '13px', margin: '0 0 20px 0', whiteSpace: 'pre-line', color: '#555' }
 }));
@@ -92,6 +208,68 @@ var parameterSelect = ui.Select({
 });
 panel.add(parameterSelect);
 
+// Anomaly units: raw difference, or standardized by each district's monthly spread
+panel.add(ui.Label('Anomaly Units:', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var anomalyModeSelect = ui.Select({
+  items: [
+    {label: 'Absolute difference (mm/day or °C)', value: 'absolute'},
+    {label: 'Standardized anomaly (z-score, σ)', value: 'standardized'}
+  ],
+  value: 'absolute',
+  style: { margin: '0 0 15px 0', width: '340px' },
+  onChange: function() {
+    updateThresholdDropdowns(parameterSelect.getValue());
+  }
+});
+panel.add(anomalyModeSelect);
+
+// Administrative level: anomalies are computed per district, then area-weighted up to divisions / provinces
+panel.add(ui.Label('Administrative Level:', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var adminLevelSelect = ui.Select({
+  items: adminLevels.LEVELS.map(function(l) {
+    return {label: l.plural + ' (' + l.field + ')', value: l.level};
+  }),
+  value: adminLevels.DISTRICT_LEVEL,
+  style: { margin: '0 0 15px 0', width: '340px' }
+});
+panel.add(adminLevelSelect);
+
+// Analysis area: every district, or one custom area drawn on the map / loaded from a table asset
+panel.add(ui.Label('Analysis Area:', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var areaSelect = ui.Select({
+  items: [
+    {label: 'Pakistan districts', value: 'districts'},
+    {label: 'Custom area: drawn polygon or table asset', value: CUSTOM_AREA}
+  ],
+  value: 'districts',
+  style: { margin: '0 0 10px 0', width: '340px' },
+  onChange: function(value) {
+    var custom = value === CUSTOM_AREA;
+    areaHint.style().set('shown', custom);
+    areaAssetBox.style().set('shown', custom);
+    areaNameBox.style().set('shown', custom);
+    adminLevelSelect.setDisabled(custom);
+  }
+});
+panel.add(areaSelect);
+
+var areaHint = ui.Label('Draw a polygon with the map drawing tools (top left), or enter a table asset id (e.g. an uploaded GeoJSON / shapefile). The baseline is computed from ERA5-Land ' +
+  BASELINE_START_YEAR + '-' + BASELINE_END_YEAR + ' for the area itself.',
+  {fontSize: '11px', color: '#666', margin: '0 0 5px 0', shown: false});
+panel.add(areaHint);
+
+var areaAssetBox = ui.Textbox({
+  placeholder: 'Table asset id (empty = use the drawn polygon)',
+  style: { margin: '0 0 5px 0', width: '340px', shown: false }
+});
+panel.add(areaAssetBox);
+
+var areaNameBox = ui.Textbox({
+  placeholder: 'Area name, e.g. Swat catchment',
+  style: { margin: '0 0 15px 0', width: '340px', shown: false }
+});
+panel.add(areaNameBox);
+
 // --- CUSTOM COLOR THRESHOLD DROPDOWNS ---
 var thresholdsTitle = ui.Label('Set Anomaly Color Thresholds (precipitation/day or total °C):', 
   {fontWeight: 'bold', fontSize: '13px', margin: '10px 0 5px 0'});
@@ -118,6 +296,7 @@ var redThresholdSelect = ui.Select({
   style: { margin: '0 0 10px 0', width: '340px' },
   onChange: function(value) {
     currentRedThreshold = value;
+    recolourLastRun();
   }
 });
 panel.add(redThresholdSelect);
@@ -140,13 +319,37 @@ var blueThresholdSelect = ui.Select({
   style: { margin: '0 0 15px 0', width: '340px' },
   onChange: function(value) {
     currentBlueThreshold = value;
+    recolourLastRun();
   }
 });
 panel.add(blueThresholdSelect);
 
-// Function to update threshold dropdown options based on parameter
+// Function to update threshold dropdown options based on parameter and anomaly units.
+// The new defaults are set without firing onChange, so the map is recoloured once at the end.
 function updateThresholdDropdowns(parameter) {
-  if (parameter === 'precipitation') {
+  if (anomalyModeSelect.getValue() === 'standardized') {
+    // Standardized thresholds are the same for both parameters
+    thresholdsTitle.setValue('Set Anomaly Color Thresholds (standard deviations):');
+    redThresholdSelect.items().reset([
+      {label: '+0.5 σ', value: 0.5},
+      {label: '+1 σ', value: 1},
+      {label: '+1.5 σ', value: 1.5},
+      {label: '+2 σ', value: 2},
+      {label: '+3 σ', value: 3}
+    ]);
+    redThresholdSelect.setValue(1.5, false);
+    currentRedThreshold = 1.5;
+    
+    blueThresholdSelect.items().reset([
+      {label: '-0.5 σ', value: -0.5},
+      {label: '-1 σ', value: -1},
+      {label: '-1.5 σ', value: -1.5},
+      {label: '-2 σ', value: -2},
+      {label: '-3 σ', value: -3}
+    ]);
+    blueThresholdSelect.setValue(-1.5, false);
+    currentBlueThreshold = -1.5;
+  } else if (parameter === 'precipitation') {
     thresholdsTitle.setValue('Set Anomaly Color Thresholds (per day):');
     redThresholdSelect.items().reset([
       {label: '+1 mm/day', value: 1},
@@ -156,7 +359,7 @@ function updateThresholdDropdowns(parameter) {
       {label: '+15 mm/day', value: 15},
       {label: '+20 mm/day', value: 20}
     ]);
-    redThresholdSelect.setValue(5);
+    redThresholdSelect.setValue(5, false);
     currentRedThreshold = 5;
     
     blueThresholdSelect.items().reset([
@@ -167,7 +370,7 @@ function updateThresholdDropdowns(parameter) {
       {label: '-15 mm/day', value: -15},
       {label: '-20 mm/day', value: -20}
     ]);
-    blueThresholdSelect.setValue(-5);
+    blueThresholdSelect.setValue(-5, false);
     currentBlueThreshold = -5;
   } else {
     // Temperature thresholds (absolute difference from baseline)
@@ -179,7 +382,7 @@ function updateThresholdDropdowns(parameter) {
       {label: '+20 °C', value: 20},
       {label: '+40 °C', value: 40}
     ]);
-    redThresholdSelect.setValue(2);
+    redThresholdSelect.setValue(2, false);
     currentRedThreshold = 2;
     
     blueThresholdSelect.items().reset([
@@ -190,23 +393,129 @@ function updateThresholdDropdowns(parameter) {
       {label: '-20 °C', value: -20},
       {label: '-40 °C', value: -40}
     ]);
-    blueThresholdSelect.setValue(-2);
+    blueThresholdSelect.setValue(-2, false);
     currentBlueThreshold = -2;
   }
+  recolourLastRun();
 }
 
+// Past window source
+panel.add(ui.Label('Past Window Source:', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var pastModeSelect = ui.Select({
+  items: [
+    {label: 'Monthly: latest complete months (ERA5-Land monthly)', value: 'monthly'},
+    {label: 'Daily: exact last N days (ERA5-Land daily)', value: 'daily'}
+  ],
+  value: 'monthly',
+  style: { margin: '0 0 15px 0', width: '340px' }
+});
+panel.add(pastModeSelect);
+
+// Past and forecast horizons
+panel.add(ui.Label('Past Window:', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var pastDaysSelect = ui.Select({
+  items: PAST_DAYS_OPTIONS.map(function(days) {
+    return {label: days + ' days (' + (days / 30) + ' month' + (days === 30 ? '' : 's') + ')', value: days};
+  }),
+  value: DEFAULT_PAST_DAYS,
+  style: { margin: '0 0 15px 0', width: '340px' }
+});
+panel.add(pastDaysSelect);
+
+panel.add(ui.Label('Forecast Horizon:', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var forecastDaysSelect = ui.Select({
+  items: FORECAST_DAYS_OPTIONS.map(function(days) {
+    return {label: days + ' days', value: days};
+  }),
+  value: DEFAULT_FORECAST_DAYS,
+  style: { margin: '0 0 15px 0', width: '340px' }
+});
+panel.add(forecastDaysSelect);
+
+// Lagged ensemble of recent GFS runs (plus EXTRA_FORECAST_SOURCES) for Layers 9-11
+panel.add(ui.Label('Forecast Ensemble:', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var ensembleRunsSelect = ui.Select({
+  items: ENSEMBLE_RUN_OPTIONS.map(function(runs) {
+    if (runs === 0) {
+      return {label: EXTRA_FORECAST_SOURCES.length ? 'Latest GFS run + configured models' : 'Off: latest GFS run only', value: 0};
+    }
+    return {label: 'Lagged: last ' + runs + ' GFS runs (' + (runs * 6) + ' h)' +
+                   (EXTRA_FORECAST_SOURCES.length ? ' + configured models' : ''), value: runs};
+  }),
+  value: 0,
+  style: { margin: '0 0 15px 0', width: '340px' }
+});
+panel.add(ensembleRunsSelect);
+
+// Drought index accumulation period (Layer 4, precipitation only)
+panel.add(ui.Label('Drought Index (precipitation only):', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var spiScaleSelect = ui.Select({
+  items: spi.SPI_SCALES.map(function(scale) {
+    return {label: 'SPI-' + scale + ' (' + scale + '-month accumulation)', value: scale};
+  }),
+  value: DEFAULT_SPI_SCALE,
+  style: { margin: '0 0 15px 0', width: '340px' }
+});
+panel.add(spiScaleSelect);
+
+// Heatwave threshold (Layer 7, temperature only)
+panel.add(ui.Label('Heatwave Threshold (temperature only):', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var heatwaveThresholdSelect = ui.Select({
+  items: extremes.HEATWAVE_THRESHOLDS.map(function(option) {
+    return {label: option.label, value: option.value};
+  }),
+  value: extremes.HEATWAVE_THRESHOLDS[0].value,
+  style: { margin: '0 0 15px 0', width: '340px' }
+});
+panel.add(heatwaveThresholdSelect);
+
+// Extreme rainfall return period (Layer 5, precipitation only)
+panel.add(ui.Label('Extreme Rainfall Alert (precipitation only):', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var returnPeriodSelect = ui.Select({
+  items: extremes.RAINFALL_RETURN_PERIODS.map(function(period) {
+    var limits = extremes.RAINFALL_WINDOWS.map(function(w) { return w.label + ' > ' + period.thresholds[w.hours] + ' mm'; });
+    return {label: period.years + '-year (' + limits.join(', ') + ')', value: period.years};
+  }),
+  value: DEFAULT_RETURN_PERIOD,
+  style: { margin: '0 0 15px 0', width: '340px' }
+});
+panel.add(returnPeriodSelect);
+
+// Soil moisture in the compound flood risk (Layer 6, precipitation only)
+var floodSoilCheckbox = ui.Checkbox({
+  label: 'Include ERA5-Land soil moisture in flood risk',
+  value: true,
+  style: { margin: '0 0 15px 0', fontSize: '13px' }
+});
+panel.add(floodSoilCheckbox);
+
 // Generate Button
 var analyzeButton = ui.Button({
   label: 'Generate Early Warning Maps',
   onClick: function() { 
     var parameter = parameterSelect.getValue(); 
     if (parameter) { 
+      var area = null;
+      if (areaSelect.getValue() === CUSTOM_AREA) {
+        area = loadCustomArea();
+        if (!area) return;
+      }
+      replayState = null;
       clearDistrictPanel();
       // Clear existing map layers before regenerating
       if (mainMap) {
         mainMap.layers().reset();
       }
-      updateVisualizationWithBatching(parameter); 
+      var horizons = {pastDays: pastDaysSelect.getValue(), forecastDays: forecastDaysSelect.getValue()};
+      var hazardOptions = {
+        spiScale: spiScaleSelect.getValue(),
+        heatwaveThreshold: heatwaveThresholdSelect.getValue(),
+        returnPeriod: returnPeriodSelect.getValue(),
+        floodSoil: floodSoilCheckbox.getValue(),
+        ensembleRuns: ensembleRunsSelect.getValue()
+      };
+      updateVisualization(parameter, pastModeSelect.getValue(), horizons, anomalyModeSelect.getValue(), hazardOptions,
+                                      area ? CUSTOM_AREA_LEVEL : adminLevels.level(adminLevelSelect.getValue()), area); 
     } 
   },
   style: { 
@@ -221,9 +530,20 @@ var analyzeButton = ui.Button({
 });
 panel.add(analyzeButton);
 
+// Replay: the archived runs of the selected parameter and units, one issue date at a time
+panel.add(ui.Label('Replay Archived Runs:', {fontWeight: 'bold', fontSize: '13px', margin: '15px 0 5px 0'}));
+var replayButton = ui.Button({
+  label: 'Load Archived Runs',
+  onClick: function() { loadArchive(); },
+  style: { margin: '0 0 5px 0', width: '340px' }
+});
+panel.add(replayButton);
+var replayPanel = ui.Panel({style: { margin: '0 0 10px 0' }});
+panel.add(replayPanel);
+
 // Data source info
 var dateInfo = ui.Label({ 
-  value: '\nData: ECMWF ERA5-Land Aggregated (historical) & NOAA GFS (forecast)\nBaseline: 10-year average (2014-2024)', 
+  value: '\nData: ECMWF ERA5-Land Aggregated (historical) & NOAA GFS (forecast)\nBaseline: 10-year average (2014-2024)\nSPI: gamma fit per calendar month, ERA5-Land ' + spi.SPI_RECORD_START_YEAR + '-present', 
   style: { fontSize: '11px', margin: '10px 0 0 0', fontStyle: 'italic', color: '#888' }
 });
 panel.add(dateInfo);
@@ -340,6 +660,29 @@ function showDistrictInfo(title, content) {
   panelDistrictWidgets.push(districtInfoPanel);
 }
 
+// The custom analysis area as {geometry, label}: the table asset when one is entered, otherwise the drawn shapes
+function loadCustomArea() {
+  var label = areaNameBox.getValue() || DEFAULT_AREA_NAME;
+  var asset = areaAssetBox.getValue();
+  if (asset) {
+    return {geometry: ee.FeatureCollection(asset).geometry(), label: label};
+  }
+  var drawingTools = (mainMap || Map).drawingTools();
+  if (drawingTools.layers().length() === 0) {
+    print('Draw a polygon on the map or enter a table asset id for the custom area.');
+    return null;
+  }
+  return {geometry: drawingTools.toFeatureCollection().geometry(), label: label};
+}
+
+// Layer / panel titles for the chosen horizons, e.g. {past: 'Past 60-Day', forecast: '7-Day Forecast'}
+function horizonLabels(horizons) {
+  return {
+    past: 'Past ' + horizons.pastDays + '-Day',
+    forecast: horizons.forecastDays + '-Day Forecast'
+  };
+}
+
 function clearDistrictPanel() { 
   panelDistrictWidgets.forEach(function(widget) { 
     panel.remove(widget); 
@@ -348,258 +691,419 @@ function clearDistrictPanel() {
   districtLoadingSymbol = null;
 }
 
-function getMonthName(date) {
-  var months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
-  return ee.List(months).get(date.get('month').subtract(1));
-}
-
 
 // ===========================================================================================
 // CORE CALCULATION LOGIC (PAST + FUTURE + COMBINED)
-// Now stores calculated value, baseline, and diff; all standardized to per-day
+// Every district in one server-side pass (Shared modules/pipeline). The hazard inputs are
+// extra bands of the same reduceRegions, read back into the per-district properties that
+// finalizeVisualization() turns into SPI, extreme rainfall, flood, ensemble and heatwave layers.
 // ===========================================================================================
-function calculateCombinedAnomaly(district, parameter, gfsData, historicalData, era5List) {
-  var districtName = ee.Feature(district).get('NAME_3');
-  var districtGeometry = ee.Feature(district).geometry();
-  var districtHistoricalData = historicalData.filter(ee.Filter.eq('district_name', districtName)).first();
-
-  return ee.Algorithms.If(ee.Algorithms.IsEqual(districtHistoricalData, null), 
-    ee.Feature(district).set({
-      'combined_diff': -999, 'forecast_diff': -999, 'past_diff': -999,
-      'forecast_value': -999, 'forecast_baseline': -999,
-      'past_value': -999, 'past_baseline': -999,
-      'combined_value': -999, 'combined_baseline': -999,
-      'debug': 'no_historical'
-    }),
-    (function() {
-      
-      // --- PART 1: FUTURE (16-Day Forecast Logic) ---
-      var latestForecastRun = gfsData.sort('creation_time', false).first().get('creation_time');
-      var latestForecast = gfsData.filter(ee.Filter.eq('creation_time', latestForecastRun));
-      var forecastDiff;
-
-      // A. GFS Forecast Value (total over 16 days)
-      var forecastValueTotal;
-      if (parameter === 'precipitation') {
-        var gfsBand = 'precipitation_rate';
-        var hourlyValues = ee.List.sequence(1, 120).map(function(hour) {
-          var img = latestForecast.filter(ee.Filter.eq('forecast_hours', hour)).first();
-          return ee.Algorithms.If(img, (function(){
-             var rate = ee.Image(img).select(gfsBand).reduceRegion({reducer: ee.Reducer.mean(), geometry: districtGeometry, scale: 27830, bestEffort: true}).get(gfsBand);
-             var sanitizedRate = ee.Number(ee.Algorithms.If(rate, rate, 0));
-             return sanitizedRate.multiply(3600);
-          })(), 0);
-        });
-        var threeValues = ee.List.sequence(123, 384, 3).map(function(hour) {
-          var img = latestForecast.filter(ee.Filter.eq('forecast_hours', hour)).first();
-          return ee.Algorithms.If(img, (function(){
-             var rate = ee.Image(img).select(gfsBand).reduceRegion({reducer: ee.Reducer.mean(), geometry: districtGeometry, scale: 27830, bestEffort: true}).get(gfsBand);
-             var sanitizedRate = ee.Number(ee.Algorithms.If(rate, rate, 0));
-             return sanitizedRate.multiply(10800);
-          })(), 0);
-        });
-        var forecastValueRaw = ee.Number(hourlyValues.reduce(ee.Reducer.sum())).add(ee.Number(threeValues.reduce(ee.Reducer.sum())));
-        forecastValueTotal = ee.Number(ee.Algorithms.If(forecastValueRaw, forecastValueRaw, 0));
-      } else {
-        var meanImg = latestForecast.select('temperature_2m_above_ground').mean();
-        var val = meanImg.reduceRegion({reducer: ee.Reducer.mean(), geometry: districtGeometry, scale: 27830, bestEffort: true}).get('temperature_2m_above_ground');
-        forecastValueTotal = ee.Number(ee.Algorithms.If(val, val, 0)); 
-      }
 
-      // B. Weighted Historical Baseline (Forecast Period) - total over 16 days
-      var startDay = today.get('day');
-      var startMonth = today.get('month');
-      var endMonth = forecastEndDate.get('month');
-      var histForecastValueTotal;
-      
-      if (parameter === 'precipitation') {
-         var cols = ee.List(['rainfall_jan', 'rainfall_feb', 'rainfall_mar', 'rainfall_apr', 'rainfall_may', 'rainfall_jun','rainfall_jul', 'rainfall_aug', 'rainfall_sep', 'rainfall_oct', 'rainfall_nov', 'rainfall_dec']);
-         histForecastValueTotal = ee.Number(ee.Algorithms.If(startMonth.neq(endMonth),
-            (function(){
-               var daysList = ee.List([31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]);
-               var d1Total = ee.Number(daysList.get(startMonth.subtract(1)));
-               var d1Current = d1Total.subtract(startDay).add(1);
-               var v1 = ee.Number(districtHistoricalData.get(cols.get(startMonth.subtract(1))));
-               var p1 = v1.divide(d1Total).multiply(d1Current);
-               var d2Current = ee.Number(16).subtract(d1Current);
-               var d2Total = ee.Number(daysList.get(endMonth.subtract(1)));
-               var v2 = ee.Number(districtHistoricalData.get(cols.get(endMonth.subtract(1))));
-               var p2 = v2.divide(d2Total).multiply(d2Current);
-               return p1.add(p2);
-            })(),
-            (function(){
-               var v = ee.Number(districtHistoricalData.get(cols.get(startMonth.subtract(1))));
-               var is31DayMonth = startMonth.eq(1).or(startMonth.eq(3)).or(startMonth.eq(5)).or(startMonth.eq(7)).or(startMonth.eq(8)).or(startMonth.eq(10)).or(startMonth.eq(12));
-               var daysInMonth = ee.Number(ee.Algorithms.If(is31DayMonth, 31, ee.Algorithms.If(startMonth.eq(2), 28, 30)));
-               return v.divide(daysInMonth).multiply(16); 
-            })()
-         ));
-      } else {
-         var cols = ee.List(['temperature_jan', 'temperature_feb', 'temperature_mar', 'temperature_apr', 'temperature_may', 'temperature_jun','temperature_jul', 'temperature_aug', 'temperature_sep', 'temperature_oct', 'temperature_nov', 'temperature_dec']);
-         histForecastValueTotal = ee.Number(ee.Algorithms.If(startMonth.neq(endMonth),
-            (function(){
-               var d1Current = ee.Number(30).subtract(startDay).add(1);
-               var v1 = ee.Number(districtHistoricalData.get(cols.get(startMonth.subtract(1))));
-               var d2Current = ee.Number(16).subtract(d1Current);
-               var v2 = ee.Number(districtHistoricalData.get(cols.get(endMonth.subtract(1))));
-               return (v1.multiply(d1Current).add(v2.multiply(d2Current))).divide(16);
-            })(),
-            ee.Number(districtHistoricalData.get(cols.get(startMonth.subtract(1))))
-         ));
-      }
-      
-      // Standardized values for forecast
-      var forecastValueStd, forecastBaselineStd, forecastDiffStd;
-      if (parameter === 'precipitation') {
-        // Precipitation: convert to per-day (mm/day)
-        forecastValueStd = forecastValueTotal.divide(FORECAST_DAYS);
-        forecastBaselineStd = histForecastValueTotal.divide(FORECAST_DAYS);
-        forecastDiffStd = forecastValueStd.subtract(forecastBaselineStd);
-      } else {
-        // Temperature: use total directly exactly like 1st iteration (no per-day, no K to C conversion for GFS)
-        forecastValueStd = forecastValueTotal; // GFS is already in Celsius!
-        forecastBaselineStd = histForecastValueTotal;
-        forecastDiffStd = forecastValueStd.subtract(forecastBaselineStd);
-      }
+// Band prefixes of the per-step GFS rainfall / temperature and of the ensemble members
+var RAIN_STEP_PREFIX = 'rain_step_';
+var HEATWAVE_STEP_PREFIX = 'hw_step_';
+var ENSEMBLE_PREFIX = 'ens_';
 
+// Hazard input bands for the pipeline's reduceRegions, null when every hazard is off
+function hazardImage(parameter, gfsRun, forecastDays, hazards) {
+  var bands = [];
+  // Same-month k-month totals for every year of the record (bands 'y<year>')
+  if (hazards.spi) {
+    bands.push(hazards.spi.image);
+  }
+  // Per-step GFS rainfall
+  if (hazards.rainfall) {
+    bands.push(engine.eeGfsPrecipStepsImage(gfsRun, hazards.rainfall.plan, RAIN_STEP_PREFIX));
+  }
+  // Soil moisture anomaly (band 'soil_z')
+  if (hazards.flood && hazards.flood.soilImage) {
+    bands.push(hazards.flood.soilImage);
+  }
+  // Forecast value of every ensemble member, in forecast_value units
+  if (hazards.ensemble) {
+    hazards.ensemble.members.forEach(function(member, i) {
+      var image = member.source ?
+        ensemble.eeSourceMemberImage(member.source, parameter, hazards.ensemble.start, forecastDays) :
+        gfsMemberImage(member, parameter, forecastDays);
+      bands.push(image.rename(ENSEMBLE_PREFIX + i));
+    });
+  }
+  // Per-step GFS temperatures and, for percentile thresholds, the threshold itself
+  if (hazards.heatwave) {
+    bands.push(engine.eeGfsTempStepsImage(gfsRun, hazards.heatwave.plan, HEATWAVE_STEP_PREFIX));
+    if (hazards.heatwave.percentileImage) {
+      bands.push(hazards.heatwave.percentileImage.rename('hw_threshold'));
+    }
+  }
+  return bands.length > 0 ? ee.Image.cat(bands) : null;
+}
 
-      // --- PART 2: PAST (ERA5 Logic - Fixed at 3 months = ~90 days) ---
-      var calculateEraValues = function(img) {
-         var eraDate = ee.Date(ee.Image(img).get('system:time_start'));
-         var mColName = getMonthName(eraDate);
-         var histCol = parameter === 'precipitation' ? 
-             ee.String('rainfall_').cat(mColName) : 
-             ee.String('temperature_').cat(mColName);
-         
-         var histVal = ee.Number(districtHistoricalData.get(histCol));
-         var band = parameter === 'precipitation' ? 'total_precipitation_sum' : 'temperature_2m';
-         var obsVal = ee.Image(img).select(band).reduceRegion({
-             reducer: ee.Reducer.mean(),
-             geometry: districtGeometry, scale: 11132, bestEffort: true
-         }).get(band);
-         
-         var obsNum = ee.Number(ee.Algorithms.If(obsVal, obsVal, 0));
-         if (parameter === 'precipitation') {
-             obsNum = obsNum.multiply(1000); // Convert m to mm
-         } else {
-             obsNum = ee.Number(ee.Algorithms.If(obsVal, obsNum.subtract(273.15), histVal));
-         }
-         // Return a list: [observed_value, historical_baseline]
-         return ee.List([obsNum, histVal]);
-      };
-
-      var vals1 = ee.List(calculateEraValues(era5List.get(0)));
-      var vals2 = ee.List(calculateEraValues(era5List.get(1)));
-      var vals3 = ee.List(calculateEraValues(era5List.get(2)));
-      
-      var pastObsTotal, pastBaseTotal, pastDiffStd, pastValueStd, pastBaselineStd;
-      
-      if (parameter === 'precipitation') {
-        // Precipitation: sum over 3 months, then divide by 90 for per-day (mm/day)
-        pastObsTotal = ee.Number(vals1.get(0)).add(ee.Number(vals2.get(0))).add(ee.Number(vals3.get(0)));
-        pastBaseTotal = ee.Number(vals1.get(1)).add(ee.Number(vals2.get(1))).add(ee.Number(vals3.get(1)));
-        pastValueStd = pastObsTotal.divide(PAST_DAYS);
-        pastBaselineStd = pastBaseTotal.divide(PAST_DAYS);
-        pastDiffStd = pastValueStd.subtract(pastBaselineStd);
-      } else {
-        // Temperature: Calculate true average over 3 months
-        pastObsTotal = ee.Number(vals1.get(0)).add(ee.Number(vals2.get(0))).add(ee.Number(vals3.get(0)));
-        pastBaseTotal = ee.Number(vals1.get(1)).add(ee.Number(vals2.get(1))).add(ee.Number(vals3.get(1)));
-        pastValueStd = pastObsTotal.divide(3);
-        pastBaselineStd = pastBaseTotal.divide(3);
-        pastDiffStd = pastValueStd.subtract(pastBaselineStd);
-      }
-      
-      // --- PART 3: COMBINE (average of anomalies for precip, sum for temp) ---
-      var combinedDiffStd, combinedValueStd, combinedBaselineStd;
-      if (parameter === 'precipitation') {
-        var totalDays = PAST_DAYS + FORECAST_DAYS;
-        combinedValueStd = pastValueStd.multiply(PAST_DAYS).add(forecastValueStd.multiply(FORECAST_DAYS)).divide(totalDays);
-        combinedBaselineStd = pastBaselineStd.multiply(PAST_DAYS).add(forecastBaselineStd.multiply(FORECAST_DAYS)).divide(totalDays);
-        combinedDiffStd = combinedValueStd.subtract(combinedBaselineStd);
-      } else {
-        // Temperature: Weighted average of past 90 days and forecast 16 days
-        var totalDays = PAST_DAYS + FORECAST_DAYS;
-        combinedValueStd = pastValueStd.multiply(PAST_DAYS).add(forecastValueStd.multiply(FORECAST_DAYS)).divide(totalDays);
-        combinedBaselineStd = pastBaselineStd.multiply(PAST_DAYS).add(forecastBaselineStd.multiply(FORECAST_DAYS)).divide(totalDays);
-        combinedDiffStd = combinedValueStd.subtract(combinedBaselineStd);
-      }
-
-      return ee.Feature(district).set({
-        // Anomaly differences (used for map coloring)
-        'combined_diff': combinedDiffStd,
-        'forecast_diff': forecastDiffStd,
-        'past_diff': pastDiffStd,
-        // Calculated values
-        'forecast_value': forecastValueStd,
-        'forecast_baseline': forecastBaselineStd,
-        'past_value': pastValueStd,
-        'past_baseline': pastBaselineStd,
-        'combined_value': combinedValueStd,
-        'combined_baseline': combinedBaselineStd,
-        // District name
-        'district_name': districtName
-      });
+// The hazard bands of a reduced district as the properties finalizeVisualization() reads:
+// spi_totals, rain_steps (0 for a missing step), soil_z, ens_members, hw_steps, hw_threshold
+// (-999 where missing); rolling peaks, spells, SPI and ensemble statistics are found client-side
+function hazardProperties(hazards) {
+  return function(f) {
+    var props = {};
+    if (hazards.spi) {
+      props.spi_totals = pipeline.eeBandValues(f, hazards.spi.years.map(function(year) { return 'y' + year; }), -999);
+    }
+    if (hazards.rainfall) {
+      props.rain_steps = pipeline.eeBandValues(f, engine.stepBands(RAIN_STEP_PREFIX, hazards.rainfall.plan), 0);
+    }
+    if (hazards.flood && hazards.flood.soilImage) {
+      props.soil_z = pipeline.eeBandValue(f, 'soil_z', -999);
+    }
+    if (hazards.ensemble) {
+      props.ens_members = pipeline.eeBandValues(f, hazards.ensemble.members.map(function(member, i) {
+        return ENSEMBLE_PREFIX + i;
+      }), -999);
+    }
+    if (hazards.heatwave) {
+      props.hw_steps = pipeline.eeBandValues(f, engine.stepBands(HEATWAVE_STEP_PREFIX, hazards.heatwave.plan), -999);
+      props.hw_threshold = hazards.heatwave.percentileImage ?
+        pipeline.eeBandValue(f, 'hw_threshold', -999) : hazards.heatwave.option.absolute;
+    }
+    return props;
+  };
+}
 
-    })()
-  );
+// Anomalies and hazard inputs of `districts` (NAME_3) against `climatology` rows (district_name)
+function computeAnomalies(districts, climatology, parameter, pastWindow, forecastWindow, anomalyMode, hazards) {
+  var gfsRun = engine.eeLatestRun(gfsDataset);
+  return pipeline.eeComputeAnomalies({
+    districts: districts,
+    climatology: climatology,
+    parameter: parameter,
+    anomalyMode: anomalyMode,
+    gfsRun: gfsRun,
+    pastWindow: pastWindow,
+    forecastWindow: forecastWindow,
+    baseline: {era5Monthly: era5BaselineDataset, startYear: BASELINE_START_YEAR, endYear: BASELINE_END_YEAR},
+    extraImage: hazardImage(parameter, gfsRun, forecastWindow.days, hazards),
+    extraProperties: hazardProperties(hazards)
+  });
 }
 
 
 // ===========================================================================================
-// BATCH PROCESSING
+// PROCESSING
 // ===========================================================================================
-function updateVisualizationWithBatching(parameter) {
+function updateVisualization(parameter, pastMode, horizons, anomalyMode, hazardOptions, adminLevel, area) {
   showLoadingIndicator("Initializing Early Warning System...");
   
-  var era5List = latestEra5Images.toList(3); 
+  // Forecast window split and GFS step plan are the same for every district
+  var forecastWindow = pipeline.forecastWindow(new Date(), horizons.forecastDays);
+  buildPastWindow(pastMode, horizons.pastDays, function(pastWindow) {
+    buildSpiWindow(parameter, hazardOptions.spiScale, function(spiWindow) {
+      buildHeatwaveWindow(parameter, hazardOptions.heatwaveThreshold, forecastWindow, function(heatwaveWindow) {
+        buildRainfallWindow(parameter, hazardOptions.returnPeriod, forecastWindow, function(rainfallWindow) {
+          buildFloodWindow(parameter, hazardOptions.floodSoil, function(floodWindow) {
+            buildEnsembleWindow(hazardOptions.ensembleRuns, forecastWindow, function(ensembleWindow) {
+              var hazards = {spi: spiWindow, heatwave: heatwaveWindow, rainfall: rainfallWindow, flood: floodWindow,
+                             ensemble: ensembleWindow};
+              if (area) {
+                processCustomArea(area, parameter, pastWindow, forecastWindow, horizons, anomalyMode, hazards, adminLevel);
+              } else {
+                processAllDistricts(parameter, pastWindow, forecastWindow, horizons, anomalyMode, hazards, adminLevel);
+              }
+            });
+          });
+        });
+      });
+    });
+  });
+}
 
-  pakistanDistricts.toList(pakistanDistricts.size()).evaluate(function(districtsList) {
-    var BATCH_SIZE = 5; 
-    var processedFeatures = []; 
-    var total = districtsList.length;
-    var numBatches = Math.ceil(total / BATCH_SIZE);
+// Resolves the SPI target month client-side: k-month totals ending in the latest ERA5-Land
+// month, one band per year of the record. Temperature runs have no drought layer (null).
+function buildSpiWindow(parameter, scale, callback) {
+  if (parameter !== 'precipitation') {
+    callback(null);
+    return;
+  }
+  era5SpiDataset.aggregate_max('system:time_start').evaluate(function(latestMillis, err) {
+    if (err || !latestMillis) { print('Could not find ERA5-Land monthly data for SPI:', err); callback(null); return; }
+    var latest = new Date(latestMillis);
+    var endYear = latest.getUTCFullYear();
+    var endMonth = latest.getUTCMonth();
+    var years = spi.accumulationYears(spi.SPI_RECORD_START_YEAR, endYear, endMonth, scale);
+    callback({
+      scale: scale,
+      years: years,
+      endYear: endYear,
+      endMonth: endMonth,
+      image: spi.eeAccumulationImage(era5SpiDataset, years, endMonth, scale),
+      label: 'SPI-' + scale + ' to ' + engine.MONTH_KEYS[endMonth].toUpperCase() + ' ' + endYear
+    });
+  });
+}
 
-    function processBatch(startIndex) {
-      if (startIndex >= total) { 
-        finalizeVisualization(processedFeatures, parameter); 
-        return; 
-      }
-      
-      var currentBatchNumber = Math.floor(startIndex / BATCH_SIZE) + 1;
-      updateLoadingIndicator("Please wait while data is being loaded, do not press on Generate Early Warning Maps button again...");
-      
-      var end = Math.min(startIndex + BATCH_SIZE, total);
-      var batchCol = ee.FeatureCollection(districtsList.slice(startIndex, end));
-      
-      var result = batchCol.map(function(d) { 
-          return calculateCombinedAnomaly(d, parameter, gfsDataset, dataFC, era5List); 
-      });
+// Resolves the heatwave setup shared by every district: the GFS run start (to turn forecast
+// hours into local days) and, for percentile thresholds, the ERA5-Land daily-max percentile
+// image over the baseline years for the months the forecast touches. Precipitation runs get null.
+function buildHeatwaveWindow(parameter, thresholdValue, forecastWindow, callback) {
+  if (parameter !== 'temperature') {
+    callback(null);
+    return;
+  }
+  var option = extremes.heatwaveThreshold(thresholdValue);
+  engine.eeLatestRun(gfsDataset).aggregate_max('creation_time').evaluate(function(runStart, err) {
+    if (err || !runStart) { print('Could not find the latest GFS run for heatwave detection:', err); callback(null); return; }
+    var months = [];
+    forecastWindow.weights.forEach(function(w) {
+      if (months.indexOf(w.month) === -1) months.push(w.month);
+    });
+    callback({
+      option: option,
+      runStart: runStart,
+      plan: forecastWindow.stepPlan,
+      minDays: extremes.HEATWAVE_MIN_DAYS,
+      percentileImage: option.percentile === undefined ? null :
+        extremes.eeDailyMaxPercentile(era5DailyMaxDataset, BASELINE_START_YEAR, BASELINE_END_YEAR, months, option.percentile),
+      label: option.percentile === undefined ? option.absolute + ' °C' :
+        'P' + option.percentile + ' of daily max (' + BASELINE_START_YEAR + '-' + BASELINE_END_YEAR + ')'
+    });
+  });
+}
+
+// Resolves the extreme rainfall setup shared by every district: the GFS run start (to time
+// the peak windows) and the chosen return period. Temperature runs get null.
+function buildRainfallWindow(parameter, years, forecastWindow, callback) {
+  if (parameter !== 'precipitation') {
+    callback(null);
+    return;
+  }
+  engine.eeLatestRun(gfsDataset).aggregate_max('creation_time').evaluate(function(runStart, err) {
+    if (err || !runStart) { print('Could not find the latest GFS run for extreme rainfall alerts:', err); callback(null); return; }
+    callback({
+      returnPeriod: extremes.returnPeriod(years),
+      runStart: runStart,
+      plan: forecastWindow.stepPlan,
+      label: years + '-year return period'
+    });
+  });
+}
+
+// Resolves the compound flood risk setup: with soil moisture, the z-score image of the latest
+// ERA5-Land daily top-layer soil water against its baseline calendar month. Temperature runs get null.
+function buildFloodWindow(parameter, includeSoil, callback) {
+  if (parameter !== 'precipitation') {
+    callback(null);
+    return;
+  }
+  if (!includeSoil) {
+    callback({soilImage: null, soilDate: null});
+    return;
+  }
+  var latestSoil = era5SoilDailyDataset.sort('system:time_start', false).first();
+  latestSoil.get('system:time_start').evaluate(function(latestMillis, err) {
+    if (err || !latestMillis) {
+      print('No recent ERA5-Land soil moisture, flood risk uses past rainfall only:', err);
+      callback({soilImage: null, soilDate: null});
+      return;
+    }
+    var latest = new Date(latestMillis);
+    callback({
+      soilImage: floodRisk.eeSoilMoistureZImage(latestSoil, era5SoilMonthlyDataset, latest.getUTCMonth() + 1,
+                                               BASELINE_START_YEAR, BASELINE_END_YEAR),
+      soilDate: engine.formatDate(latest)
+    });
+  });
+}
 
-      result.evaluate(function(batch, err) {
-        if (err) { 
-          print('Batch Error:', err); 
-        } else if (batch && batch.features) { 
-          processedFeatures = processedFeatures.concat(batch.features); 
+// Resolves the ensemble members shared by every district: the newest `runs` GFS runs, each
+// offset by its lag so it starts at the same valid time as the latest run, plus every
+// EXTRA_FORECAST_SOURCES model. Null when there would be only the deterministic run.
+function buildEnsembleWindow(runs, forecastWindow, callback) {
+  if (runs < 2 && EXTRA_FORECAST_SOURCES.length === 0) {
+    callback(null);
+    return;
+  }
+  ensemble.eeRecentRunStarts(gfsEnsembleDataset, Math.max(runs, 1)).evaluate(function(runStarts, err) {
+    if (err || !runStarts || runStarts.length === 0) {
+      print('Could not find recent GFS runs for the ensemble:', err);
+      callback(null);
+      return;
+    }
+    var members = laggedRunMembers(runStarts, forecastWindow.days);
+    EXTRA_FORECAST_SOURCES.forEach(function(source) {
+      members.push({label: source.label, source: source});
+    });
+    callback({
+      members: members,
+      // Forecast window start for the configured models (the GFS members use forecast hours)
+      start: ee.Date(runStarts[0]),
+      label: members.length + ' members'
+    });
+  });
+}
+
+// One member per GFS run start (millis, newest first), each offset by its lag behind the
+// newest run so it starts at the same valid time. Runs stop at forecast hour 384, so a lagged
+// member may end early: `days` is what its plan actually covers (engine.planDays).
+function laggedRunMembers(runStarts, forecastDays) {
+  var lags = ensemble.lagHours(runStarts);
+  return runStarts.map(function(start, i) {
+    var plan = engine.gfsStepPlan(forecastDays, lags[i]);
+    return {
+      label: 'GFS ' + new Date(start).toISOString().substring(0, 13).replace('T', ' ') + 'Z',
+      runStart: start,
+      run: gfsEnsembleDataset.filter(ee.Filter.eq('creation_time', start)),
+      lag: lags[i],
+      plan: plan,
+      days: engine.planDays(plan)
+    };
+  });
+}
+
+// Forecast of one lagged GFS member as an image in forecast_value units (precipitation per day
+// of the member's own coverage, temperature as the mean), reduced with the districts
+function gfsMemberImage(member, parameter, forecastDays) {
+  return parameter === 'precipitation' ?
+    engine.eeGfsPrecipTotalImage(member.run, member.plan).divide(member.days) :
+    engine.eeRunWithinHorizon(member.run, forecastDays, member.lag).select(engine.GFS_TEMP_BAND).mean();
+}
+
+// Resolves the past window client-side (so every district shares the same dates), see
+// pipeline.resolvePastWindow(); stops with a message when ERA5-Land has no data
+function buildPastWindow(pastMode, pastDays, callback) {
+  pipeline.resolvePastWindow(era5Dataset, era5DailyDataset, pastMode, pastDays, function(pastWindow, err) {
+    if (!pastWindow) { print('Could not find ERA5-Land ' + pastMode + ' data:', err); hideLoadingIndicator(); return; }
+    callback(pastWindow);
+  });
+}
+
+// Districts with results cached under this run's key are reused; only missing ones (new key,
+// or a failed run) are computed, then stored and, with RESULT_CACHE_FOLDER, exported as an asset
+function processAllDistricts(parameter, pastWindow, forecastWindow, horizons, anomalyMode, hazards, adminLevel) {
+  engine.eeLatestRun(gfsDataset).aggregate_max('creation_time').evaluate(function(gfsRunMillis, err) {
+    if (err || !gfsRunMillis) { print('Could not find the latest GFS run:', err); hideLoadingIndicator(); return; }
+    var key = resultCache.cacheKey({
+      parameter: parameter,
+      anomalyMode: anomalyMode,
+      pastMode: pastWindow.mode,
+      pastStart: pastWindow.start,
+      pastEnd: pastWindow.end,
+      forecastStart: forecastWindow.start,
+      forecastDays: forecastWindow.days,
+      gfsRunMillis: gfsRunMillis,
+      settings: hazardSettings(hazards)
+    });
+    loadCachedRun(key, function() {
+      pakistanDistricts.aggregate_array(resultCache.ID_FIELD).evaluate(function(ids, err2) {
+        if (err2 || !ids) { print('Could not list districts:', err2); hideLoadingIndicator(); return; }
+        var cached = resultCache.lookup(districtCache, key, ids);
+        if (cached.missing.length === 0) {
+          updateLoadingIndicator("Using cached results for this GFS run...");
+          finishRun(cached.hits, parameter, horizons, anomalyMode, hazards, adminLevel);
+          return;
         }
-        ui.util.setTimeout(function() { processBatch(end); }, 100);
+        var pending = cached.missing.length === ids.length ? pakistanDistricts :
+          pakistanDistricts.filter(ee.Filter.inList(resultCache.ID_FIELD, cached.missing));
+        updateLoadingIndicator("Computing districts in one server-side pass, do not press on Generate Early Warning Maps button again...");
+        computeAnomalies(pending, dataFC, parameter, pastWindow, forecastWindow, anomalyMode, hazards).evaluate(function(fc, err3) {
+          if (err3 || !fc) {
+            print('District computation error:', err3);
+            if (cached.hits.length === 0) { hideLoadingIndicator(); return; }
+          }
+          var computed = fc ? fc.features : [];
+          resultCache.store(districtCache, key, computed);
+          if (RESULT_CACHE_FOLDER && computed.length > 0) {
+            resultCache.exportRun(resultCache.features(districtCache, key), key, RESULT_CACHE_FOLDER);
+            print('Result cache: run the ' + resultCache.assetName(key) + ' task (Tasks tab) to keep these results.');
+          }
+          finishRun(cached.hits.concat(computed), parameter, horizons, anomalyMode, hazards, adminLevel);
+        });
       });
+    });
+  });
+}
+
+// Everything besides the parameter, windows and GFS run that changes the per-district values
+function hazardSettings(hazards) {
+  return {
+    spi: hazards.spi ? hazards.spi.label : 'off',
+    heatwave: hazards.heatwave ? hazards.heatwave.label : 'off',
+    rainfall: hazards.rainfall ? hazards.rainfall.label : 'off',
+    flood: hazards.flood ? (hazards.flood.soilDate || 'rain only') : 'off',
+    ensemble: hazards.ensemble ? hazards.ensemble.members.map(function(m) { return m.label; }).join(',') : 'off'
+  };
+}
+
+// Fills the memory cache from RESULT_CACHE_FOLDER when it does not hold this key yet
+function loadCachedRun(key, callback) {
+  if (!RESULT_CACHE_FOLDER || resultCache.hasRun(districtCache, key)) {
+    callback();
+    return;
+  }
+  updateLoadingIndicator("Looking for saved results of this GFS run...");
+  resultCache.loadRun(RESULT_CACHE_FOLDER, key, function(saved) {
+    if (saved.length > 0) {
+      resultCache.store(districtCache, key, saved);
     }
-    processBatch(0);
+    callback();
   });
 }
 
+// Remembers the raw features for recolouring, then classifies and maps copies of them
+function finishRun(features, parameter, horizons, anomalyMode, hazards, adminLevel) {
+  lastRun = {
+    features: features.map(resultCache.cloneFeature), parameter: parameter, horizons: horizons,
+    anomalyMode: anomalyMode, hazards: hazards, adminLevel: adminLevel
+  };
+  finalizeVisualization(features, parameter, horizons, anomalyMode, hazards, adminLevel);
+}
+
+// New thresholds only change colours and classes, so the map on screen is redrawn from the
+// features already fetched. Skipped while the selections no longer match that map, and while
+// an archived run (drawn with its own thresholds) is on screen.
+function recolourLastRun() {
+  if (replayState || !lastRun || !mainMap || lastRun.parameter !== parameterSelect.getValue() ||
+      lastRun.anomalyMode !== anomalyModeSelect.getValue()) {
+    return;
+  }
+  clearDistrictPanel();
+  mainMap.layers().reset();
+  showLoadingIndicator("Recolouring with the new thresholds...");
+  finalizeVisualization(lastRun.features.map(resultCache.cloneFeature), lastRun.parameter, lastRun.horizons,
+                        lastRun.anomalyMode, lastRun.hazards, lastRun.adminLevel);
+}
+
+// A custom area through the same pipeline in one request; its climatology row comes from ERA5-Land
+function processCustomArea(area, parameter, pastWindow, forecastWindow, horizons, anomalyMode, hazards, adminLevel) {
+  updateLoadingIndicator("Computing " + area.label + " and its ERA5-Land baseline...");
+  var areas = ee.FeatureCollection([ee.Feature(area.geometry, {'NAME_3': area.label})]);
+  var climatology = ee.FeatureCollection([
+    engine.eeMonthlyClimatologyRow(era5BaselineDataset, area.geometry, parameter, BASELINE_START_YEAR, BASELINE_END_YEAR)
+      .set('district_name', area.label)
+  ]);
+  computeAnomalies(areas, climatology, parameter, pastWindow, forecastWindow, anomalyMode, hazards)
+    .evaluate(function(fc, err) {
+      if (err || !fc || fc.features.length === 0) {
+        print('Custom area error:', err);
+        hideLoadingIndicator();
+        return;
+      }
+      finishRun(fc.features, parameter, horizons, anomalyMode, hazards, adminLevel);
+    });
+}
+
 
 // ===========================================================================================
 // VISUALIZATION - SINGLE MAP WITH 3 LAYERS (User-Defined Thresholds)
 // ===========================================================================================
-function finalizeVisualization(features, parameter) {
+function finalizeVisualization(features, parameter, horizons, anomalyMode, hazards, adminLevel) {
   updateLoadingIndicator("Creating map layers...");
   
   var valid = features.filter(function(f) { 
-    return f.properties.combined_diff !== -999 && f.properties.combined_diff !== undefined && 
+    var ok = f.properties.combined_diff !== -999 && f.properties.combined_diff !== undefined && 
            f.properties.combined_diff !== null && f.properties.forecast_diff !== -999 && 
            f.properties.past_diff !== -999; 
+    // Districts with no measurable spread cannot be standardized
+    if (ok && anomalyMode === 'standardized') {
+      ok = f.properties.combined_z !== -999 && f.properties.forecast_z !== -999 && f.properties.past_z !== -999;
+    }
+    return ok;
   });
   
   if (valid.length === 0) { 
@@ -608,56 +1112,195 @@ function finalizeVisualization(features, parameter) {
     return; 
   }
   
-  var fc = ee.FeatureCollection(valid);
+  // SPI of the latest month from each district's same-month totals (gamma fit per district)
+  if (hazards.spi) {
+    valid.forEach(function(f) {
+      var value = spi.latestSpi(f.properties.spi_totals);
+      f.properties.spi = value === null ? -999 : value;
+      f.properties.spi_category = value === null ? -999 : spi.categoryIndex(value);
+      delete f.properties.spi_totals;
+    });
+  }
+  
+  // Heatwave spells from each district's per-step temperatures (first spell is reported)
+  if (hazards.heatwave) {
+    valid.forEach(function(f) {
+      var hw = extremes.detectHeatwave(f.properties.hw_steps, hazards.heatwave.plan, hazards.heatwave.runStart,
+                                       f.properties.hw_threshold, hazards.heatwave.minDays);
+      f.properties.hw_flag = hw.flag;
+      f.properties.hw_count = hw.count;
+      if (hw.flag) {
+        f.properties.hw_onset = hw.onset;
+        f.properties.hw_end = hw.end;
+        f.properties.hw_duration = hw.duration;
+        f.properties.hw_peak = hw.peak;
+        f.properties.hw_peak_date = hw.peakDate;
+      }
+      delete f.properties.hw_steps;
+    });
+  }
+  
+  // Rolling-window rainfall peaks; flattened to rain_<hours>h_* properties for the click panel
+  if (hazards.rainfall) {
+    valid.forEach(function(f) {
+      var rain = extremes.detectRainfallExtremes(f.properties.rain_steps, hazards.rainfall.plan, hazards.rainfall.runStart,
+                                                 hazards.rainfall.returnPeriod.years);
+      f.properties.rain_flag = rain.flag;
+      rain.windows.forEach(function(w) {
+        var key = 'rain_' + w.hours + 'h_';
+        f.properties[key + 'max'] = w.total;
+        f.properties[key + 'start'] = w.start;
+        f.properties[key + 'end'] = w.end;
+        f.properties[key + 'exceeded'] = w.exceeded ? 1 : 0;
+      });
+      if (rain.peak) {
+        f.properties.rain_peak_window = rain.peak.label;
+        f.properties.rain_peak_ratio = rain.peak.ratio;
+      }
+      delete f.properties.rain_steps;
+    });
+  }
+  
+  // Roll districts up to divisions / provinces; flood risk, ensemble statistics and warning
+  // levels below are then worked out on the aggregated values
+  if (adminLevel.level !== adminLevels.DISTRICT_LEVEL) {
+    valid = adminLevels.aggregate(valid.map(function(f) { return f.properties; }), adminLevel.level).map(function(p) {
+      if (hazards.spi) {
+        p.spi_category = p.spi === -999 ? -999 : spi.categoryIndex(p.spi);
+      }
+      return {type: 'Feature', geometry: null, properties: p};
+    });
+  }
+  
+  // Compound flood risk; needs the rainfall peak ratio above, so it runs after the hazard scans
+  if (hazards.flood) {
+    valid.forEach(function(f) {
+      var risk = floodRisk.compoundFloodRisk(f.properties, anomalyMode);
+      f.properties.flood_index = risk.index;
+      f.properties.flood_class = risk.classIndex;
+      f.properties.flood_label = risk.label;
+      f.properties.flood_forecast_score = risk.forecastScore;
+      f.properties.flood_forecast_anomaly_score = risk.forecastAnomalyScore;
+      f.properties.flood_peak_score = risk.peakScore;
+      f.properties.flood_precip_score = risk.precipScore;
+      f.properties.flood_soil_score = risk.soilScore === null ? -999 : risk.soilScore;
+      f.properties.flood_wetness_factor = risk.wetnessFactor;
+    });
+  }
+  
+  // Ensemble anomaly per member against the same baseline (and spread, in standardized mode)
+  // as the deterministic forecast, then mean / spread / threshold probabilities
+  if (hazards.ensemble) {
+    // Thresholds the probabilities were computed at, for the click panel
+    hazards.ensemble.redThreshold = currentRedThreshold;
+    hazards.ensemble.blueThreshold = currentBlueThreshold;
+    valid.forEach(function(f) {
+      var p = f.properties;
+      var anomalies = p.ens_members.map(function(value) {
+        if (value === null || value === ensemble.MISSING) return ensemble.MISSING;
+        var diff = value - p.forecast_baseline;
+        if (anomalyMode !== 'standardized') return diff;
+        var z = engine.zScore(diff, p.forecast_sd);
+        return z === null ? ensemble.MISSING : z;
+      });
+      var stats = ensemble.ensembleStats(anomalies, currentRedThreshold, currentBlueThreshold);
+      p.ens_anomalies = anomalies;
+      p.ens_count = stats ? stats.count : 0;
+      p.ens_mean = stats ? stats.mean : -999;
+      p.ens_spread = stats ? stats.spread : -999;
+      p.ens_min = stats ? stats.min : -999;
+      p.ens_max = stats ? stats.max : -999;
+      p.ens_prob_above = stats ? stats.probAbove : -999;
+      p.ens_prob_below = stats ? stats.probBelow : -999;
+      delete p.ens_members;
+    });
+  }
+  
+  // Discrete warning level per district, from the rule set for this parameter and mode
+  var rules = levels.ruleSet(WARNING_RULES, parameter, anomalyMode);
+  valid.forEach(function(f) {
+    var warning = levels.classify(f.properties, rules, anomalyMode);
+    f.properties.warning_level = warning.level;
+    f.properties.warning_label = warning.label;
+    f.properties.warning_reasons = warning.reasons.join('; ');
+  });
+  showWarningSummary(valid, adminLevel);
+  showExportPanel(valid, parameter, horizons, anomalyMode, adminLevel);
+  
+  var fc = resultsCollection(valid, adminLevel);
   
   // Use user-defined thresholds instead of auto-scaling
-  createSingleMapWithLayers(fc, currentRedThreshold, currentBlueThreshold, parameter);
+  createSingleMapWithLayers(fc, currentRedThreshold, currentBlueThreshold, parameter, horizons, anomalyMode, hazards, adminLevel);
+  showBulletinPanel(valid, parameter, horizons, anomalyMode);
   hideLoadingIndicator();
 }
 
 
-function createSingleMapWithLayers(fc, redThreshold, blueThreshold, parameter) {
+// Outline of one division / province: its districts dissolved. `unit` holds its name path
+// (NAME_1.. as client values, or an ee.Feature), as division names repeat across provinces.
+function adminUnitGeometry(adminLevel, unit) {
+  var get = unit instanceof ee.Feature ? function(field) { return unit.get(field); } : function(field) { return unit[field]; };
+  var filters = adminLevels.pathFields(adminLevel.level).map(function(field) { return ee.Filter.eq(field, get(field)); });
+  return pakistanDistricts.filter(ee.Filter.and.apply(null, filters)).union(100).first().geometry();
+}
+
+// Results as an ee.FeatureCollection; aggregated units get their dissolved outline
+function resultsCollection(features, adminLevel) {
+  if (adminLevel.level === adminLevels.DISTRICT_LEVEL) {
+    return ee.FeatureCollection(features);
+  }
+  return ee.FeatureCollection(features.map(function(f) {
+    return ee.Feature(adminUnitGeometry(adminLevel, f.properties), f.properties);
+  }));
+}
+
+// Boundary layer for the chosen level
+function adminBoundaries(adminLevel) {
+  if (adminLevel.level === adminLevels.DISTRICT_LEVEL) {
+    return pakistanDistricts;
+  }
+  return pakistanDistricts.distinct(adminLevels.pathFields(adminLevel.level)).map(function(district) {
+    return ee.Feature(adminUnitGeometry(adminLevel, district), {'name': district.get(adminLevel.field)});
+  });
+}
+
+function createSingleMapWithLayers(fc, redThreshold, blueThreshold, parameter, horizons, anomalyMode, hazards, adminLevel) {
+  var labels = horizonLabels(horizons);
+  // Colour by z-score in standardized mode, by raw per-day difference otherwise
+  var suffix = anomalyMode === 'standardized' ? '_z' : '_diff';
+  var unitLabel = anomalyMode === 'standardized' ? '(σ)' : '(per day)';
+
   // Create map
   mainMap = ui.Map();
   mainMap.setCenter(69.3451, 30.3753, 6);
   mainMap.setOptions('ROADMAP');
+  mainMap.drawingTools().setShown(true);
+  // Layers are clipped to the districts, or to the custom area
+  var mapRegion = adminLevel.custom ? fc : pakistanDistricts;
+  if (adminLevel.custom) {
+    mainMap.centerObject(fc);
+  }
   
   // Color palette: Blue (below) -> Green (normal) -> Red (above)
   var palette = ['#2166ac', '#67a9cf', '#a6dba0', '#4daf4a', '#fdae61', '#ef8a62', '#b2182b'];
   
   // Normalize values based on user-defined thresholds
   // Maps: blueThreshold -> 0, 0 -> 3, redThreshold -> 6
+  var colorByThresholds = function(property) {
+    return fc.map(function(f) {
+      var val = ee.Number(f.get(property));
+      var normalized = ee.Algorithms.If(val.gte(0),
+        val.divide(redThreshold).multiply(3).add(3).min(6),
+        val.divide(Math.abs(blueThreshold)).multiply(3).add(3).max(0)
+      );
+      return f.set('color_index', normalized);
+    });
+  };
   
-  // Layer 1: Past 90-Day Anomaly (per day)
-  var pastLayer = fc.map(function(f) {
-    var val = ee.Number(f.get('past_diff'));
-    // Normalize: blue threshold = 0, zero = 3, red threshold = 6
-    var normalized = ee.Algorithms.If(val.gte(0),
-      val.divide(redThreshold).multiply(3).add(3).min(6),
-      val.divide(Math.abs(blueThreshold)).multiply(3).add(3).max(0)
-    );
-    return f.set('color_index', normalized);
-  });
-  
-  // Layer 2: 16-Day Forecast Anomaly (per day)
-  var forecastLayer = fc.map(function(f) {
-    var val = ee.Number(f.get('forecast_diff'));
-    var normalized = ee.Algorithms.If(val.gte(0),
-      val.divide(redThreshold).multiply(3).add(3).min(6),
-      val.divide(Math.abs(blueThreshold)).multiply(3).add(3).max(0)
-    );
-    return f.set('color_index', normalized);
-  });
-  
-  // Layer 3: Combined Anomaly (per day)
-  var combinedLayer = fc.map(function(f) {
-    var val = ee.Number(f.get('combined_diff'));
-    var normalized = ee.Algorithms.If(val.gte(0),
-      val.divide(redThreshold).multiply(3).add(3).min(6),
-      val.divide(Math.abs(blueThreshold)).multiply(3).add(3).max(0)
-    );
-    return f.set('color_index', normalized);
-  });
+  // Layer 1: Past N-Day Anomaly, Layer 2: M-Day Forecast Anomaly, Layer 3: Combined Anomaly
+  var pastLayer = colorByThresholds('past' + suffix);
+  var forecastLayer = colorByThresholds('forecast' + suffix);
+  var combinedLayer = colorByThresholds('combined' + suffix);
   
   // Create paint images for each layer
   var pastImage = pastLayer.reduceToImage(['color_index'], ee.Reducer.first());
@@ -667,23 +1310,95 @@ function createSingleMapWithLayers(fc, redThreshold, blueThreshold, parameter) {
   // Visualization parameters
   var visParams = {min: 0, max: 6, palette: palette};
   
-  // Add district boundaries
-  var boundaries = pakistanDistricts.style({color: '000000', width: 1, fillColor: '00000000'});
+  // Add boundaries of the chosen administrative level
+  var boundaries = (adminLevel.custom ? fc : adminBoundaries(adminLevel)).style({color: '000000', width: 1, fillColor: '00000000'});
   
   // Add layers to map (Combined layer visible by default, others hidden)
-  mainMap.addLayer(pastImage.clip(pakistanDistricts), visParams, 'Layer 1: Past 90-Day Anomaly (per day)', false);
-  mainMap.addLayer(forecastImage.clip(pakistanDistricts), visParams, 'Layer 2: 16-Day Forecast Anomaly (per day)', false);
-  mainMap.addLayer(combinedImage.clip(pakistanDistricts), visParams, 'Layer 3: Combined Anomaly (per day)', true);
-  mainMap.addLayer(boundaries, {}, 'District Boundaries', true);
+  mainMap.addLayer(pastImage.clip(mapRegion), visParams, 'Layer 1: ' + labels.past + ' Anomaly ' + unitLabel, false);
+  mainMap.addLayer(forecastImage.clip(mapRegion), visParams, 'Layer 2: ' + labels.forecast + ' Anomaly ' + unitLabel, false);
+  mainMap.addLayer(combinedImage.clip(mapRegion), visParams, 'Layer 3: Combined Anomaly ' + unitLabel, true);
+  if (hazards.spi) {
+    // Layer 4: SPI drought, one colour per WMO category (0 = extremely dry ... 6 = extremely wet)
+    var spiImage = fc.filter(ee.Filter.neq('spi_category', -999)).reduceToImage(['spi_category'], ee.Reducer.first());
+    var spiVisParams = {min: 0, max: spi.WMO_CATEGORIES.length - 1, palette: spi.WMO_CATEGORIES.map(function(c) { return c.color; })};
+    mainMap.addLayer(spiImage.clip(mapRegion), spiVisParams, 'Layer 4: ' + hazards.spi.label + ' Drought (WMO)', false);
+  }
+  if (hazards.rainfall) {
+    // Layer 5: districts where any rolling window exceeds the return-period threshold
+    var rainfallImage = fc.filter(ee.Filter.eq('rain_flag', 1)).reduceToImage(['rain_flag'], ee.Reducer.first());
+    mainMap.addLayer(rainfallImage.clip(mapRegion), {min: 1, max: 1, palette: [RAINFALL_ALERT_COLOR]},
+                     'Layer 5: Extreme Rainfall Alert (' + hazards.rainfall.label + ')', false);
+  }
+  if (hazards.flood) {
+    // Layer 6: compound flood risk class
+    var floodImage = fc.reduceToImage(['flood_class'], ee.Reducer.first());
+    var floodVisParams = {min: 0, max: floodRisk.CLASSES.length - 1, palette: floodRisk.CLASSES.map(function(c) { return c.color; })};
+    mainMap.addLayer(floodImage.clip(mapRegion), floodVisParams, 'Layer 6: Compound Flood Risk', false);
+  }
+  if (hazards.heatwave) {
+    // Layer 7: districts with at least one heatwave spell in the forecast
+    var heatwaveImage = fc.filter(ee.Filter.eq('hw_flag', 1)).reduceToImage(['hw_flag'], ee.Reducer.first());
+    mainMap.addLayer(heatwaveImage.clip(mapRegion), {min: 1, max: 1, palette: [HEATWAVE_COLOR]}, 'Layer 7: Heatwave Warning', false);
+  }
+  
+  // Layer 8: warning levels, one colour per level
+  var warningImage = fc.reduceToImage(['warning_level'], ee.Reducer.first());
+  var warningVisParams = {min: 0, max: levels.LEVELS.length - 1, palette: levels.LEVELS.map(function(l) { return l.color; })};
+  mainMap.addLayer(warningImage.clip(mapRegion), warningVisParams, 'Layer 8: Warning Levels', false);
+  if (hazards.ensemble) {
+    // Layers 9-11: ensemble mean on the anomaly colour scale, and the share of members beyond each threshold
+    var ensembleFc = fc.filter(ee.Filter.neq('ens_mean', -999));
+    var ensembleMeanImage = ensembleFc.map(function(f) {
+      var val = ee.Number(f.get('ens_mean'));
+      return f.set('color_index', ee.Algorithms.If(val.gte(0),
+        val.divide(redThreshold).multiply(3).add(3).min(6),
+        val.divide(Math.abs(blueThreshold)).multiply(3).add(3).max(0)));
+    }).reduceToImage(['color_index'], ee.Reducer.first());
+    var probAboveImage = ensembleFc.reduceToImage(['ens_prob_above'], ee.Reducer.first());
+    var probBelowImage = ensembleFc.reduceToImage(['ens_prob_below'], ee.Reducer.first());
+    mainMap.addLayer(ensembleMeanImage.clip(mapRegion), visParams,
+                     'Layer 9: Ensemble Mean Forecast Anomaly ' + unitLabel + ' (' + hazards.ensemble.label + ')', false);
+    mainMap.addLayer(probAboveImage.clip(mapRegion), {min: 0, max: 1, palette: PROBABILITY_ABOVE_PALETTE},
+                     'Layer 10: Probability of Anomaly ≥ ' + redThreshold, false);
+    mainMap.addLayer(probBelowImage.clip(mapRegion), {min: 0, max: 1, palette: PROBABILITY_BELOW_PALETTE},
+                     'Layer 11: Probability of Anomaly ≤ ' + blueThreshold, false);
+  }
+  mainMap.addLayer(boundaries, {}, adminLevel.label + ' Boundaries', true);
+  
+  // Layers a province bulletin can be drawn from, with the legend each needs
+  var units = anomalyMode === 'standardized' ? 'σ' : (parameter === 'precipitation' ? 'mm/day' : '°C');
+  var anomalyLegend = palette.map(function(color, i) {
+    if (i === 0) return {label: '≤ ' + blueThreshold, color: color};
+    if (i === palette.length - 1) return {label: '≥ +' + redThreshold, color: color};
+    var value = i < 3 ? blueThreshold * (3 - i) / 3 : redThreshold * (i - 3) / 3;
+    return {label: (value > 0 ? '+' : '') + Math.round(value * 10) / 10, color: color};
+  });
+  bulletinLayers = [
+    {label: 'Combined Anomaly ' + unitLabel, property: 'combined' + suffix, byMagnitude: true, unit: units,
+     image: combinedImage, vis: visParams, legend: anomalyLegend},
+    {label: labels.forecast + ' Anomaly ' + unitLabel, property: 'forecast' + suffix, byMagnitude: true, unit: units,
+     image: forecastImage, vis: visParams, legend: anomalyLegend},
+    {label: labels.past + ' Anomaly ' + unitLabel, property: 'past' + suffix, byMagnitude: true, unit: units,
+     image: pastImage, vis: visParams, legend: anomalyLegend},
+    {label: 'Warning Levels', property: 'warning_level', byMagnitude: false, unit: '',
+     image: warningImage, vis: warningVisParams,
+     legend: levels.LEVELS.map(function(l) { return {label: l.label, color: l.color}; })}
+  ];
+  if (hazards.flood) {
+    bulletinLayers.push({label: 'Compound Flood Risk', property: 'flood_index', byMagnitude: false, unit: '',
+      image: floodImage, vis: floodVisParams,
+      legend: floodRisk.CLASSES.map(function(c) { return {label: c.label, color: c.color}; })});
+  }
   
   // Add legend with user-defined thresholds
-  addLegend(mainMap, parameter, redThreshold, blueThreshold);
+  addLegend(mainMap, parameter, redThreshold, blueThreshold, horizons, anomalyMode, hazards, adminLevel);
   
   // Add click handler
-  addClickHandler(mainMap, fc, parameter);
+  addClickHandler(mainMap, fc, parameter, horizons, anomalyMode, hazards, adminLevel);
   
   // Add title label
-  var titleLabel = ui.Label('Early Warning System: Weather Anomalies (Per Day)', {
+  var titleLabel = ui.Label('Early Warning System: Weather Anomalies ' + (anomalyMode === 'standardized' ? '(Standardized)' : '(Per Day)') +
+                            (replayState ? ' | Archived Run Issued ' + replayState.date : ''), {
     position: 'top-center', 
     fontSize: '18px', 
     fontWeight: 'bold', 
@@ -713,7 +1428,7 @@ function createSingleMapWithLayers(fc, redThreshold, blueThreshold, parameter) {
 // ===========================================================================================
 // LEGEND (Updated with user-defined thresholds)
 // ===========================================================================================
-function addLegend(map, parameter, redThreshold, blueThreshold) {
+function addLegend(map, parameter, redThreshold, blueThreshold, horizons, anomalyMode, hazards, adminLevel) {
   var legend = ui.Panel({
     style: {
       position: 'bottom-right',
@@ -723,8 +1438,10 @@ function addLegend(map, parameter, redThreshold, blueThreshold) {
     }
   });
 
-  var unit = parameter === 'precipitation' ? 'mm/day' : '°C';
-  var legendTitle = parameter === 'precipitation' ? '📊 Anomaly Legend (Per Day)' : '📊 Anomaly Legend';
+  var standardized = anomalyMode === 'standardized';
+  var unit = standardized ? 'σ' : (parameter === 'precipitation' ? 'mm/day' : '°C');
+  var legendTitle = standardized ? '📊 Standardized Anomaly Legend' :
+    (parameter === 'precipitation' ? '📊 Anomaly Legend (Per Day)' : '📊 Anomaly Legend');
   
   legend.add(ui.Label({
     value: legendTitle,
@@ -766,11 +1483,105 @@ function addLegend(map, parameter, redThreshold, blueThreshold) {
   }));
   legend.add(labelPanel);
   
-  var unitNote = parameter === 'precipitation' ? 'Units: ' + unit + ' (anomaly per day)' : 'Units: ' + unit + ' (anomaly)';
+  var unitNote = standardized ? 'Units: σ (anomaly / district monthly standard deviation)' :
+    (parameter === 'precipitation' ? 'Units: ' + unit + ' (anomaly per day)' : 'Units: ' + unit + ' (anomaly)');
   legend.add(ui.Label({
     value: unitNote,
     style: {fontSize: '12px', margin: '8px 0 0 0', color: '#666', fontStyle: 'italic'}
   }));
+  legend.add(ui.Label({
+    value: 'Window: past ' + horizons.pastDays + ' days + ' + horizons.forecastDays + '-day forecast',
+    style: {fontSize: '12px', margin: '4px 0 0 0', color: '#666', fontStyle: 'italic'}
+  }));
+  legend.add(ui.Label({
+    value: 'Mapped by: ' + adminLevel.label.toLowerCase() +
+      (adminLevel.custom ? ' (ERA5-Land ' + BASELINE_START_YEAR + '-' + BASELINE_END_YEAR + ' baseline)' :
+       adminLevel.level === adminLevels.DISTRICT_LEVEL ? '' : ' (area-weighted from districts)'),
+    style: {fontSize: '12px', margin: '4px 0 0 0', color: '#666', fontStyle: 'italic'}
+  }));
+
+  // Layer 4 key: WMO SPI categories
+  if (hazards.spi) {
+    legend.add(ui.Label({
+      value: 'Layer 4: ' + hazards.spi.label,
+      style: {fontWeight: 'bold', fontSize: '13px', margin: '12px 0 4px 0'}
+    }));
+    spi.WMO_CATEGORIES.forEach(function(c) {
+      var row = ui.Panel({layout: ui.Panel.Layout.flow('horizontal')});
+      row.add(ui.Label({value: '', style: {backgroundColor: c.color, padding: '7px 12px', margin: '2px 6px 2px 0', border: '1px solid #999'}}));
+      row.add(ui.Label({value: c.label + ' (' + c.range + ')', style: {fontSize: '12px', margin: '3px 0 0 0'}}));
+      legend.add(row);
+    });
+  }
+  
+  // Layer 5 key: extreme rainfall alert
+  if (hazards.rainfall) {
+    var limits = extremes.RAINFALL_WINDOWS.map(function(w) {
+      return w.label + ' > ' + hazards.rainfall.returnPeriod.thresholds[w.hours] + ' mm';
+    });
+    var rainfallRow = ui.Panel({layout: ui.Panel.Layout.flow('horizontal'), style: {margin: '12px 0 0 0'}});
+    rainfallRow.add(ui.Label({value: '', style: {backgroundColor: RAINFALL_ALERT_COLOR, padding: '7px 12px', margin: '2px 6px 2px 0', border: '1px solid #999'}}));
+    rainfallRow.add(ui.Label({
+      value: 'Layer 5: Extreme Rainfall Alert (' + hazards.rainfall.label + ')\n' + limits.join(', '),
+      style: {fontSize: '12px', margin: '0', whiteSpace: 'pre-line'}
+    }));
+    legend.add(rainfallRow);
+  }
+  
+  // Layer 6 key: compound flood risk classes
+  if (hazards.flood) {
+    legend.add(ui.Label({
+      value: 'Layer 6: Compound Flood Risk' + (hazards.flood.soilImage ? ' (with soil moisture)' : ''),
+      style: {fontWeight: 'bold', fontSize: '13px', margin: '12px 0 4px 0'}
+    }));
+    var floodRow = ui.Panel({layout: ui.Panel.Layout.flow('horizontal')});
+    floodRisk.CLASSES.forEach(function(c) {
+      floodRow.add(ui.Label({value: '', style: {backgroundColor: c.color, padding: '7px 12px', margin: '2px 4px 2px 0', border: '1px solid #999'}}));
+      floodRow.add(ui.Label({value: c.label, style: {fontSize: '12px', margin: '3px 10px 0 0'}}));
+    });
+    legend.add(floodRow);
+  }
+  
+  // Layer 7 key: heatwave warning
+  if (hazards.heatwave) {
+    var heatwaveRow = ui.Panel({layout: ui.Panel.Layout.flow('horizontal'), style: {margin: '12px 0 0 0'}});
+    heatwaveRow.add(ui.Label({value: '', style: {backgroundColor: HEATWAVE_COLOR, padding: '7px 12px', margin: '2px 6px 2px 0', border: '1px solid #999'}}));
+    heatwaveRow.add(ui.Label({
+      value: 'Layer 7: Heatwave Warning\n' + hazards.heatwave.minDays + '+ days with daily max above ' + hazards.heatwave.label,
+      style: {fontSize: '12px', margin: '0', whiteSpace: 'pre-line'}
+    }));
+    legend.add(heatwaveRow);
+  }
+  
+  // Layer 8 key: warning levels
+  legend.add(ui.Label({
+    value: 'Layer 8: Warning Levels',
+    style: {fontWeight: 'bold', fontSize: '13px', margin: '12px 0 4px 0'}
+  }));
+  var levelRow = ui.Panel({layout: ui.Panel.Layout.flow('horizontal')});
+  levels.LEVELS.forEach(function(l) {
+    levelRow.add(ui.Label({value: '', style: {backgroundColor: l.color, padding: '7px 12px', margin: '2px 4px 2px 0', border: '1px solid #999'}}));
+    levelRow.add(ui.Label({value: l.label, style: {fontSize: '12px', margin: '3px 10px 0 0'}}));
+  });
+  legend.add(levelRow);
+  
+  // Layers 10-11 key: 0-100 % of ensemble members beyond the thresholds
+  if (hazards.ensemble) {
+    legend.add(ui.Label({
+      value: 'Layers 10-11: Ensemble Probability (' + hazards.ensemble.label + ')',
+      style: {fontWeight: 'bold', fontSize: '13px', margin: '12px 0 4px 0'}
+    }));
+    [{palette: PROBABILITY_ABOVE_PALETTE, label: '≥ +' + redThreshold + ' ' + unit},
+     {palette: PROBABILITY_BELOW_PALETTE, label: '≤ ' + blueThreshold + ' ' + unit}].forEach(function(key) {
+      var row = ui.Panel({layout: ui.Panel.Layout.flow('horizontal')});
+      row.add(ui.Label({value: '0%', style: {fontSize: '12px', margin: '3px 4px 0 0'}}));
+      key.palette.forEach(function(color) {
+        row.add(ui.Label({value: '', style: {backgroundColor: color, padding: '7px 10px', margin: '2px 0'}}));
+      });
+      row.add(ui.Label({value: '100%  ' + key.label, style: {fontSize: '12px', margin: '3px 0 0 4px'}}));
+      legend.add(row);
+    });
+  }
 
   map.add(legend);
 }
@@ -779,7 +1590,8 @@ function addLegend(map, parameter, redThreshold, blueThreshold) {
 // ===========================================================================================
 // CLICK HANDLER - Enhanced: Shows Calculated Value, Baseline, and Difference
 // ===========================================================================================
-function addClickHandler(map, fc, parameter) {
+function addClickHandler(map, fc, parameter, horizons, anomalyMode, hazards, adminLevel) {
+  var labels = horizonLabels(horizons);
   map.onClick(function(coords) {
     showDistrictLoadingIndicator();
     
@@ -788,7 +1600,7 @@ function addClickHandler(map, fc, parameter) {
     
     clickedDistrict.evaluate(function(feature, err) {
       if (err || !feature) {
-        showDistrictInfo('Click on a District', 'Click on any district to see detailed anomaly information.');
+        showDistrictInfo('Click on a ' + adminLevel.label, 'Click on any ' + adminLevel.label.toLowerCase() + ' to see detailed anomaly information.');
         return;
       }
       
@@ -807,6 +1619,12 @@ function addClickHandler(map, fc, parameter) {
         return prefix + val.toFixed(2);
       };
       
+      // Extra line per window in standardized mode: z-score and the spread behind it
+      var fmtZ = function(z, sd) {
+        if (anomalyMode !== 'standardized') return '';
+        return '   Standardized: ' + fmtDiff(z) + ' σ  (σ = ' + fmt(sd) + ' ' + unit + ')\n';
+      };
+      
       var pastStatus = getAnomalyStatus(props.past_diff);
       var forecastStatus = getAnomalyStatus(props.forecast_diff);
       var combinedStatus = getAnomalyStatus(props.combined_diff);
@@ -816,26 +1634,565 @@ function addClickHandler(map, fc, parameter) {
       var combinedLabel = parameter === 'precipitation' ? ' (per day average)' : '';
       
       var content = 
+        (props.member_count ? '🗺️ ' + adminLevel.label + ': area-weighted over ' + props.member_count + ' districts\n' : '') +
+        '🚦 Warning Level: ' + (props.warning_label || 'N/A').toUpperCase() + '\n' +
+        (props.warning_reasons ? '   Why: ' + props.warning_reasons + '\n' : '') +
         '━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n' +
-        'Past 90 Days' + perDayLabel + ':\n' +
+        labels.past + ' Window' + perDayLabel + ':\n' +
+        '   Period:         ' + (props.past_start || 'N/A') + ' to ' + (props.past_end || 'N/A') + '\n' +
         '   Observed:     ' + fmt(props.past_value) + ' ' + unit + '\n' +
         '   Baseline:     ' + fmt(props.past_baseline) + ' ' + unit + '\n' +
-        '   Difference:  ' + fmtDiff(props.past_diff) + ' ' + unit + ' ' + pastStatus + '\n\n' +
-        '16-Day Forecast' + forecastLabel + ':\n' +
+        '   Difference:  ' + fmtDiff(props.past_diff) + ' ' + unit + ' ' + pastStatus + '\n' +
+        fmtZ(props.past_z, props.past_sd) + '\n' +
+        labels.forecast + forecastLabel + ':\n' +
         '   Forecasted:  ' + fmt(props.forecast_value) + ' ' + unit + '\n' +
         '   Baseline:     ' + fmt(props.forecast_baseline) + ' ' + unit + '\n' +
-        '   Difference:  ' + fmtDiff(props.forecast_diff) + ' ' + unit + ' ' + forecastStatus + '\n\n' +
-        'Combined' + combinedLabel + ':\n' +
+        '   Difference:  ' + fmtDiff(props.forecast_diff) + ' ' + unit + ' ' + forecastStatus + '\n' +
+        fmtZ(props.forecast_z, props.forecast_sd) + '\n' +
+        'Combined ' + horizons.pastDays + '+' + horizons.forecastDays + ' Days' + combinedLabel + ':\n' +
         '   Value:         ' + fmt(props.combined_value) + ' ' + unit + '\n' +
         '   Baseline:     ' + fmt(props.combined_baseline) + ' ' + unit + '\n' +
         '   Difference:  ' + fmtDiff(props.combined_diff) + ' ' + unit + ' ' + combinedStatus + '\n' +
+        fmtZ(props.combined_z, props.combined_sd) +
         '━━━━━━━━━━━━━━━━━━━━━━━━━━━━';
       
-      showDistrictInfo(props.district_name || 'District', content);
+      if (hazards.ensemble && props.ens_count > 0) {
+        var zUnit = anomalyMode === 'standardized' ? 'σ' : unit;
+        content += '\n\nForecast Ensemble (' + props.ens_count + ' of ' + hazards.ensemble.members.length + ' members):\n' +
+          '   Mean anomaly:  ' + fmtDiff(props.ens_mean) + ' ' + zUnit + '\n' +
+          '   Spread:            ' + fmt(props.ens_spread) + ' ' + zUnit +
+          '  (range ' + fmtDiff(props.ens_min) + ' to ' + fmtDiff(props.ens_max) + ')\n' +
+          '   P(≥ +' + hazards.ensemble.redThreshold + '):       ' + Math.round(props.ens_prob_above * 100) + '%\n' +
+          '   P(≤ ' + hazards.ensemble.blueThreshold + '):        ' + Math.round(props.ens_prob_below * 100) + '%';
+        hazards.ensemble.members.forEach(function(member, i) {
+          content += '\n      ' + member.label + ':  ' + fmtDiff(props.ens_anomalies[i]) + ' ' + zUnit;
+        });
+      }
+      
+      if (hazards.spi) {
+        var spiCategory = spi.category(props.spi);
+        content += '\n\nDrought (' + hazards.spi.label + '):\n' +
+          '   SPI:              ' + fmtDiff(props.spi) + (spiCategory ? '  (' + spiCategory.label + ')' : '');
+      }
+      
+      if (hazards.rainfall) {
+        content += '\n\nExtreme Rainfall (' + hazards.rainfall.label + '):' + (props.rain_flag ? '  ⚠️ ALERT' : '');
+        extremes.RAINFALL_WINDOWS.forEach(function(w) {
+          var key = 'rain_' + w.hours + 'h_';
+          if (props[key + 'max'] === undefined) return; // window longer than the forecast horizon
+          content += '\n   ' + w.label + ' peak:  ' + fmt(props[key + 'max']) + ' mm' +
+            ' (threshold ' + hazards.rainfall.returnPeriod.thresholds[w.hours] + ' mm)' +
+            (props[key + 'exceeded'] ? ' ⚠️' : '') +
+            '\n      ' + props[key + 'start'] + ' to ' + props[key + 'end'] + ' PKT';
+        });
+        if (props.rain_peak_window) {
+          content += '\n   Most severe:  ' + props.rain_peak_window + ' window at ' + fmt(props.rain_peak_ratio) + '× threshold';
+        }
+      }
+      
+      if (hazards.flood) {
+        var fmtScore = function(val) { return (val === undefined || val === null || val === -999) ? 'N/A' : val.toFixed(2); };
+        var floodDefaults = floodRisk.DEFAULTS;
+        content += '\n\nCompound Flood Risk:  ' + fmtScore(props.flood_index) + '  (' + props.flood_label + ')\n' +
+          '   Forecast heavy rain:  ' + fmtScore(props.flood_forecast_score) +
+          '  (anomaly ' + fmtScore(props.flood_forecast_anomaly_score) + ', peak ' + fmtScore(props.flood_peak_score) + ')\n' +
+          '   Antecedent rainfall:  ' + fmtScore(props.flood_precip_score) + '\n' +
+          (hazards.flood.soilImage ?
+            '   Soil moisture:          ' + fmtScore(props.flood_soil_score) + '  (z ' + fmtDiff(props.soil_z) + ' on ' + hazards.flood.soilDate + ')\n' : '') +
+          '   Wetness multiplier:   ' + fmtScore(props.flood_wetness_factor) +
+          '  (floor ' + floodDefaults.wetnessFloor + ')\n' +
+          '   Index = forecast × multiplier';
+      }
+      
+      if (hazards.heatwave) {
+        var threshold = fmt(props.hw_threshold) + ' °C (' + hazards.heatwave.label + ')';
+        content += '\n\nHeatwave (' + hazards.heatwave.minDays + '+ days above threshold):\n' +
+          (props.hw_flag ?
+            '   ⚠️ WARNING' + (props.hw_count > 1 ? ' (' + props.hw_count + ' spells, first shown)' : '') + '\n' +
+            '   Onset:          ' + props.hw_onset + '\n' +
+            '   Duration:      ' + props.hw_duration + ' days (to ' + props.hw_end + ')\n' +
+            '   Peak:            ' + fmt(props.hw_peak) + ' °C on ' + props.hw_peak_date + '\n' :
+            '   No heatwave in the forecast\n') +
+          '   Threshold:    ' + threshold;
+      }
+      
+      showDistrictInfo((props.member_count ? adminLevel.label + ': ' : '') + (props.district_name || adminLevel.label), content);
+      if (replayState) {
+        addWarningHistoryChart(props[runArchive.ID_FIELD], props.district_name, parameter, anomalyMode);
+      } else {
+        addRunTrendChart(clickedDistrict.geometry(), props, parameter, horizons, anomalyMode);
+      }
+      if (hazards.spi) {
+        addSpiChart(clickedDistrict.geometry(), props.district_name || 'District', hazards.spi);
+      }
     });
   });
 }
 
+// Forecast anomaly of the district from each of the last RUN_HISTORY_RUNS GFS runs (all cut to
+// the current valid window, against the same baseline), with a trend line for the newest
+// run against the one before, so flip-flopping forecasts are visible
+function addRunTrendChart(geometry, props, parameter, horizons, anomalyMode) {
+  var targetPanel = districtInfoPanel;
+  var chartLoading = ui.Label('Loading forecasts from the last ' + RUN_HISTORY_RUNS + ' GFS runs...', {fontSize: '12px', color: '#888', fontStyle: 'italic'});
+  targetPanel.add(chartLoading);
+  var standardized = anomalyMode === 'standardized';
+  var unit = standardized ? 'σ' : (parameter === 'precipitation' ? 'mm/day' : '°C');
+  
+  ensemble.eeRecentRunStarts(gfsEnsembleDataset, RUN_HISTORY_RUNS).evaluate(function(runStarts, err) {
+    if (targetPanel !== districtInfoPanel) return;
+    if (err || !runStarts || runStarts.length === 0) {
+      targetPanel.remove(chartLoading);
+      targetPanel.add(ui.Label('Run history unavailable: ' + err, {fontSize: '12px', color: '#c0392b'}));
+      return;
+    }
+    // Every member as a band of one image, so the district takes a single reduceRegion
+    var members = laggedRunMembers(runStarts, horizons.forecastDays);
+    var bands = members.map(function(member, i) { return ENSEMBLE_PREFIX + i; });
+    var means = ee.Image.cat(members.map(function(member, i) {
+      return gfsMemberImage(member, parameter, horizons.forecastDays).rename(bands[i]);
+    })).reduceRegion({reducer: ee.Reducer.mean(), geometry: geometry, scale: pipeline.REDUCE_SCALE, bestEffort: true});
+    pipeline.eeBandValues(ee.Feature(null, means), bands, ensemble.MISSING).evaluate(function(values, err2) {
+      // The user may have clicked another district while this was loading
+      if (targetPanel !== districtInfoPanel) return;
+      targetPanel.remove(chartLoading);
+      if (err2 || !values) {
+        targetPanel.add(ui.Label('Run history unavailable: ' + err2, {fontSize: '12px', color: '#c0392b'}));
+        return;
+      }
+      var anomalies = values.map(function(value) {
+        if (value === ensemble.MISSING) return ensemble.MISSING;
+        var diff = value - props.forecast_baseline;
+        if (!standardized) return diff;
+        var z = engine.zScore(diff, props.forecast_sd);
+        return z === null ? ensemble.MISSING : z;
+      });
+      
+      var trend = ensemble.runTrend(anomalies, RUN_TREND_TOLERANCE[standardized ? 'standardized' : 'absolute']);
+      var words = parameter === 'precipitation' ? ['drier', 'wetter'] : ['cooler', 'warmer'];
+      var trendText = !trend ? 'Trend: N/A (previous run missing)' :
+        trend.direction === 0 ? '➡️ Steady: within ' + RUN_TREND_TOLERANCE[standardized ? 'standardized' : 'absolute'] + ' ' + unit + ' of the previous run' :
+        (trend.direction > 0 ? '⬆️ ' : '⬇️ ') + (trend.direction > 0 ? words[1] : words[0]).toUpperCase() +
+          ' than the previous run (' + (trend.change > 0 ? '+' : '') + trend.change.toFixed(2) + ' ' + unit + ')';
+      targetPanel.add(ui.Label('Run-to-run: ' + trendText, {fontSize: '13px', fontWeight: 'bold', color: '#34495e', margin: '10px 0 0 0'}));
+      
+      // Oldest run on the left
+      var rows = [[{label: 'GFS run', type: 'string'}, {label: 'Forecast anomaly (' + unit + ')', type: 'number'}]];
+      members.slice().reverse().forEach(function(member, i) {
+        var anomaly = anomalies[members.length - 1 - i];
+        rows.push([member.label.replace('GFS ', ''), anomaly === ensemble.MISSING ? null : anomaly]);
+      });
+      targetPanel.add(ui.Chart(rows, 'LineChart', {
+        title: (props.district_name || 'District') + ': ' + horizons.forecastDays + '-day forecast anomaly by GFS run',
+        legend: {position: 'none'},
+        pointSize: 5,
+        hAxis: {title: 'Run (UTC)', slantedText: true, textStyle: {fontSize: 10}},
+        vAxis: {title: 'Anomaly (' + unit + ')'},
+        colors: ['#2980b9'],
+        height: 220
+      }));
+    });
+  });
+}
+
+// Warning level of the district in every loaded archived run, with its combined anomaly, and
+// the issue dates on which the level changed; districts are matched by id across runs
+function addWarningHistoryChart(districtId, districtName, parameter, anomalyMode) {
+  var targetPanel = districtInfoPanel;
+  var runs = replayState.runs;
+  if (!districtId) {
+    targetPanel.add(ui.Label('Warning history unavailable: this run was archived without district ids (' +
+      runArchive.ID_FIELD + ').', {fontSize: '12px', color: '#c0392b'}));
+    return;
+  }
+  var chartLoading = ui.Label('Loading ' + districtName + ' from ' + runs.length + ' archived runs...', {fontSize: '12px', color: '#888', fontStyle: 'italic'});
+  targetPanel.add(chartLoading);
+  var suffix = anomalyMode === 'standardized' ? '_z' : '_diff';
+  var unit = anomalyMode === 'standardized' ? 'σ' : (parameter === 'precipitation' ? 'mm/day' : '°C');
+  
+  runArchive.eeDistrictHistory(runs, districtId, ['warning_level', 'warning_label', 'combined' + suffix]).evaluate(function(table, err) {
+    // The user may have clicked another district while this was loading
+    if (targetPanel !== districtInfoPanel) return;
+    targetPanel.remove(chartLoading);
+    if (err || !table) {
+      targetPanel.add(ui.Label('Warning history unavailable: ' + err, {fontSize: '12px', color: '#c0392b'}));
+      return;
+    }
+    var history = table.features.map(function(f) {
+      var p = f.properties;
+      return {date: p.issue_date, level: p.warning_level, label: p.warning_label, anomaly: p['combined' + suffix]};
+    }).filter(function(entry) {
+      return entry.level !== undefined && entry.level !== pipeline.MISSING;
+    }).sort(function(a, b) { return a.date < b.date ? -1 : (a.date > b.date ? 1 : 0); });
+    if (history.length === 0) {
+      targetPanel.add(ui.Label('No archived warnings for ' + districtName + '.', {fontSize: '12px', color: '#888'}));
+      return;
+    }
+    
+    // The first entry is the starting level, not a change
+    var changes = runArchive.statusChanges(history).slice(1);
+    targetPanel.add(ui.Label('Status changes (' + history[0].date + ' to ' + history[history.length - 1].date + '):\n' +
+      (changes.length === 0 ? '   None: ' + history[0].label + ' throughout' : changes.map(function(c) {
+        return '   ' + c.date + ':  ' + c.from + ' → ' + c.to;
+      }).join('\n')), {fontSize: '12px', whiteSpace: 'pre', margin: '10px 0 0 0'}));
+    
+    var rows = [[{label: 'Issue date', type: 'string'}, {label: 'Warning level', type: 'number'},
+                 {label: 'Combined anomaly (' + unit + ')', type: 'number'}]];
+    history.forEach(function(entry) {
+      rows.push([entry.date, entry.level, entry.anomaly === pipeline.MISSING ? null : entry.anomaly]);
+    });
+    targetPanel.add(ui.Chart(rows, 'ComboChart', {
+      title: districtName + ': warning level by issue date',
+      seriesType: 'line',
+      series: {
+        0: {type: 'steppedArea', targetAxisIndex: 0, color: '#e67e22'},
+        1: {targetAxisIndex: 1, color: '#2980b9', pointSize: 3}
+      },
+      vAxes: {
+        0: {title: 'Warning level', viewWindow: {min: 0, max: levels.LEVELS.length - 1},
+            ticks: levels.LEVELS.map(function(l) { return {v: l.level, f: l.label}; })},
+        1: {title: 'Anomaly (' + unit + ')'}
+      },
+      hAxis: {slantedText: true, textStyle: {fontSize: 10}},
+      legend: {position: 'bottom'},
+      height: 240
+    }));
+  });
+}
+
+// SPI time series for one district over the last SPI_CHART_YEARS years, bars in WMO colours.
+// Fetches the district's full monthly record so the gamma fit uses every year, not just the chart.
+function addSpiChart(geometry, districtName, spiWindow) {
+  var targetPanel = districtInfoPanel;
+  var chartLoading = ui.Label('Loading SPI-' + spiWindow.scale + ' history...', {fontSize: '12px', color: '#888', fontStyle: 'italic'});
+  targetPanel.add(chartLoading);
+  
+  spi.eeDistrictMonthlySeries(era5SpiDataset, geometry).evaluate(function(dict, err) {
+    // The user may have clicked another district while this was loading
+    if (targetPanel !== districtInfoPanel) return;
+    targetPanel.remove(chartLoading);
+    if (err || !dict) {
+      targetPanel.add(ui.Label('SPI history unavailable: ' + err, {fontSize: '12px', color: '#c0392b'}));
+      return;
+    }
+    
+    var points = spi.spiSeries(spi.seriesFromBandDictionary(dict), spiWindow.scale).filter(function(p) {
+      return p.spi !== null && p.year > spiWindow.endYear - SPI_CHART_YEARS;
+    });
+    var rows = [[{label: 'Month', type: 'string'}, {label: 'SPI-' + spiWindow.scale, type: 'number'}, {role: 'style', type: 'string'}]];
+    points.forEach(function(p) {
+      var label = p.year + '-' + (p.month < 9 ? '0' : '') + (p.month + 1);
+      rows.push([label, p.spi, 'color: ' + spi.category(p.spi).color]);
+    });
+    
+    var chart = ui.Chart(rows, 'ColumnChart', {
+      title: districtName + ': SPI-' + spiWindow.scale + ' (last ' + SPI_CHART_YEARS + ' years)',
+      legend: {position: 'none'},
+      hAxis: {title: 'Month', showTextEvery: 12, textStyle: {fontSize: 10}},
+      vAxis: {title: 'SPI', viewWindow: {min: -spi.SPI_LIMIT, max: spi.SPI_LIMIT}},
+      bar: {groupWidth: '90%'},
+      height: 250
+    });
+    targetPanel.add(chart);
+  });
+}
+
+// ===========================================================================================
+// ARCHIVE REPLAY - Dated runs of the scheduled job on a time slider
+// ===========================================================================================
+// Lists the archived runs of the selected parameter and units, shows the newest, and puts a
+// slider (and a jump-to-date box) over their issue dates
+function loadArchive() {
+  var parameter = parameterSelect.getValue();
+  var anomalyMode = anomalyModeSelect.getValue();
+  replayPanel.clear();
+  replayPanel.add(ui.Label('Listing ' + ARCHIVE_FOLDER + '...', {fontSize: '12px', color: '#888', fontStyle: 'italic'}));
+  
+  runArchive.eeListRuns(ARCHIVE_FOLDER, parameter, anomalyMode, function(runs, err) {
+    replayPanel.clear();
+    if (!runs || runs.length === 0) {
+      replayPanel.add(ui.Label(err ? 'Archive unavailable: ' + err :
+        'No archived ' + parameter + ' (' + anomalyMode + ') runs in ' + ARCHIVE_FOLDER, {fontSize: '12px', color: '#c0392b'}));
+      return;
+    }
+    var dateLabel = ui.Label('', {fontSize: '13px', fontWeight: 'bold', margin: '0 0 5px 0'});
+    replayPanel.add(ui.Label(runs.length + ' runs, ' + runs[0].date + ' to ' + runs[runs.length - 1].date,
+      {fontSize: '12px', color: '#555', margin: '0 0 5px 0'}));
+    replayPanel.add(dateLabel);
+    if (runs.length > 1) {
+      // Debounced so dragging across many dates only draws where the slider stops
+      var slider = ui.Slider({
+        min: 0,
+        max: runs.length - 1,
+        step: 1,
+        value: runs.length - 1,
+        style: { width: '330px' },
+        onChange: ui.util.debounce(function(index) {
+          showArchivedRun(runs, index, parameter, anomalyMode, dateLabel);
+        }, 600)
+      });
+      var jumpBox = ui.Textbox({
+        placeholder: 'Jump to date (YYYY-MM-DD)',
+        style: { width: '200px' },
+        onChange: function(text) { slider.setValue(runArchive.runIndexFor(runs, text.trim())); }
+      });
+      replayPanel.add(slider).add(jumpBox);
+    }
+    showArchivedRun(runs, runs.length - 1, parameter, anomalyMode, dateLabel);
+  });
+}
+
+// Draws one archived run with the thresholds and horizons it was issued with, keeping the
+// current map view. Hazard layers are not archived, so only anomalies and warnings are shown.
+function showArchivedRun(runs, index, parameter, anomalyMode, dateLabel) {
+  var run = runs[index];
+  dateLabel.setValue('Issued ' + run.date + '  (' + (index + 1) + ' of ' + runs.length + ')');
+  replayState = {runs: runs, index: index, date: run.date};
+  var bounds = mainMap ? mainMap.getBounds() : null;
+  var zoom = mainMap ? mainMap.getZoom() : null;
+  clearDistrictPanel();
+  showLoadingIndicator('Loading the run issued ' + run.date + '...');
+  
+  var fc = ee.FeatureCollection(run.id).filter(ee.Filter.neq('warning_level', pipeline.MISSING));
+  var columns = ['district_name', 'warning_level', 'warning_label', 'warning_reasons',
+                 'red_threshold', 'blue_threshold', 'past_days', 'forecast_days'];
+  fc.map(function(f) { return ee.Feature(ee.Feature(null).copyProperties(f, columns)); }).evaluate(function(table, err) {
+    // Another date may have been picked, or a live run generated, while this was loading
+    if (!replayState || replayState.index !== index || replayState.runs !== runs) return;
+    hideLoadingIndicator();
+    if (err || !table || table.features.length === 0) {
+      print('Archived run error:', err || 'no districts with data in ' + run.id);
+      return;
+    }
+    var meta = table.features[0].properties;
+    var horizons = {pastDays: meta.past_days, forecastDays: meta.forecast_days};
+    var hazards = {spi: null, heatwave: null, rainfall: null, flood: null, ensemble: null};
+    var districtLevel = adminLevels.level(adminLevels.DISTRICT_LEVEL);
+    
+    // Export and bulletin panels belong to the live run
+    exportWidgets.concat(bulletinWidgets).forEach(function(widget) { panel.remove(widget); });
+    exportWidgets = [];
+    bulletinWidgets = [];
+    showWarningSummary(table.features, districtLevel);
+    createSingleMapWithLayers(fc, meta.red_threshold, meta.blue_threshold, parameter, horizons, anomalyMode, hazards, districtLevel);
+    if (bounds) {
+      mainMap.setCenter((bounds[0] + bounds[2]) / 2, (bounds[1] + bounds[3]) / 2, zoom);
+    }
+  });
+}
+
+
+// ===========================================================================================
+// WARNING SUMMARY (side panel)
+// ===========================================================================================
+// Count per level plus a table of every district at Watch or above, most severe first
+function showWarningSummary(features, adminLevel) {
+  warningSummaryWidgets.forEach(function(widget) { panel.remove(widget); });
+  warningSummaryWidgets = [];
+  
+  var counts = levels.countByLevel(features.map(function(f) { return f.properties.warning_level; }));
+  var summaryPanel = ui.Panel({
+    style: { backgroundColor: '#fdfdfd', border: '2px solid #7f8c8d', margin: '15px 0', padding: '10px', borderRadius: '5px' }
+  });
+  summaryPanel.add(ui.Label('🚦 Warning Summary', {fontWeight: 'bold', fontSize: '15px', margin: '0 0 6px 0'}));
+  summaryPanel.add(ui.Label(levels.LEVELS.map(function(l) { return l.label + ': ' + counts[l.level]; }).join('   |   '),
+    {fontSize: '12px', margin: '0 0 8px 0'}));
+  
+  var flagged = features.filter(function(f) { return f.properties.warning_level > 0; });
+  flagged.sort(function(a, b) { return b.properties.warning_level - a.properties.warning_level; });
+  if (flagged.length === 0) {
+    summaryPanel.add(ui.Label('No ' + adminLevel.label.toLowerCase() + ' above Normal.', {fontSize: '12px', color: '#1a9850'}));
+  } else {
+    var rows = [[{label: adminLevel.label, type: 'string'}, {label: 'Level', type: 'string'}, {label: 'Why', type: 'string'}]];
+    flagged.forEach(function(f) {
+      rows.push([f.properties.district_name, f.properties.warning_label, f.properties.warning_reasons]);
+    });
+    summaryPanel.add(ui.Chart(rows, 'Table', {allowHtml: false, pageSize: 15}));
+  }
+  panel.add(summaryPanel);
+  warningSummaryWidgets.push(summaryPanel);
+}
+
+// ===========================================================================================
+// RESULTS EXPORT (side panel)
+// ===========================================================================================
+// Full per-district results of this run with run metadata: Export.table tasks (CSV + GeoJSON,
+// to Drive or EXPORT_BUCKET) and in-app download links
+function showExportPanel(features, parameter, horizons, anomalyMode, adminLevel) {
+  exportWidgets.forEach(function(widget) { panel.remove(widget); });
+  exportWidgets = [];
+  
+  var exportPanel = ui.Panel({
+    style: { backgroundColor: '#fdfdfd', border: '2px solid #7f8c8d', margin: '15px 0', padding: '10px', borderRadius: '5px' }
+  });
+  exportPanel.add(ui.Label('📤 Export Results', {fontWeight: 'bold', fontSize: '15px', margin: '0 0 6px 0'}));
+  var status = ui.Label('Preparing table...', {fontSize: '12px', color: '#888', fontStyle: 'italic'});
+  exportPanel.add(status);
+  panel.add(exportPanel);
+  exportWidgets.push(exportPanel);
+  
+  // Metadata is fixed now, so the table matches the map even if the controls change afterwards
+  var generated = new Date();
+  var first = features[0].properties;
+  var thresholds = {red: currentRedThreshold, blue: currentBlueThreshold};
+  engine.eeLatestRun(gfsDataset).aggregate_max('creation_time').evaluate(function(runMillis) {
+    var metadata = resultsExport.runMetadata({
+      parameter: parameter,
+      anomalyMode: anomalyMode,
+      redThreshold: thresholds.red,
+      blueThreshold: thresholds.blue,
+      gfsRunMillis: runMillis,
+      pastMode: first.past_mode,
+      pastStart: first.past_start,
+      pastEnd: first.past_end,
+      pastDays: horizons.pastDays,
+      forecastDays: horizons.forecastDays,
+      generated: generated
+    });
+    var name = resultsExport.fileName(metadata);
+    var columns = resultsExport.columnsFor(features.map(function(f) {
+      return resultsExport.flattenProperties(f.properties, metadata);
+    }));
+    var table = resultsExport.eeResultsTable(features, metadata, adminLevel.level === adminLevels.DISTRICT_LEVEL ? null :
+      function(p) { return adminUnitGeometry(adminLevel, p); });
+    
+    status.setValue(features.length + ' ' + adminLevel.plural.toLowerCase() + ', ' + columns.length + ' columns\n' +
+                    'GFS run: ' + (metadata.gfs_run || 'N/A') + '\nGenerated: ' + metadata.generated);
+    status.style().set({whiteSpace: 'pre-line', fontStyle: 'normal', color: '#34495e'});
+    
+    exportPanel.add(ui.Button({
+      label: 'Export CSV + GeoJSON to ' + (EXPORT_BUCKET ? 'Cloud Storage (' + EXPORT_BUCKET + ')' : 'Drive'),
+      style: { margin: '8px 0 0 0', width: '320px' },
+      onClick: function() {
+        resultsExport.exportTables(table, name, columns, EXPORT_BUCKET);
+        print('Export tasks created for ' + name + ': start them from the Tasks tab.');
+      }
+    }));
+    
+    var links = ui.Label('Preparing download links...', {fontSize: '12px', color: '#888', margin: '8px 0 0 0'});
+    exportPanel.add(links);
+    resultsExport.downloadUrls(table, name, columns, DOWNLOAD_SIMPLIFY_METERS, function(urls, err) {
+      if (!urls) {
+        links.setValue('Download links unavailable: ' + err);
+        return;
+      }
+      links.setValue('⬇️ Download CSV');
+      links.setUrl(urls.csv);
+      exportPanel.add(ui.Label('⬇️ Download GeoJSON (simplified outlines)', {fontSize: '12px', margin: '4px 0 0 0'}, urls.geojson));
+    });
+  });
+}
+
+// ===========================================================================================
+// PROVINCE BULLETIN (side panel)
+// ===========================================================================================
+// One-page bulletin per province from the current map: static thumbnail of a chosen layer,
+// legend, top-N districts on that layer with their warning status and a fixed summary text.
+// The page is shown as HTML to copy into a .html file; the map image can also be exported to Drive.
+function showBulletinPanel(features, parameter, horizons, anomalyMode) {
+  bulletinWidgets.forEach(function(widget) { panel.remove(widget); });
+  bulletinWidgets = [];
+  
+  var propertiesList = features.map(function(f) { return f.properties; });
+  var provinceNames = bulletin.provinces(propertiesList);
+  if (provinceNames.length === 0) return;
+  var issued = engine.formatDate(new Date());
+  
+  var bulletinPanel = ui.Panel({
+    style: { backgroundColor: '#fdfdfd', border: '2px solid #7f8c8d', margin: '15px 0', padding: '10px', borderRadius: '5px' }
+  });
+  bulletinPanel.add(ui.Label('📰 Province Bulletin', {fontWeight: 'bold', fontSize: '15px', margin: '0 0 6px 0'}));
+  var provinceSelect = ui.Select({items: provinceNames, value: provinceNames[0], style: {width: '320px'}});
+  var layerSelect = ui.Select({
+    items: bulletinLayers.map(function(layer, i) { return {label: layer.label, value: i}; }),
+    value: 0,
+    style: {width: '320px'}
+  });
+  var topNSelect = ui.Select({
+    items: BULLETIN_TOP_N_OPTIONS.map(function(n) { return {label: 'Top ' + n + ' districts', value: n}; }),
+    value: bulletin.DEFAULT_TOP_N,
+    style: {width: '320px'}
+  });
+  var output = ui.Panel();
+  bulletinPanel.add(provinceSelect).add(layerSelect).add(topNSelect);
+  bulletinPanel.add(ui.Button({
+    label: 'Generate Bulletin',
+    style: { margin: '8px 0 0 0', width: '320px' },
+    onClick: function() {
+      generateBulletin(propertiesList, provinceSelect.getValue(), bulletinLayers[layerSelect.getValue()],
+                       topNSelect.getValue(), parameter, horizons, issued, output);
+    }
+  }));
+  bulletinPanel.add(output);
+  panel.add(bulletinPanel);
+  bulletinWidgets.push(bulletinPanel);
+}
+
+function generateBulletin(propertiesList, province, layer, topN, parameter, horizons, issued, output) {
+  output.clear();
+  output.add(ui.Label('Rendering ' + province + ' map...', {fontSize: '12px', color: '#888', fontStyle: 'italic'}));
+  
+  var districts = bulletin.inProvince(propertiesList, province);
+  var ranked = bulletin.rankDistricts(districts, layer.property, layer.byMagnitude, topN);
+  var levelCounts = levels.countByLevel(districts.map(function(p) { return p.warning_level; }));
+  var summary = bulletin.summaryText({
+    province: province,
+    issued: issued,
+    parameter: parameter,
+    pastDays: horizons.pastDays,
+    forecastDays: horizons.forecastDays,
+    levelCounts: levelCounts,
+    levelLabels: levels.LEVELS.map(function(l) { return l.label; }),
+    ranked: ranked,
+    layerLabel: layer.label,
+    property: layer.property,
+    unit: layer.unit
+  });
+  var rows = ranked.map(function(p, i) {
+    var value = p[layer.property];
+    return [String(i + 1), p.district_name, (value > 0 && layer.byMagnitude ? '+' : '') + value.toFixed(2) + (layer.unit ? ' ' + layer.unit : ''),
+            p.warning_label || 'N/A', p.warning_reasons || ''];
+  });
+  
+  var image = bulletin.eeBulletinImage(layer.image, layer.vis, pakistanDistricts, province);
+  var region = bulletin.eeProvinceGeometry(pakistanDistricts, province).bounds();
+  image.getThumbURL({region: region, dimensions: BULLETIN_THUMB_PIXELS, format: 'png'}, function(thumbUrl, err) {
+    output.clear();
+    if (err || !thumbUrl) {
+      output.add(ui.Label('Map thumbnail failed: ' + err, {fontSize: '12px', color: '#c0392b'}));
+      return;
+    }
+    var html = bulletin.bulletinHtml({
+      title: province + ' Early Warning Bulletin',
+      subtitle: 'Issued ' + issued + ' | ' + layer.label + ' | past ' + horizons.pastDays + ' days + ' + horizons.forecastDays + '-day forecast',
+      summary: summary,
+      thumbUrl: thumbUrl,
+      legend: layer.legend,
+      columns: ['#', 'District', layer.label, 'Warning', 'Why'],
+      rows: rows,
+      footer: 'Data: ECMWF ERA5-Land and NOAA GFS; baseline 2014-2024. The map link expires after a few hours; ' +
+              'save the image alongside this page for long-term sharing.'
+    });
+    
+    output.add(ui.Label(summary, {fontSize: '12px', whiteSpace: 'pre-line', margin: '8px 0'}));
+    output.add(ui.Thumbnail({image: image, params: {region: region, dimensions: 320, format: 'png'}}));
+    output.add(ui.Label('🖼️ Open full-size map (PNG)', {fontSize: '12px'}, thumbUrl));
+    output.add(ui.Label('Bulletin HTML (copy into a .html file):', {fontSize: '12px', fontWeight: 'bold', margin: '8px 0 2px 0'}));
+    output.add(ui.Textbox({value: html, style: {width: '320px'}}));
+    output.add(ui.Button({
+      label: 'Export map image to Drive',
+      style: { margin: '6px 0 0 0', width: '320px' },
+      onClick: function() {
+        var name = 'EWS_bulletin_' + province.replace(/[^A-Za-z0-9]/g, '_') + '_' + issued.replace(/-/g, '');
+        Export.image.toDrive({image: image, description: name, fileNamePrefix: name, region: region,
+                              dimensions: BULLETIN_THUMB_PIXELS * 2, fileFormat: 'GeoTIFF'});
+        print('Export task created for ' + name + ': start it from the Tasks tab.');
+      }
+    }));
+    print(province + ' bulletin HTML:', html);
+  });
+}
+
 // Simple status based on whether value is above or below baseline
 function getAnomalyStatus(value) {
   if (value === undefined || value === null) return '';
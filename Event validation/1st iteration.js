@@ -0,0 +1,457 @@
+// ===========================================================================================
+// EVENT VALIDATION: EARLY WARNINGS VS UNOSAT SATELLITE-DETECTED WATER EXTENTS
+// 1st Iteration: Post-event review of the precipitation warning levels
+// Loads UNOSAT/HDX water extent polygons (table asset or pasted GeoJSON), measures flooded
+// area per gadm36_PAK_3 district, recomputes the early warning levels as they would have
+// been issued on a chosen date, and scores hits / misses / false alarms.
+// ===========================================================================================
+
+// --- SHARED MODULES ---
+var engine = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/anomaly_engine');
+var extremes = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/extremes');
+var levels = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/warning_levels');
+var verification = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/verification');
+var pipeline = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/pipeline');
+
+// --- DATA SOURCES ---
+var pakistanDistricts = ee.FeatureCollection('projects/ee-mustafaasghar66/assets/gadm36_PAK_3');
+var dataFC = ee.FeatureCollection('projects/ee-mustafaasghar66/assets/Pakistan_Climate_2014_2024');
+var gfsArchive = ee.ImageCollection('NOAA/GFS0P25');
+var era5DailyDataset = ee.ImageCollection("ECMWF/ERA5_LAND/DAILY_AGGR")
+  .select(["total_precipitation_sum", "temperature_2m"]);
+
+// --- CONFIGURATION ---
+// UNOSAT products from HDX (see Standing water Datasets.txt), uploaded as table assets.
+// `start` is the first observation date; the default issue date is the day before it.
+var UNOSAT_SOURCES = [
+  {
+    label: 'UNOSAT: Pakistan, cumulative 26 Aug - 7 Sep 2025',
+    asset: 'projects/ee-mustafaasghar66/assets/UNOSAT_PAK_water_20250826_20250907',
+    start: '2025-08-26'
+  },
+  {
+    label: 'UNOSAT: Punjab, 27-28 Aug 2025',
+    asset: 'projects/ee-mustafaasghar66/assets/UNOSAT_Punjab_water_20250827_20250828',
+    start: '2025-08-27'
+  }
+];
+var CUSTOM_SOURCE = 'custom';
+
+// Same horizons as the early warning app
+var PAST_DAYS_OPTIONS = [30, 60, 90];
+var FORECAST_DAYS_OPTIONS = [3, 7, 10, 16];
+var DEFAULT_PAST_DAYS = 30;
+var DEFAULT_FORECAST_DAYS = 7;
+
+// A district counts as flooded when UNOSAT water covers at least this area or share of it
+var OBSERVED_MIN_KM2 = 1;
+var OBSERVED_MIN_PCT = 0.1;
+
+// Water polygons are rasterized at this scale before summing per district (m)
+var WATER_SCALE = 30;
+
+var PARAMETER = 'precipitation';
+var DEFAULT_RETURN_PERIOD = 5; // years, for the extreme rainfall flag the rules use
+
+// Global UI Variables
+var loadingLabel = null;
+var loadingPanel = null;
+var resultWidgets = [];
+var mainMap = null;
+
+print("Event Validation: 1st Iteration");
+
+
+// ===========================================================================================
+// UI SETUP
+// ===========================================================================================
+var panel = ui.Panel({ style: {width: '400px', padding: '20px'} });
+
+panel.add(ui.Label({
+  value: '🛰️ Event Validation',
+  style: {fontSize: '22px', fontWeight: 'bold', margin: '0 0 5px 0', color: '#2c3e50'}
+}));
+
+panel.add(ui.Label({
+  value: 'Early Warnings vs UNOSAT Water Extents',
+  style: {fontSize: '14px', margin: '0 0 20px 0', color: '#7f8c8d', fontStyle: 'italic'}
+}));
+
+panel.add(ui.Label({
+  value: 'Measures the UNOSAT satellite-detected water in every district and compares it with the ' +
+         'precipitation warning level the early warning system would have issued on the chosen date ' +
+         '(GFS run of that day + ERA5-Land past window).\n\n' +
+         'A district is "warned" at or above the chosen level and "flooded" when UNOSAT water covers at least ' +
+         OBSERVED_MIN_KM2 + ' km² or ' + OBSERVED_MIN_PCT + '% of it.',
+  style: { fontSize: '13px', margin: '0 0 20px 0', whiteSpace: 'pre-line', color: '#555' }
+}));
+
+// Water extent source
+panel.add(ui.Label('Water Extent Source:', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var sourceSelect = ui.Select({
+  items: UNOSAT_SOURCES.map(function(source, i) {
+    return {label: source.label, value: String(i)};
+  }).concat([{label: 'Custom: table asset or pasted GeoJSON', value: CUSTOM_SOURCE}]),
+  value: '0',
+  style: { margin: '0 0 10px 0', width: '360px' },
+  onChange: function(value) {
+    var custom = value === CUSTOM_SOURCE;
+    customAssetBox.style().set('shown', custom);
+    customGeoJsonBox.style().set('shown', custom);
+    if (!custom) {
+      issueDateBox.setValue(defaultIssueDate(UNOSAT_SOURCES[parseInt(value, 10)].start));
+    }
+  }
+});
+panel.add(sourceSelect);
+
+var customAssetBox = ui.Textbox({
+  placeholder: 'Table asset id, e.g. projects/.../UNOSAT_water',
+  style: { margin: '0 0 5px 0', width: '360px', shown: false }
+});
+panel.add(customAssetBox);
+
+var customGeoJsonBox = ui.Textbox({
+  placeholder: 'Or paste a GeoJSON FeatureCollection here',
+  style: { margin: '0 0 15px 0', width: '360px', shown: false }
+});
+panel.add(customGeoJsonBox);
+
+// Warning issue date
+panel.add(ui.Label('Warning Issue Date (YYYY-MM-DD):', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var issueDateBox = ui.Textbox({
+  value: defaultIssueDate(UNOSAT_SOURCES[0].start),
+  style: { margin: '0 0 15px 0', width: '360px' }
+});
+panel.add(issueDateBox);
+
+panel.add(ui.Label('Past Window:', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var pastDaysSelect = ui.Select({
+  items: PAST_DAYS_OPTIONS.map(function(days) { return {label: days + ' days', value: days}; }),
+  value: DEFAULT_PAST_DAYS,
+  style: { margin: '0 0 15px 0', width: '360px' }
+});
+panel.add(pastDaysSelect);
+
+panel.add(ui.Label('Forecast Horizon:', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var forecastDaysSelect = ui.Select({
+  items: FORECAST_DAYS_OPTIONS.map(function(days) { return {label: days + ' days', value: days}; }),
+  value: DEFAULT_FORECAST_DAYS,
+  style: { margin: '0 0 15px 0', width: '360px' }
+});
+panel.add(forecastDaysSelect);
+
+panel.add(ui.Label('Counts as Warned From:', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var warnedLevelSelect = ui.Select({
+  items: levels.LEVELS.slice(1).map(function(l) { return {label: l.label + ' and above', value: l.level}; }),
+  value: 2,
+  style: { margin: '0 0 15px 0', width: '360px' }
+});
+panel.add(warnedLevelSelect);
+
+var analyzeButton = ui.Button({
+  label: 'Validate Warnings',
+  onClick: function() { runValidation(); },
+  style: { margin: '10px 0 0 0', width: '360px', fontWeight: 'bold', fontSize: '15px' }
+});
+panel.add(analyzeButton);
+
+panel.add(ui.Label({
+  value: '\nData: UNOSAT/HDX water extents, NOAA GFS (archived runs), ECMWF ERA5-Land Daily\nBaseline: 10-year average (2014-2024)',
+  style: { fontSize: '11px', margin: '10px 0 0 0', fontStyle: 'italic', color: '#888' }
+}));
+
+ui.root.insert(0, panel);
+Map.setCenter(69.3451, 30.3753, 6);
+
+
+// ===========================================================================================
+// UI HELPER FUNCTIONS
+// ===========================================================================================
+function showLoadingIndicator(message) {
+  hideLoadingIndicator();
+  loadingPanel = ui.Panel({
+    style: { backgroundColor: '#e8f4fd', border: '2px solid #3498db', margin: '15px 0', padding: '15px', borderRadius: '5px' }
+  });
+  loadingLabel = ui.Label({
+    value: message,
+    style: { fontSize: '13px', color: '#34495e' }
+  });
+  loadingPanel.add(ui.Label('⏳ Processing Data...', {fontSize: '15px', fontWeight: 'bold', color: '#2980b9'})).add(loadingLabel);
+  panel.insert(panel.widgets().indexOf(analyzeButton) + 1, loadingPanel);
+}
+
+function updateLoadingIndicator(message) {
+  if (loadingLabel) { loadingLabel.setValue(message); }
+}
+
+function hideLoadingIndicator() {
+  if (loadingPanel) {
+    panel.remove(loadingPanel);
+    loadingPanel = null;
+    loadingLabel = null;
+  }
+}
+
+function clearResults() {
+  resultWidgets.forEach(function(widget) { panel.remove(widget); });
+  resultWidgets = [];
+}
+
+// Day before the first observation, so the warning could only have used earlier data
+function defaultIssueDate(start) {
+  var date = new Date(Date.parse(start) - 24 * 60 * 60 * 1000);
+  return engine.formatDate(date);
+}
+
+
+// ===========================================================================================
+// WATER EXTENT LOADER
+// ===========================================================================================
+// The selected UNOSAT source as an ee.FeatureCollection of water polygons, or null with a message
+function loadWaterExtent() {
+  var value = sourceSelect.getValue();
+  if (value !== CUSTOM_SOURCE) {
+    var source = UNOSAT_SOURCES[parseInt(value, 10)];
+    return {fc: ee.FeatureCollection(source.asset), label: source.label};
+  }
+  var geojson = customGeoJsonBox.getValue();
+  if (geojson) {
+    try {
+      return {fc: ee.FeatureCollection(JSON.parse(geojson)), label: 'Pasted GeoJSON'};
+    } catch (e) {
+      print('Could not parse the pasted GeoJSON:', e.message);
+      return null;
+    }
+  }
+  var asset = customAssetBox.getValue();
+  if (asset) {
+    return {fc: ee.FeatureCollection(asset), label: asset};
+  }
+  print('Enter a table asset id or paste GeoJSON for the custom source.');
+  return null;
+}
+
+// Flooded km² per district: polygons rasterized to a 0/1 mask, then summed with pixel areas.
+// Returns the districts with water_km2 and district_km2.
+function floodedAreaPerDistrict(waterFC) {
+  var water = ee.Image(0).byte().paint(waterFC, 1).selfMask();
+  var waterKm2 = water.multiply(ee.Image.pixelArea()).divide(1e6).rename('water_km2');
+  return waterKm2.reduceRegions({
+    collection: pakistanDistricts.filterBounds(waterFC.geometry()),
+    reducer: ee.Reducer.sum().setOutputs(['water_km2']),
+    scale: WATER_SCALE,
+    tileScale: 8
+  }).map(function(d) {
+    return d.set({
+      'district_name': d.get('NAME_3'),
+      'district_km2': d.geometry().area(100).divide(1e6)
+    });
+  });
+}
+
+
+// ===========================================================================================
+// WARNINGS AS ISSUED ON THE ISSUE DATE
+// The early warning computation (Shared modules/pipeline; precipitation, absolute mode, daily
+// past window) with the GFS run and ERA5 days of the issue date, every district in one pass.
+// ===========================================================================================
+
+// Band prefix of the per-step GFS rainfall the extreme rainfall flag is found from
+var RAIN_STEP_PREFIX = 'rain_step_';
+
+// Anomalies of every district as issued, with rain_steps (0 for a missing step)
+function issuedAnomalies(issue) {
+  return pipeline.eeComputeAnomalies({
+    districts: pakistanDistricts,
+    climatology: dataFC,
+    parameter: PARAMETER,
+    anomalyMode: 'absolute',
+    gfsRun: issue.run,
+    pastWindow: issue.pastWindow,
+    forecastWindow: issue.forecastWindow,
+    extraImage: engine.eeGfsPrecipStepsImage(issue.run, issue.stepPlan, RAIN_STEP_PREFIX),
+    extraProperties: function(f) {
+      return {rain_steps: pipeline.eeBandValues(f, engine.stepBands(RAIN_STEP_PREFIX, issue.stepPlan), 0)};
+    }
+  });
+}
+
+// Client-side issue setup shared by every district; null when the date has no GFS run
+function buildIssue(issueDateString, pastDays, forecastDays, callback) {
+  var issueDate = new Date(issueDateString + 'T00:00:00Z');
+  if (isNaN(issueDate.getTime())) {
+    print('Invalid issue date: ' + issueDateString);
+    callback(null);
+    return;
+  }
+  var eeIssue = ee.Date(issueDateString);
+  var dayRuns = gfsArchive.filterDate(eeIssue, eeIssue.advance(1, 'day'));
+  var run = engine.eeRunWithinHorizon(engine.eeLatestRun(dayRuns), forecastDays);
+  run.aggregate_max('creation_time').evaluate(function(runStart, err) {
+    if (err || !runStart) {
+      print('No archived GFS run found on ' + issueDateString + ':', err);
+      callback(null);
+      return;
+    }
+    // Past: ERA5-Land days up to the day before the issue date
+    var pastEnd = new Date(issueDate.getTime() - 24 * 60 * 60 * 1000);
+    var pastStart = engine.pastWindowStart(pastEnd, pastDays);
+    var forecastWindow = pipeline.forecastWindow(issueDate, forecastDays);
+    callback({
+      date: issueDateString,
+      run: run,
+      runStart: runStart,
+      stepPlan: forecastWindow.stepPlan,
+      forecastDays: forecastDays,
+      forecastWindow: forecastWindow,
+      pastDays: pastDays,
+      pastWindow: {
+        mode: 'daily',
+        days: pastDays,
+        weights: engine.pastWindowWeights(pastEnd, pastDays),
+        images: era5DailyDataset.filterDate(engine.formatDate(pastStart), eeIssue),
+        start: engine.formatDate(pastStart),
+        end: engine.formatDate(pastEnd)
+      }
+    });
+  });
+}
+
+
+// ===========================================================================================
+// VALIDATION RUN
+// ===========================================================================================
+function runValidation() {
+  clearResults();
+  var water = loadWaterExtent();
+  if (!water) return;
+
+  showLoadingIndicator('Measuring flooded area per district...');
+  floodedAreaPerDistrict(water.fc).evaluate(function(observedFC, err) {
+    if (err || !observedFC) {
+      print('Error measuring water extent:', err);
+      hideLoadingIndicator();
+      return;
+    }
+    // By GID_3, as district names repeat across provinces
+    var observedByDistrict = {};
+    observedFC.features.forEach(function(f) {
+      observedByDistrict[f.properties.GID_3] = f.properties;
+    });
+
+    updateLoadingIndicator('Recomputing warnings issued on ' + issueDateBox.getValue() + '...');
+    buildIssue(issueDateBox.getValue(), pastDaysSelect.getValue(), forecastDaysSelect.getValue(), function(issue) {
+      if (!issue) { hideLoadingIndicator(); return; }
+      issuedAnomalies(issue).evaluate(function(warnedFC, err2) {
+        if (err2 || !warnedFC) {
+          print('Error recomputing the warnings:', err2);
+          hideLoadingIndicator();
+          return;
+        }
+        finalizeValidation(water, issue, observedByDistrict, warnedFC.features);
+      });
+    });
+  });
+}
+
+// Warning levels client-side (same rules as the app), joined with the observed water
+function finalizeValidation(water, issue, observedByDistrict, warnedFeatures) {
+  updateLoadingIndicator('Scoring warnings...');
+  var rules = levels.ruleSet(levels.DEFAULT_RULE_SETS, PARAMETER, 'absolute');
+  var warnedFrom = warnedLevelSelect.getValue();
+
+  var valid = warnedFeatures.filter(function(f) { return f.properties.forecast_diff !== -999; });
+  valid.forEach(function(f) {
+    var p = f.properties;
+    var rain = extremes.detectRainfallExtremes(p.rain_steps, issue.stepPlan, issue.runStart, DEFAULT_RETURN_PERIOD);
+    p.rain_flag = rain.flag;
+    delete p.rain_steps;
+
+    var warning = levels.classify(p, rules, 'absolute');
+    var observed = observedByDistrict[p.GID_3];
+    p.warning_level = warning.level;
+    p.warning_label = warning.label;
+    p.water_km2 = observed ? observed.water_km2 : 0;
+    p.water_pct = observed && observed.district_km2 > 0 ? observed.water_km2 / observed.district_km2 * 100 : 0;
+    p.observed = p.water_km2 >= OBSERVED_MIN_KM2 || p.water_pct >= OBSERVED_MIN_PCT;
+    p.warned = warning.level >= warnedFrom;
+    p.outcome = verification.outcome(p.warned, p.observed);
+    p.outcome_index = verification.outcomeIndex(p.outcome);
+  });
+
+  var table = verification.contingency(valid.map(function(f) { return f.properties; }));
+  var scores = verification.categoricalScores(table);
+
+  hideLoadingIndicator();
+  showResults(water, issue, valid, table, scores);
+  showResultMap(water, valid);
+}
+
+
+// ===========================================================================================
+// RESULTS (panel summary, table and map)
+// ===========================================================================================
+function showResults(water, issue, features, table, scores) {
+  var fmtScore = function(val) { return val === null ? 'N/A' : val.toFixed(2); };
+
+  var summary = ui.Label({
+    value: 'Source: ' + water.label + '\n' +
+           'Warnings issued: ' + issue.date + ' (past ' + issue.pastDays + ' days + ' + issue.forecastDays + '-day forecast)\n\n' +
+           'Hits: ' + table.hits + '   Misses: ' + table.misses + '\n' +
+           'False alarms: ' + table.falseAlarms + '   Correct negatives: ' + table.correctNegatives + '\n\n' +
+           'Hit rate (POD): ' + fmtScore(scores.pod) + '\n' +
+           'False alarm ratio: ' + fmtScore(scores.far) + '\n' +
+           'Critical success index: ' + fmtScore(scores.csi) + '\n' +
+           'Frequency bias: ' + fmtScore(scores.frequencyBias),
+    style: { fontSize: '13px', whiteSpace: 'pre-line', color: '#34495e', margin: '15px 0',
+             backgroundColor: '#f0f9ff', border: '2px solid #3498db', padding: '10px' }
+  });
+  panel.add(summary);
+  resultWidgets.push(summary);
+
+  // Flooded-area-per-district table, flooded or warned districts first
+  var rows = [[{label: 'District', type: 'string'}, {label: 'Water km²', type: 'number'}, {label: 'Water %', type: 'number'},
+               {label: 'Level', type: 'string'}, {label: 'Outcome', type: 'string'}]];
+  features.filter(function(f) { return f.properties.observed || f.properties.warned; })
+    .sort(function(a, b) { return b.properties.water_km2 - a.properties.water_km2; })
+    .forEach(function(f) {
+      var p = f.properties;
+      rows.push([p.district_name, Math.round(p.water_km2 * 10) / 10, Math.round(p.water_pct * 100) / 100,
+                 p.warning_label, verification.OUTCOMES[p.outcome_index].label]);
+    });
+  var chart = ui.Chart(rows, 'Table', {pageSize: 20});
+  panel.add(chart);
+  resultWidgets.push(chart);
+}
+
+function showResultMap(water, features) {
+  var fc = ee.FeatureCollection(features);
+  mainMap = ui.Map();
+  mainMap.setCenter(69.3451, 30.3753, 6);
+  mainMap.setOptions('ROADMAP');
+
+  var outcomeImage = fc.reduceToImage(['outcome_index'], ee.Reducer.first());
+  var outcomeVis = {min: 0, max: verification.OUTCOMES.length - 1, palette: verification.OUTCOMES.map(function(o) { return o.color; })};
+  var levelImage = fc.reduceToImage(['warning_level'], ee.Reducer.first());
+  var levelVis = {min: 0, max: levels.LEVELS.length - 1, palette: levels.LEVELS.map(function(l) { return l.color; })};
+
+  mainMap.addLayer(levelImage.clip(pakistanDistricts), levelVis, 'Warning levels (issued)', false);
+  mainMap.addLayer(outcomeImage.clip(pakistanDistricts), outcomeVis, 'Validation outcome', true);
+  mainMap.addLayer(water.fc.style({color: '00c0ff', fillColor: '00c0ff88', width: 0}), {}, 'UNOSAT water extent', true);
+  mainMap.addLayer(pakistanDistricts.style({color: '000000', width: 1, fillColor: '00000000'}), {}, 'District Boundaries', true);
+
+  var legend = ui.Panel({ style: { position: 'bottom-right', padding: '10px 15px', backgroundColor: 'white', border: '2px solid #333' } });
+  legend.add(ui.Label('Validation Outcome', {fontWeight: 'bold', fontSize: '14px', margin: '0 0 6px 0'}));
+  verification.OUTCOMES.forEach(function(o) {
+    var row = ui.Panel({layout: ui.Panel.Layout.flow('horizontal')});
+    row.add(ui.Label({value: '', style: {backgroundColor: o.color, padding: '7px 12px', margin: '2px 6px 2px 0', border: '1px solid #999'}}));
+    row.add(ui.Label({value: o.label, style: {fontSize: '12px', margin: '3px 0 0 0'}}));
+    legend.add(row);
+  });
+  mainMap.add(legend);
+
+  ui.root.clear();
+  ui.root.add(panel);
+  ui.root.add(mainMap);
+}
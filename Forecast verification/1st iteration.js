@@ -0,0 +1,454 @@
+// ===========================================================================================
+// FORECAST VERIFICATION: HINDCAST SKILL OF THE GFS DISTRICT ANOMALY
+// 1st Iteration: Archived NOAA/GFS0P25 runs vs ERA5-Land over a chosen period
+// For every issue date in the period, the district forecast anomaly is computed the same way
+// as the early warning app (GFS window total vs the 2014-2024 baseline, per day) and compared
+// with the ERA5-Land anomaly actually observed over the same days. Reports bias, RMSE,
+// anomaly correlation and hit rate / false alarm ratio per district and nationally.
+// ===========================================================================================
+
+// --- SHARED MODULES ---
+var engine = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/anomaly_engine');
+var verification = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/verification');
+
+// --- DATA SOURCES ---
+var pakistanDistricts = ee.FeatureCollection('projects/ee-mustafaasghar66/assets/gadm36_PAK_3');
+var dataFC = ee.FeatureCollection('projects/ee-mustafaasghar66/assets/Pakistan_Climate_2014_2024');
+var gfsArchive = ee.ImageCollection('NOAA/GFS0P25');
+var era5DailyDataset = ee.ImageCollection("ECMWF/ERA5_LAND/DAILY_AGGR")
+  .select(["total_precipitation_sum", "temperature_2m"]);
+
+// --- CONFIGURATION ---
+var FORECAST_DAYS_OPTIONS = [3, 7, 10, 16];
+var DEFAULT_FORECAST_DAYS = 7;
+var ISSUE_INTERVAL_OPTIONS = [1, 3, 7, 14];
+var DEFAULT_ISSUE_INTERVAL = 7;
+
+// Default period: the 2025 monsoon
+var DEFAULT_START = '2025-06-01';
+var DEFAULT_END = '2025-09-30';
+
+// Each issue date is one evaluate() over all districts, so long periods are thinned out
+var MAX_ISSUES = 30;
+
+// Event thresholds on the per-day anomaly; same values as the app's Watch rules
+var DEFAULT_THRESHOLDS = {precipitation: 3, temperature: 2};
+
+// Per-district score layers: property, label, visualization
+var SCORE_LAYERS = [
+  {key: 'bias', label: 'Bias (forecast - observed)', vis: {min: -5, max: 5, palette: ['#2166ac', '#f7f7f7', '#b2182b']}},
+  {key: 'rmse', label: 'RMSE', vis: {min: 0, max: 10, palette: ['#ffffcc', '#fd8d3c', '#800026']}},
+  {key: 'anomalyCorrelation', label: 'Anomaly correlation', vis: {min: -1, max: 1, palette: ['#d73027', '#f7f7f7', '#1a9850']}},
+  {key: 'pod', label: 'Hit rate (POD)', vis: {min: 0, max: 1, palette: ['#f7fcf5', '#74c476', '#00441b']}},
+  {key: 'far', label: 'False alarm ratio', vis: {min: 0, max: 1, palette: ['#fff5eb', '#fd8d3c', '#7f2704']}}
+];
+
+// Global UI Variables
+var loadingLabel = null;
+var loadingPanel = null;
+var resultWidgets = [];
+var mainMap = null;
+
+print("Forecast Verification: 1st Iteration");
+
+
+// ===========================================================================================
+// UI SETUP
+// ===========================================================================================
+var panel = ui.Panel({ style: {width: '400px', padding: '20px'} });
+
+panel.add(ui.Label({
+  value: '🎯 Forecast Verification',
+  style: {fontSize: '22px', fontWeight: 'bold', margin: '0 0 5px 0', color: '#2c3e50'}
+}));
+
+panel.add(ui.Label({
+  value: 'Hindcast Skill of the GFS District Anomaly',
+  style: {fontSize: '14px', margin: '0 0 20px 0', color: '#7f8c8d', fontStyle: 'italic'}
+}));
+
+panel.add(ui.Label({
+  value: 'Re-runs the early warning forecast anomaly from archived GFS runs (00 UTC) issued every few days ' +
+         'in the period, and compares each with the ERA5-Land anomaly observed over the same days.\n\n' +
+         'Continuous scores: bias, RMSE and anomaly correlation (per-day anomalies).\n' +
+         'Categorical scores: hit rate and false alarm ratio for anomalies beyond the threshold ' +
+         '(at or above a positive threshold, at or below a negative one).',
+  style: { fontSize: '13px', margin: '0 0 20px 0', whiteSpace: 'pre-line', color: '#555' }
+}));
+
+panel.add(ui.Label('Select Weather Parameter:', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var parameterSelect = ui.Select({
+  items: [
+    {label: 'Precipitation (mm/day)', value: 'precipitation'},
+    {label: 'Temperature (°C)', value: 'temperature'}
+  ],
+  value: 'precipitation',
+  style: { margin: '0 0 15px 0', width: '360px' },
+  onChange: function(value) {
+    thresholdBox.setValue(String(DEFAULT_THRESHOLDS[value]));
+  }
+});
+panel.add(parameterSelect);
+
+panel.add(ui.Label('Period (YYYY-MM-DD):', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var startDateBox = ui.Textbox({ value: DEFAULT_START, style: { margin: '0 0 5px 0', width: '360px' } });
+var endDateBox = ui.Textbox({ value: DEFAULT_END, style: { margin: '0 0 15px 0', width: '360px' } });
+panel.add(startDateBox);
+panel.add(endDateBox);
+
+panel.add(ui.Label('Forecast Horizon:', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var forecastDaysSelect = ui.Select({
+  items: FORECAST_DAYS_OPTIONS.map(function(days) { return {label: days + ' days', value: days}; }),
+  value: DEFAULT_FORECAST_DAYS,
+  style: { margin: '0 0 15px 0', width: '360px' }
+});
+panel.add(forecastDaysSelect);
+
+panel.add(ui.Label('Issue a Forecast Every:', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var intervalSelect = ui.Select({
+  items: ISSUE_INTERVAL_OPTIONS.map(function(days) { return {label: days + (days === 1 ? ' day' : ' days'), value: days}; }),
+  value: DEFAULT_ISSUE_INTERVAL,
+  style: { margin: '0 0 15px 0', width: '360px' }
+});
+panel.add(intervalSelect);
+
+panel.add(ui.Label('Event Threshold (anomaly per day):', {fontWeight: 'bold', fontSize: '13px', margin: '0 0 5px 0'}));
+var thresholdBox = ui.Textbox({
+  value: String(DEFAULT_THRESHOLDS.precipitation),
+  style: { margin: '0 0 15px 0', width: '360px' }
+});
+panel.add(thresholdBox);
+
+var analyzeButton = ui.Button({
+  label: 'Run Verification',
+  onClick: function() { runVerification(); },
+  style: { margin: '10px 0 0 0', width: '360px', fontWeight: 'bold', fontSize: '15px' }
+});
+panel.add(analyzeButton);
+
+panel.add(ui.Label({
+  value: '\nData: NOAA GFS (archived runs), ECMWF ERA5-Land Daily\nBaseline: 10-year average (2014-2024)',
+  style: { fontSize: '11px', margin: '10px 0 0 0', fontStyle: 'italic', color: '#888' }
+}));
+
+ui.root.insert(0, panel);
+Map.setCenter(69.3451, 30.3753, 6);
+
+
+// ===========================================================================================
+// UI HELPER FUNCTIONS
+// ===========================================================================================
+function showLoadingIndicator(message) {
+  hideLoadingIndicator();
+  loadingPanel = ui.Panel({
+    style: { backgroundColor: '#e8f4fd', border: '2px solid #3498db', margin: '15px 0', padding: '15px', borderRadius: '5px' }
+  });
+  loadingLabel = ui.Label({
+    value: message,
+    style: { fontSize: '13px', color: '#34495e' }
+  });
+  loadingPanel.add(ui.Label('⏳ Processing Data...', {fontSize: '15px', fontWeight: 'bold', color: '#2980b9'})).add(loadingLabel);
+  panel.insert(panel.widgets().indexOf(analyzeButton) + 1, loadingPanel);
+}
+
+function updateLoadingIndicator(message) {
+  if (loadingLabel) { loadingLabel.setValue(message); }
+}
+
+function hideLoadingIndicator() {
+  if (loadingPanel) {
+    panel.remove(loadingPanel);
+    loadingPanel = null;
+    loadingLabel = null;
+  }
+}
+
+function clearResults() {
+  resultWidgets.forEach(function(widget) { panel.remove(widget); });
+  resultWidgets = [];
+}
+
+function parseDate(value) {
+  var date = new Date(value + 'T00:00:00Z');
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Issue dates from start every `interval` days, keeping only those whose forecast window
+// ends by `lastDay`; thinned evenly down to MAX_ISSUES
+function issueDates(start, lastDay, interval, forecastDays) {
+  var MS_PER_DAY = 24 * 60 * 60 * 1000;
+  var dates = [];
+  for (var t = start.getTime(); t + (forecastDays - 1) * MS_PER_DAY <= lastDay.getTime(); t += interval * MS_PER_DAY) {
+    dates.push(new Date(t));
+  }
+  if (dates.length <= MAX_ISSUES) return dates;
+  var step = dates.length / MAX_ISSUES;
+  var thinned = [];
+  for (var i = 0; i < MAX_ISSUES; i++) {
+    thinned.push(dates[Math.floor(i * step)]);
+  }
+  return thinned;
+}
+
+
+// ===========================================================================================
+// HINDCAST PER ISSUE DATE
+// One reduceRegions pass over all districts per issue date: the GFS window total (or mean
+// temperature) at GFS scale, then the ERA5-Land total (or mean) for the same days.
+// ===========================================================================================
+
+// The 00 UTC run of the issue date, so hour 1 onwards lines up with the ERA5 days
+function issueRun(issueDate, forecastDays) {
+  var run = gfsArchive.filter(ee.Filter.eq('creation_time', ee.Date(engine.formatDate(issueDate)).millis()));
+  return engine.eeRunWithinHorizon(run, forecastDays);
+}
+
+function forecastImage(run, parameter, forecastDays) {
+  if (parameter === 'precipitation') {
+    return engine.eeGfsPrecipTotalImage(run, engine.gfsStepPlan(forecastDays)).rename('value');
+  }
+  return run.select(engine.GFS_TEMP_BAND).mean().rename('value');
+}
+
+function observedImage(issueDate, parameter, forecastDays) {
+  var start = ee.Date(engine.formatDate(issueDate));
+  var days = era5DailyDataset.filterDate(start, start.advance(forecastDays, 'day'));
+  if (parameter === 'precipitation') {
+    return days.select('total_precipitation_sum').sum().multiply(1000).rename('value');
+  }
+  return days.select('temperature_2m').mean().subtract(273.15).rename('value');
+}
+
+// Districts (no geometry, GID_3 and NAME_3) with forecast_total and observed_total for one issue date
+function issueTotals(issueDate, parameter, forecastDays) {
+  var run = issueRun(issueDate, forecastDays);
+  var withForecast = forecastImage(run, parameter, forecastDays).reduceRegions({
+    collection: pakistanDistricts.select(['GID_3', 'NAME_3']),
+    reducer: ee.Reducer.mean().setOutputs(['forecast_total']),
+    scale: engine.GFS_SCALE
+  });
+  return observedImage(issueDate, parameter, forecastDays).reduceRegions({
+    collection: withForecast,
+    reducer: ee.Reducer.mean().setOutputs(['observed_total']),
+    scale: engine.ERA5_SCALE
+  }).select(['GID_3', 'NAME_3', 'forecast_total', 'observed_total'], null, false);
+}
+
+// Issue dates that have an archived 00 UTC run, plus the last ERA5-Land day available
+function checkAvailability(dates, callback) {
+  var runCounts = ee.List(dates.map(function(date) {
+    return gfsArchive.filter(ee.Filter.eq('creation_time', ee.Date(engine.formatDate(date)).millis())).limit(1).size();
+  }));
+  ee.Dictionary({
+    runCounts: runCounts,
+    era5Last: era5DailyDataset.aggregate_max('system:time_start')
+  }).evaluate(function(result, err) {
+    if (err || !result) {
+      print('Error checking archive availability:', err);
+      callback(null);
+      return;
+    }
+    callback({
+      dates: dates.filter(function(date, i) { return result.runCounts[i] > 0; }),
+      era5Last: new Date(result.era5Last)
+    });
+  });
+}
+
+
+// ===========================================================================================
+// VERIFICATION RUN
+// ===========================================================================================
+function runVerification() {
+  clearResults();
+  var parameter = parameterSelect.getValue();
+  var forecastDays = forecastDaysSelect.getValue();
+  var threshold = parseFloat(thresholdBox.getValue());
+  var start = parseDate(startDateBox.getValue());
+  var end = parseDate(endDateBox.getValue());
+  if (!start || !end || end < start) {
+    print('Enter a valid period (YYYY-MM-DD, start before end).');
+    return;
+  }
+  if (isNaN(threshold)) {
+    print('Enter a numeric event threshold.');
+    return;
+  }
+
+  showLoadingIndicator('Loading district baselines...');
+  dataFC.select(['district_name'].concat(engine.MONTH_KEYS.map(function(key, i) {
+    return engine.monthColumn(parameter, i);
+  })), null, false).evaluate(function(table, err) {
+    if (err || !table) {
+      print('Error loading baselines:', err);
+      hideLoadingIndicator();
+      return;
+    }
+    // By name, the only key the climatology table has
+    var climatologies = {};
+    table.features.forEach(function(f) {
+      climatologies[f.properties.district_name] = engine.climatologyFromProperties(f.properties, parameter);
+    });
+
+    updateLoadingIndicator('Checking archived GFS runs...');
+    checkAvailability(issueDates(start, end, intervalSelect.getValue(), forecastDays), function(available) {
+      if (!available) { hideLoadingIndicator(); return; }
+      // Forecast windows must be fully observed by ERA5-Land
+      var dates = available.dates.filter(function(date) {
+        return date.getTime() + (forecastDays - 1) * 24 * 60 * 60 * 1000 <= available.era5Last.getTime();
+      });
+      if (dates.length === 0) {
+        hideLoadingIndicator();
+        print('No issue dates in the period have both an archived GFS run and a fully observed ERA5-Land window.');
+        return;
+      }
+      var hindcast = {parameter: parameter, forecastDays: forecastDays, threshold: threshold, dates: dates};
+      processAllIssues(hindcast, climatologies, function(pairsByDistrict, districtNames) {
+        finalizeVerification(hindcast, pairsByDistrict, districtNames);
+      });
+    });
+  });
+}
+
+// Per-day forecast and observed anomalies for every district and issue date, by GID_3 as
+// district names repeat: callback({GID_3: [{date, forecast, observed}]}, {GID_3: NAME_3})
+function processAllIssues(hindcast, climatologies, callback) {
+  var pairsByDistrict = {};
+  var districtNames = {};
+
+  function processIssue(index) {
+    if (index >= hindcast.dates.length) {
+      callback(pairsByDistrict, districtNames);
+      return;
+    }
+    var issueDate = hindcast.dates[index];
+    updateLoadingIndicator('Hindcast ' + (index + 1) + '/' + hindcast.dates.length + ': ' + engine.formatDate(issueDate) + '...');
+    issueTotals(issueDate, hindcast.parameter, hindcast.forecastDays).evaluate(function(result, err) {
+      if (err) {
+        print('Error for issue date ' + engine.formatDate(issueDate) + ':', err);
+      } else if (result && result.features) {
+        var weights = engine.windowWeights(issueDate, hindcast.forecastDays);
+        result.features.forEach(function(f) {
+          var p = f.properties;
+          var climatology = climatologies[p.NAME_3];
+          if (!climatology) return;
+          var baseline = engine.perDay(engine.windowBaseline(climatology, weights, hindcast.parameter), hindcast.forecastDays, hindcast.parameter);
+          var anomaly = function(total) {
+            return total === undefined || total === null ? verification.MISSING :
+              engine.perDay(total, hindcast.forecastDays, hindcast.parameter) - baseline;
+          };
+          districtNames[p.GID_3] = p.NAME_3;
+          (pairsByDistrict[p.GID_3] = pairsByDistrict[p.GID_3] || []).push({
+            date: engine.formatDate(issueDate),
+            forecast: anomaly(p.forecast_total),
+            observed: anomaly(p.observed_total)
+          });
+        });
+      }
+      ui.util.setTimeout(function() { processIssue(index + 1); }, 100);
+    });
+  }
+  processIssue(0);
+}
+
+// Scores for one set of anomaly pairs
+function skill(pairs, threshold) {
+  var scores = verification.continuousScores(pairs);
+  var table = verification.contingency(verification.thresholdPairs(pairs, threshold));
+  var categorical = verification.categoricalScores(table);
+  scores.table = table;
+  scores.pod = categorical.pod;
+  scores.far = categorical.far;
+  return scores;
+}
+
+function finalizeVerification(hindcast, pairsByDistrict, districtNames) {
+  updateLoadingIndicator('Computing skill scores...');
+  var districtScores = {};
+  var allPairs = [];
+  Object.keys(pairsByDistrict).forEach(function(id) {
+    districtScores[id] = skill(pairsByDistrict[id], hindcast.threshold);
+    allPairs = allPairs.concat(pairsByDistrict[id]);
+  });
+  var national = skill(allPairs, hindcast.threshold);
+
+  hideLoadingIndicator();
+  showResults(hindcast, national, districtScores, districtNames);
+  showScoreMap(hindcast, districtScores);
+}
+
+
+// ===========================================================================================
+// RESULTS (panel summary, table and maps)
+// ===========================================================================================
+function fmtScore(value, digits) {
+  return value === null || value === undefined ? 'N/A' : value.toFixed(digits === undefined ? 2 : digits);
+}
+
+function showResults(hindcast, national, districtScores, districtNames) {
+  var units = hindcast.parameter === 'precipitation' ? ' mm/day' : ' °C';
+  var summary = ui.Label({
+    value: 'National skill, ' + hindcast.parameter + ', ' + hindcast.forecastDays + '-day forecast\n' +
+           hindcast.dates.length + ' issue dates (' + hindcast.dates.map(engine.formatDate).join(', ') + ')\n' +
+           national.n + ' district forecasts verified\n\n' +
+           'Bias: ' + fmtScore(national.bias) + units + '\n' +
+           'RMSE: ' + fmtScore(national.rmse) + units + '\n' +
+           'Anomaly correlation: ' + fmtScore(national.anomalyCorrelation) + '\n\n' +
+           'Events at ' + (hindcast.threshold >= 0 ? '≥ ' : '≤ ') + hindcast.threshold + units + ':\n' +
+           'Hits: ' + national.table.hits + '   Misses: ' + national.table.misses +
+           '   False alarms: ' + national.table.falseAlarms + '\n' +
+           'Hit rate (POD): ' + fmtScore(national.pod) + '   False alarm ratio: ' + fmtScore(national.far),
+    style: { fontSize: '13px', whiteSpace: 'pre-line', color: '#34495e', margin: '15px 0',
+             backgroundColor: '#f0f9ff', border: '2px solid #3498db', padding: '10px' }
+  });
+  panel.add(summary);
+  resultWidgets.push(summary);
+
+  var rows = [[
+    {label: 'District', type: 'string'}, {label: 'ID', type: 'string'}, {label: 'N', type: 'number'}, {label: 'Bias', type: 'number'},
+    {label: 'RMSE', type: 'number'}, {label: 'ACC', type: 'number'}, {label: 'POD', type: 'number'}, {label: 'FAR', type: 'number'}
+  ]];
+  var round = function(value) { return value === null ? null : Math.round(value * 100) / 100; };
+  Object.keys(districtScores).sort(function(a, b) {
+    return districtNames[a] < districtNames[b] ? -1 : (districtNames[a] > districtNames[b] ? 1 : 0);
+  }).forEach(function(id) {
+    var s = districtScores[id];
+    rows.push([districtNames[id], id, s.n, round(s.bias), round(s.rmse), round(s.anomalyCorrelation), round(s.pod), round(s.far)]);
+  });
+  var chart = ui.Chart(rows, 'Table', {pageSize: 20, sortColumn: 4, sortAscending: false});
+  panel.add(chart);
+  resultWidgets.push(chart);
+}
+
+// One layer per score; districts without a score are left blank
+function showScoreMap(hindcast, districtScores) {
+  mainMap = ui.Map();
+  mainMap.setCenter(69.3451, 30.3753, 6);
+  mainMap.setOptions('ROADMAP');
+
+  SCORE_LAYERS.forEach(function(layer, i) {
+    var values = {};
+    Object.keys(districtScores).forEach(function(id) {
+      var value = districtScores[id][layer.key];
+      if (value !== null && value !== undefined) values[id] = value;
+    });
+    var scored = pakistanDistricts
+      .filter(ee.Filter.inList('GID_3', Object.keys(values)))
+      .map(function(d) { return d.set('score', ee.Dictionary(values).get(d.get('GID_3'))); });
+    var image = scored.reduceToImage(['score'], ee.Reducer.first());
+    mainMap.addLayer(image, layer.vis, layer.label, i === 0);
+  });
+  mainMap.addLayer(pakistanDistricts.style({color: '000000', width: 1, fillColor: '00000000'}), {}, 'District Boundaries', true);
+
+  var legend = ui.Panel({ style: { position: 'bottom-right', padding: '10px 15px', backgroundColor: 'white', border: '2px solid #333' } });
+  legend.add(ui.Label('Score Layers', {fontWeight: 'bold', fontSize: '14px', margin: '0 0 6px 0'}));
+  SCORE_LAYERS.forEach(function(layer) {
+    legend.add(ui.Label(layer.label + ': ' + layer.vis.min + ' to ' + layer.vis.max, {fontSize: '12px', margin: '2px 0'}));
+  });
+  legend.add(ui.Label('Toggle layers at the top right of the map.', {fontSize: '11px', color: '#888', fontStyle: 'italic'}));
+  mainMap.add(legend);
+
+  ui.root.clear();
+  ui.root.add(panel);
+  ui.root.add(mainMap);
+}
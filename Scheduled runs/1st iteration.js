@@ -0,0 +1,361 @@
+// ===========================================================================================
+// SCHEDULED RUNS: HEADLESS DAILY EARLY WARNING TABLES
+// 1st Iteration: Node entry point for a cron job, no Code Editor and no ui
+// Runs the early warning past / forecast / combined computation for every district (the
+// same Shared modules/pipeline pass as the early warning app), classifies warning levels
+// and red / blue threshold classes, and starts export tasks for a dated results table and a
+// classified raster, to an asset folder or a Cloud Storage bucket. Districts entering or leaving
+// a warning state since the previous issue date are sent as JSON alerts to the configured
+// receivers (webhook, email / SMS gateway); test with the stub in Scheduled runs/alert_receiver.js.
+//
+// Needs the Earth Engine JavaScript client (a dependency in package.json) and a service account
+// registered with Earth Engine:
+//   npm install
+//   EE_PRIVATE_KEY=/path/to/service-account.json node "Scheduled runs/1st iteration.js" [config.json]
+// e.g. daily at 07:00 UTC, once the 00 UTC GFS run is in NOAA/GFS0P25:
+//   0 7 * * * cd /path/to/GIS-Summer-Research && EE_PRIVATE_KEY=... node "Scheduled runs/1st iteration.js"
+// ===========================================================================================
+
+var fs = require('fs');
+var path = require('path');
+var http = require('http');
+var https = require('https');
+var ee = require('@google/earthengine');
+// The shared modules use the global `ee`, as in the Code Editor
+global.ee = ee;
+
+// --- SHARED MODULES ---
+var engine = require('../Shared modules/anomaly_engine.js');
+var pipeline = require('../Shared modules/pipeline.js');
+var levels = require('../Shared modules/warning_levels.js');
+var resultsExport = require('../Shared modules/results_export.js');
+var runArchive = require('../Shared modules/run_archive.js');
+var alerts = require('../Shared modules/alerts.js');
+
+// --- CONFIGURATION ---
+// Defaults and checks in Scheduled runs/config.js; any setting can be overridden by a JSON file
+// given as the first argument
+var runConfig = require('./config.js');
+
+// Baseline period of Pakistan_Climate_2014_2024, as in the early warning app
+var BASELINE_START_YEAR = 2014;
+var BASELINE_END_YEAR = 2024;
+
+// Warning level rules (see Shared modules/warning_levels), as in the early warning app
+var WARNING_RULES = levels.DEFAULT_RULE_SETS;
+
+
+// ===========================================================================================
+// SETUP
+// ===========================================================================================
+function fail(message) {
+  console.error('Scheduled run failed:', message);
+  process.exitCode = 1;
+}
+
+// Service account login from the key file in EE_PRIVATE_KEY
+function authenticate(callback) {
+  var keyFile = process.env.EE_PRIVATE_KEY;
+  if (!keyFile) {
+    fail('set EE_PRIVATE_KEY to a service account key file');
+    return;
+  }
+  var key;
+  try {
+    key = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+  } catch (err) {
+    fail('could not read the service account key ' + keyFile + ': ' + err.message);
+    return;
+  }
+  ee.data.authenticateViaPrivateKey(key, function() {
+    ee.initialize(null, null, callback, fail);
+  }, fail);
+}
+
+// Same sources as the early warning app, cut at the issue time; built after ee.initialize().
+// ERA5-Land keeps only whole months / days before the issue date, since the monthly (daily)
+// image of the issue month (day) holds data from after it.
+function datasets(issued) {
+  var eeIssued = ee.Date(issued.getTime());
+  var monthStart = ee.Date.fromYMD(issued.getUTCFullYear(), issued.getUTCMonth() + 1, 1);
+  var dayStart = ee.Date(engine.formatDate(issued));
+  var bands = ['total_precipitation_sum', 'temperature_2m'];
+  return {
+    districts: ee.FeatureCollection('projects/ee-mustafaasghar66/assets/gadm36_PAK_3'),
+    climatology: ee.FeatureCollection('projects/ee-mustafaasghar66/assets/Pakistan_Climate_2014_2024'),
+    gfs: ee.ImageCollection('NOAA/GFS0P25')
+      .filterDate(eeIssued.advance(-1, 'day'), eeIssued)
+      .filter(ee.Filter.lte('forecast_hours', 384))
+      .filter(ee.Filter.gte('forecast_hours', 0)),
+    era5Monthly: ee.ImageCollection('ECMWF/ERA5_LAND/MONTHLY_AGGR').select(bands).filterDate('2020-01-01', monthStart),
+    era5Daily: ee.ImageCollection('ECMWF/ERA5_LAND/DAILY_AGGR').select(bands).filterDate(dayStart.advance(-1, 'year'), dayStart),
+    era5Baseline: ee.ImageCollection('ECMWF/ERA5_LAND/MONTHLY_AGGR').select(bands)
+      .filterDate(ee.Date.fromYMD(BASELINE_START_YEAR, 1, 1), ee.Date.fromYMD(BASELINE_END_YEAR + 1, 1, 1))
+  };
+}
+
+
+// ===========================================================================================
+// ALERTS
+// ===========================================================================================
+
+function readJson(file, fallback) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+}
+
+function writeJson(file, value) {
+  fs.mkdirSync(path.dirname(file), {recursive: true});
+  fs.writeFileSync(file, JSON.stringify(value, null, 2));
+}
+
+// POSTs a JSON body: callback(error or null)
+function postJson(receiver, body, callback) {
+  var url = new URL(receiver.url);
+  var data = JSON.stringify(body);
+  var headers = {'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data)};
+  Object.keys(receiver.headers || {}).forEach(function(key) { headers[key] = receiver.headers[key]; });
+  var request = (url.protocol === 'https:' ? https : http).request(url, {method: 'POST', headers: headers}, function(response) {
+    response.resume();
+    response.on('end', function() {
+      callback(response.statusCode >= 200 && response.statusCode < 300 ? null : 'HTTP ' + response.statusCode);
+    });
+  });
+  request.setTimeout(30000, function() { request.destroy(new Error('timed out')); });
+  request.on('error', function(err) { callback(err.message); });
+  request.end(data);
+}
+
+// Every receiver in turn; a failing receiver is reported and the rest still get the alerts
+function deliverAlerts(payloads, name, receivers, callback) {
+  var bodies = [];
+  receivers.forEach(function(receiver) {
+    if (receiver.format === 'message') {
+      payloads.forEach(function(payload) {
+        var message = alerts.alertMessage(payload);
+        bodies.push({receiver: receiver, body: {subject: message.subject, text: message.text, alert: payload}});
+      });
+    } else {
+      bodies.push({receiver: receiver, body: {run: name, alerts: payloads}});
+    }
+  });
+  var next = function() {
+    if (bodies.length === 0) { callback(); return; }
+    var item = bodies.shift();
+    postJson(item.receiver, item.body, function(err) {
+      if (err) fail(name + ': alert to ' + item.receiver.url + ': ' + err);
+      next();
+    });
+  };
+  next();
+}
+
+// Compares the run with the previous issue date in the state file, writes and sends the alerts,
+// then records the run as the new state
+function notifyRun(rows, metadata, name, parameter, config, issued, callback) {
+  var settings = config.alerts;
+  var stateFile = path.join(settings.stateDir, [runArchive.PREFIX, parameter, config.anomalyMode, 'state'].join('_') + '.json');
+  var history = readJson(stateFile, {});
+  var date = engine.formatDate(issued);
+  var previous = alerts.previousRun(history, date);
+  var run = {
+    name: name,
+    parameter: parameter,
+    anomalyMode: config.anomalyMode,
+    redThreshold: metadata.red_threshold,
+    blueThreshold: metadata.blue_threshold,
+    validity: alerts.validityWindow(issued, config.forecastDays),
+    previousDate: previous ? previous.date : null,
+    pastStart: metadata.past_start,
+    pastEnd: metadata.past_end,
+    gfsRun: metadata.gfs_run
+  };
+  var payloads = alerts.transitions(previous ? previous.rows : [], rows, settings.minLevel).map(function(transition) {
+    return alerts.alertPayload(transition, run);
+  });
+  console.log(name + ': ' + payloads.length + ' alerts' + (previous ? ' since ' + previous.date : ' (no previous run)'));
+  writeJson(path.join(settings.stateDir, name + '_alerts.json'), payloads);
+  var finish = function() {
+    writeJson(stateFile, alerts.recordRun(history, date, rows, settings.keepRuns));
+    callback();
+  };
+  if (payloads.length === 0 || settings.receivers.length === 0) {
+    finish();
+  } else {
+    deliverAlerts(payloads, name, settings.receivers, finish);
+  }
+}
+
+
+// ===========================================================================================
+// ONE PARAMETER
+// ===========================================================================================
+
+// Warning level and threshold class per district id, from the evaluated properties.
+// Districts without a baseline row get MISSING for both.
+function classifyRows(rows, parameter, config) {
+  var rules = levels.ruleSet(WARNING_RULES, parameter, config.anomalyMode);
+  var thresholds = config.thresholds[parameter];
+  var suffix = config.anomalyMode === 'standardized' ? '_z' : '_diff';
+  var classes = {};
+  rows.forEach(function(p) {
+    var valid = p.combined_diff !== pipeline.MISSING && p.combined_diff !== null && p.combined_diff !== undefined;
+    var warning = valid ? levels.classify(p, rules, config.anomalyMode) : null;
+    classes[p.GID_3] = {
+      'warning_level': warning ? warning.level : pipeline.MISSING,
+      'warning_label': warning ? warning.label : 'No data',
+      'warning_reasons': warning ? warning.reasons.join('; ') : '',
+      'anomaly_class': valid ? pipeline.anomalyClass(p['combined' + suffix], thresholds.red, thresholds.blue) : pipeline.MISSING
+    };
+  });
+  return classes;
+}
+
+// Warning level and anomaly class painted per district (byte bands, districts without data masked)
+function classifiedRaster(table) {
+  var valid = table.filter(ee.Filter.neq('warning_level', pipeline.MISSING));
+  return ee.Image.cat(runArchive.RASTER_BANDS.map(function(band) {
+    return valid.reduceToImage([band], ee.Reducer.first()).rename(band);
+  })).toInt8();
+}
+
+function startTask(task, label, callback) {
+  task.start(function() {
+    console.log('Started export:', label);
+    callback();
+  }, function(err) {
+    fail(label + ': ' + err);
+    callback();
+  });
+}
+
+// Dated table (CSV in a bucket) and raster (GeoTIFF in a bucket) exports
+function exportRun(table, raster, region, name, columns, config, callback) {
+  var tableTask, rasterTask;
+  if (config.bucket) {
+    tableTask = ee.batch.Export.table.toCloudStorage({
+      collection: table, description: name, bucket: config.bucket,
+      fileNamePrefix: config.bucketPrefix + name, fileFormat: 'CSV', selectors: columns
+    });
+    rasterTask = ee.batch.Export.image.toCloudStorage({
+      image: raster, description: runArchive.rasterName(name), bucket: config.bucket,
+      fileNamePrefix: config.bucketPrefix + runArchive.rasterName(name), region: region,
+      scale: config.rasterScale, maxPixels: 1e10, fileFormat: 'GeoTIFF'
+    });
+  } else {
+    tableTask = ee.batch.Export.table.toAsset({
+      collection: table.select(columns), description: name, assetId: config.assetFolder + '/' + name
+    });
+    rasterTask = ee.batch.Export.image.toAsset({
+      image: raster, description: runArchive.rasterName(name),
+      assetId: config.assetFolder + '/' + runArchive.rasterName(name), region: region,
+      scale: config.rasterScale, maxPixels: 1e10, pyramidingPolicy: {'.default': 'mode'}
+    });
+  }
+  startTask(tableTask, name, function() {
+    startTask(rasterTask, runArchive.rasterName(name), callback);
+  });
+}
+
+function runParameter(parameter, config, data, issued, callback) {
+  pipeline.resolvePastWindow(data.era5Monthly, data.era5Daily, config.pastMode, config.pastDays, function(pastWindow, err) {
+    if (!pastWindow) { fail(parameter + ': no ERA5-Land ' + config.pastMode + ' data: ' + err); callback(); return; }
+    var gfsRun = engine.eeLatestRun(data.gfs);
+    gfsRun.aggregate_max('creation_time').evaluate(function(gfsRunMillis, err2) {
+      if (err2 || !gfsRunMillis) { fail(parameter + ': no GFS run: ' + err2); callback(); return; }
+      var results = pipeline.eeComputeAnomalies({
+        districts: data.districts,
+        climatology: data.climatology,
+        parameter: parameter,
+        anomalyMode: config.anomalyMode,
+        gfsRun: gfsRun,
+        pastWindow: pastWindow,
+        forecastWindow: pipeline.forecastWindow(issued, config.forecastDays),
+        baseline: {era5Monthly: data.era5Baseline, startYear: BASELINE_START_YEAR, endYear: BASELINE_END_YEAR}
+      });
+
+      // Properties only: classification is client-side, geometries stay on the server
+      results.map(function(f) { return ee.Feature(null, f.toDictionary()); }).evaluate(function(fc, err3) {
+        if (err3 || !fc) { fail(parameter + ': ' + err3); callback(); return; }
+        var rows = fc.features.map(function(f) { return f.properties; });
+        var classes = classifyRows(rows, parameter, config);
+        var metadata = resultsExport.runMetadata({
+          parameter: parameter,
+          anomalyMode: config.anomalyMode,
+          redThreshold: config.thresholds[parameter].red,
+          blueThreshold: config.thresholds[parameter].blue,
+          gfsRunMillis: gfsRunMillis,
+          pastMode: pastWindow.mode,
+          pastStart: pastWindow.start,
+          pastEnd: pastWindow.end,
+          pastDays: pastWindow.days,
+          forecastDays: config.forecastDays,
+          generated: new Date()
+        });
+        // The district id too (the results export skips GADM columns): replay histories match on it
+        var columns = [runArchive.ID_FIELD].concat(resultsExport.columnsFor(rows.map(function(p) {
+          var row = resultsExport.flattenProperties(p, metadata);
+          var extra = classes[p.GID_3];
+          Object.keys(extra).forEach(function(key) { row[key] = extra[key]; });
+          return row;
+        })).filter(function(column) { return column !== 'debug'; }));
+
+        var lookup = ee.Dictionary(classes);
+        var table = results.map(function(f) {
+          return f.set(ee.Dictionary(lookup.get(f.get('GID_3')))).set(metadata);
+        });
+        var name = runArchive.runName(parameter, config.anomalyMode, issued);
+        console.log(name + ': ' + rows.length + ' districts, ' +
+          rows.filter(function(p) { return classes[p.GID_3].warning_level > 0; }).length + ' at Watch or above');
+        var alertRows = rows.map(function(p) {
+          var row = alerts.stateRow(p);
+          Object.keys(classes[p.GID_3]).forEach(function(key) { row[key] = classes[p.GID_3][key]; });
+          return row;
+        });
+        notifyRun(alertRows, metadata, name, parameter, config, issued, function() {
+          exportRun(table, classifiedRaster(table), data.districts.geometry().bounds(), name, columns, config, callback);
+        });
+      });
+    });
+  });
+}
+
+
+// ===========================================================================================
+// MAIN
+// ===========================================================================================
+function main() {
+  var config;
+  try {
+    config = runConfig.loadConfig(process.argv[2]);
+  } catch (err) {
+    fail('could not read the config: ' + err.message);
+    return;
+  }
+  var problems = runConfig.validateConfig(config);
+  if (problems.length > 0) {
+    fail('invalid config: ' + problems.join('; '));
+    return;
+  }
+  var issueDates = config.issueDates.length > 0 ?
+    config.issueDates.map(function(date) { return new Date(date + 'T12:00:00Z'); }) :
+    [new Date()];
+  authenticate(function() {
+    var jobs = [];
+    issueDates.forEach(function(issued) {
+      config.parameters.forEach(function(parameter) {
+        jobs.push({issued: issued, parameter: parameter});
+      });
+    });
+    var next = function() {
+      if (jobs.length === 0) {
+        console.log('Scheduled run finished for ' + issueDates.map(engine.formatDate).join(', '));
+        return;
+      }
+      var job = jobs.shift();
+      runParameter(job.parameter, config, datasets(job.issued), job.issued, next);
+    };
+    next();
+  });
+}
+
+main();
@@ -0,0 +1,68 @@
+// ===========================================================================================
+// SCHEDULED RUNS: LOCAL ALERT RECEIVER (TESTING)
+// Stands in for the webhook / email / SMS gateway: prints every alert body the scheduled run
+// POSTs and appends it, one JSON line per request, to a file. No dependencies.
+//
+//   node "Scheduled runs/alert_receiver.js" [port] [file]        (defaults 8787, alerts_received.jsonl)
+// then, in the scheduled run's config (the other alerts settings keep their defaults):
+//   "alerts": {"receivers": [{"url": "http://localhost:8787/alerts", "format": "batch"}]}
+// ===========================================================================================
+
+var fs = require('fs');
+var http = require('http');
+
+var DEFAULT_PORT = 8787;
+var DEFAULT_FILE = 'alerts_received.jsonl';
+
+var port = Number(process.argv[2]) || DEFAULT_PORT;
+var file = process.argv[3] || DEFAULT_FILE;
+
+function reply(response, status, body) {
+  response.writeHead(status, {'Content-Type': 'application/json'});
+  response.end(JSON.stringify(body));
+}
+
+// The label of a payload's level or threshold class, '?' when the sender left it out
+function label(part) {
+  return part && part.label !== undefined ? part.label : '?';
+}
+
+// One line per alert in a batch, or the subject of a message body
+function describe(body) {
+  if (body.alerts) {
+    return [body.run + ': ' + body.alerts.length + ' alerts'].concat(body.alerts.map(function(alert) {
+      alert = alert || {};
+      return '  ' + alert.event + '  ' + alert.district + '  ' + label(alert.level) + ' (' + label(alert.threshold_class) + ')';
+    })).join('\n');
+  }
+  return body.subject || JSON.stringify(body);
+}
+
+var server = http.createServer(function(request, response) {
+  if (request.method !== 'POST') {
+    reply(response, 405, {error: 'POST alerts as JSON'});
+    return;
+  }
+  var chunks = [];
+  request.on('data', function(chunk) { chunks.push(chunk); });
+  request.on('end', function() {
+    var body;
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (err) {
+      reply(response, 400, {error: 'invalid JSON: ' + err.message});
+      return;
+    }
+    if (body === null || typeof body !== 'object' || (body.alerts !== undefined && !Array.isArray(body.alerts))) {
+      reply(response, 400, {error: 'expected an alert object or {run, alerts: [...]}'});
+      return;
+    }
+    console.log(new Date().toISOString() + ' ' + request.url + '\n' + describe(body));
+    fs.appendFileSync(file, JSON.stringify({received: new Date().toISOString(), path: request.url, body: body}) + '\n');
+    reply(response, 200, {received: body.alerts ? body.alerts.length : 1});
+  });
+});
+
+server.listen(port, function() {
+  console.log('Alert receiver on http://localhost:' + port + '/, writing to ' + file);
+});
@@ -0,0 +1,152 @@
+// ===========================================================================================
+// SCHEDULED RUNS: CONFIGURATION
+// Defaults for the headless early warning run, merged with an optional JSON file and checked
+// before anything is sent to Earth Engine. Nested settings merge key by key, so a file may set
+// only thresholds.precipitation.red or alerts.receivers and keep the other defaults. No `ee`,
+// so it loads (and is tested) without the Earth Engine client.
+//
+//   var runConfig = require('./config.js');
+//   var config = runConfig.loadConfig(process.argv[2]);
+//   var problems = runConfig.validateConfig(config);
+// ===========================================================================================
+
+var fs = require('fs');
+
+var engine = require('../Shared modules/anomaly_engine.js');
+var alerts = require('../Shared modules/alerts.js');
+
+// Any key can be overridden by a JSON file given as the first argument
+var DEFAULT_CONFIG = {
+  parameters: ['precipitation', 'temperature'],
+  anomalyMode: 'absolute',            // 'absolute' (per day) or 'standardized' (σ)
+  pastMode: 'monthly',                // 'monthly' (whole ERA5-Land months) or 'daily'
+  pastDays: 90,
+  forecastDays: 16,
+  // Backfill, e.g. ["2022-08-20", "2022-08-21"]: each date is issued at 12:00 UTC from the GFS
+  // runs before then and the ERA5-Land data up to then (no reporting delay). Empty = today.
+  issueDates: [],
+  // Red / blue thresholds in the anomaly units, for the anomaly_class band and the table metadata
+  thresholds: {
+    precipitation: {red: 5, blue: -5},
+    temperature: {red: 2, blue: -2}
+  },
+  // Outputs go to the asset folder, or to the bucket when one is set
+  assetFolder: 'projects/ee-mustafaasghar66/assets/ews_archive',
+  bucket: '',
+  bucketPrefix: 'ews_archive/',
+  rasterScale: engine.ERA5_SCALE,
+  // Alerts (see Shared modules/alerts): each run is compared with the previous issue date kept in
+  // stateDir, and every alert is written there and POSTed to each receiver:
+  //   {url: 'https://...', format: 'batch', headers: {...}}   one body {run, alerts: [payloads]}
+  //   {url: 'https://...', format: 'message'}                 one {subject, text, alert} per alert
+  // e.g. {url: 'http://localhost:8787/alerts', format: 'batch'} with the stub receiver running
+  alerts: {
+    minLevel: alerts.DEFAULT_MIN_LEVEL,
+    stateDir: 'alert_state',
+    keepRuns: alerts.DEFAULT_KEEP_RUNS,
+    receivers: []
+  }
+};
+
+var PARAMETERS = ['precipitation', 'temperature'];
+var ANOMALY_MODES = ['absolute', 'standardized'];
+var PAST_MODES = ['monthly', 'daily'];
+var RECEIVER_FORMATS = ['batch', 'message'];
+
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+// `overrides` on top of `defaults`: plain objects merge key by key, anything else (arrays,
+// numbers, strings, null) replaces the default value
+function mergeConfig(defaults, overrides) {
+  var merged = {};
+  Object.keys(defaults).forEach(function(key) { merged[key] = defaults[key]; });
+  Object.keys(overrides || {}).forEach(function(key) {
+    merged[key] = isPlainObject(defaults[key]) && isPlainObject(overrides[key]) ?
+      mergeConfig(defaults[key], overrides[key]) : overrides[key];
+  });
+  return merged;
+}
+
+// A copy of the defaults, merged with the JSON file when one is given
+function loadConfig(file) {
+  var config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+  if (!file) return config;
+  var overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!isPlainObject(overrides)) {
+    throw new Error(file + ' must hold a JSON object');
+  }
+  return mergeConfig(config, overrides);
+}
+
+// Everything wrong with a merged config, as messages naming the setting; empty when it can run
+function validateConfig(config) {
+  var problems = [];
+  Object.keys(config).forEach(function(key) {
+    if (!(key in DEFAULT_CONFIG)) problems.push('unknown setting "' + key + '"');
+  });
+  if (!Array.isArray(config.parameters) || config.parameters.length === 0 ||
+      config.parameters.some(function(p) { return PARAMETERS.indexOf(p) === -1; })) {
+    problems.push('parameters must list one or more of ' + PARAMETERS.join(', '));
+  }
+  if (ANOMALY_MODES.indexOf(config.anomalyMode) === -1) {
+    problems.push('anomalyMode must be ' + ANOMALY_MODES.join(' or '));
+  }
+  if (PAST_MODES.indexOf(config.pastMode) === -1) {
+    problems.push('pastMode must be ' + PAST_MODES.join(' or '));
+  }
+  ['pastDays', 'forecastDays'].forEach(function(key) {
+    if (!isNumber(config[key]) || config[key] < 1) problems.push(key + ' must be a positive number of days');
+  });
+  if (!isNumber(config.rasterScale) || config.rasterScale <= 0) {
+    problems.push('rasterScale must be a positive number of metres');
+  }
+  if (!Array.isArray(config.issueDates) ||
+      config.issueDates.some(function(d) { return !/^\d{4}-\d{2}-\d{2}$/.test(d) || isNaN(Date.parse(d)); })) {
+    problems.push('issueDates must be a list of YYYY-MM-DD dates');
+  }
+  (Array.isArray(config.parameters) ? config.parameters : []).forEach(function(parameter) {
+    var t = isPlainObject(config.thresholds) ? config.thresholds[parameter] : undefined;
+    if (!isPlainObject(t) || !isNumber(t.red) || !isNumber(t.blue)) {
+      problems.push('thresholds.' + parameter + ' needs numeric red and blue');
+    } else if (t.blue >= t.red) {
+      problems.push('thresholds.' + parameter + '.blue must be below red');
+    }
+  });
+  if (!config.bucket && !config.assetFolder) {
+    problems.push('set assetFolder or bucket for the outputs');
+  }
+  var settings = config.alerts;
+  if (!isPlainObject(settings)) {
+    problems.push('alerts must be an object');
+  } else {
+    if (!isNumber(settings.minLevel)) problems.push('alerts.minLevel must be a number');
+    if (!isNumber(settings.keepRuns) || settings.keepRuns < 1) problems.push('alerts.keepRuns must be a positive number');
+    if (typeof settings.stateDir !== 'string' || settings.stateDir === '') problems.push('alerts.stateDir must be a directory path');
+    if (!Array.isArray(settings.receivers)) {
+      problems.push('alerts.receivers must be a list');
+    } else {
+      settings.receivers.forEach(function(receiver, i) {
+        if (!isPlainObject(receiver) || typeof receiver.url !== 'string' || !/^https?:\/\//.test(receiver.url)) {
+          problems.push('alerts.receivers[' + i + '].url must be an http(s) URL');
+        } else if (receiver.format !== undefined && RECEIVER_FORMATS.indexOf(receiver.format) === -1) {
+          problems.push('alerts.receivers[' + i + '].format must be ' + RECEIVER_FORMATS.join(' or '));
+        }
+      });
+    }
+  }
+  return problems;
+}
+
+
+exports.DEFAULT_CONFIG = DEFAULT_CONFIG;
+
+exports.mergeConfig = mergeConfig;
+exports.loadConfig = loadConfig;
+exports.validateConfig = validateConfig;
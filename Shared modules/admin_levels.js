@@ -0,0 +1,175 @@
+// ===========================================================================================
+// ADMIN LEVELS: DISTRICT RESULTS ROLLED UP TO DIVISIONS AND PROVINCES
+// The anomalies are computed per gadm36_PAK_3 district (the level the baseline table has),
+// then combined per NAME_2 division or NAME_1 province. Units are told apart by their whole
+// name path (NAME_1 / NAME_2), as division names repeat across provinces. Values and baselines
+// are area-weighted means (per-day rainfall depth and °C alike), so differences stay
+// consistent; hazard flags take the worst member. Plain-number functions only.
+//
+// Code Editor:  var adminLevels = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/admin_levels');
+// Node:         var adminLevels = require('./Shared modules/admin_levels.js');
+// ===========================================================================================
+
+// Marker for missing values, as in the other modules
+var MISSING = -999;
+
+var LEVELS = [
+  {level: 1, field: 'NAME_1', label: 'Province', plural: 'Provinces'},
+  {level: 2, field: 'NAME_2', label: 'Division', plural: 'Divisions'},
+  {level: 3, field: 'NAME_3', label: 'District', plural: 'Districts'}
+];
+var DISTRICT_LEVEL = 3;
+
+// Windows whose *_value / *_baseline are area-weighted together (over the members that have
+// both) and whose *_diff and *_z are rebuilt from them
+var WINDOWS = ['past', 'forecast', 'combined'];
+
+// Other area-weighted means. Averaging the spreads (*_sd) assumes the districts vary
+// together, which gives a conservative unit σ.
+var WEIGHTED_FIELDS = ['past_sd', 'forecast_sd', 'combined_sd', 'spi', 'soil_z'];
+
+// Worst member wins
+var MAX_FIELDS = ['rain_flag', 'hw_flag', 'hw_count'];
+
+// Detail fields copied from one member: the whole group of a prefix comes from the member
+// with the largest `by` value, so e.g. a rainfall peak keeps its own window and dates
+var PEAK_GROUPS = [
+  {prefix: 'rain_', by: 'rain_peak_ratio'},
+  {prefix: 'hw_', by: 'hw_duration'}
+];
+
+// Run-wide fields, the same on every member
+var SHARED_FIELDS = ['past_start', 'past_end', 'past_mode', 'past_days', 'forecast_days', 'anomaly_mode'];
+
+
+// ===========================================================================================
+// AGGREGATION
+// ===========================================================================================
+
+function isMissing(value) {
+  return value === null || value === undefined || value === MISSING || (typeof value === 'number' && isNaN(value));
+}
+
+function level(levelNumber) {
+  for (var i = 0; i < LEVELS.length; i++) {
+    if (LEVELS[i].level === levelNumber) return LEVELS[i];
+  }
+  return LEVELS[LEVELS.length - 1];
+}
+
+// The GADM name fields down to `levelNumber`, e.g. ['NAME_1', 'NAME_2'] for divisions
+function pathFields(levelNumber) {
+  var fields = [];
+  for (var l = 1; l <= level(levelNumber).level; l++) {
+    fields.push('NAME_' + l);
+  }
+  return fields;
+}
+
+// A unit's name path, e.g. 'Punjab / Lahore': the key units of a level are grouped by
+function unitKey(properties, levelNumber) {
+  return pathFields(levelNumber).map(function(field) { return properties[field]; }).join(' / ');
+}
+
+// Area-weighted mean of one field over members, skipping missing values; MISSING if none
+function weightedMean(members, field) {
+  var sum = 0;
+  var weight = 0;
+  members.forEach(function(p) {
+    if (isMissing(p[field]) || !(p.area_km2 > 0)) return;
+    sum += p[field] * p.area_km2;
+    weight += p.area_km2;
+  });
+  return weight > 0 ? sum / weight : MISSING;
+}
+
+// Element-wise area-weighted mean of equal-length lists (e.g. ensemble members)
+function weightedListMean(members, field) {
+  var lists = members.filter(function(p) { return Array.isArray(p[field]); });
+  if (lists.length === 0) return undefined;
+  return lists[0][field].map(function(unused, i) {
+    return weightedMean(lists.map(function(p) { return {value: p[field][i], area_km2: p.area_km2}; }), 'value');
+  });
+}
+
+// Member with the largest `field`, or null when none has it
+function peakMember(members, field) {
+  var peak = null;
+  members.forEach(function(p) {
+    if (!isMissing(p[field]) && (!peak || p[field] > peak[field])) peak = p;
+  });
+  return peak;
+}
+
+// One properties object per unit of `levelNumber` from district properties (which need
+// area_km2 and the GADM NAME_* fields), in unitKey() order. district_name becomes the unit
+// name so the rest of the app can treat units like districts, admin_key its unitKey() and
+// NAME_1.. its name path; member_count / member_names list the districts.
+function aggregate(districtProperties, levelNumber) {
+  var adminLevel = level(levelNumber);
+  if (adminLevel.level === DISTRICT_LEVEL) return districtProperties;
+
+  var groups = {};
+  var order = [];
+  districtProperties.forEach(function(p) {
+    var key = unitKey(p, adminLevel.level);
+    if (!groups[key]) {
+      groups[key] = [];
+      order.push(key);
+    }
+    groups[key].push(p);
+  });
+
+  return order.sort().map(function(key) {
+    var members = groups[key];
+    var unit = {district_name: members[0][adminLevel.field], admin_key: key, admin_level: adminLevel.level,
+                member_count: members.length};
+    unit.member_names = members.map(function(p) { return p.district_name; }).join(', ');
+    unit.area_km2 = members.reduce(function(sum, p) { return sum + (p.area_km2 || 0); }, 0);
+    pathFields(adminLevel.level).forEach(function(field) { unit[field] = members[0][field]; });
+    SHARED_FIELDS.forEach(function(field) { unit[field] = members[0][field]; });
+
+    PEAK_GROUPS.forEach(function(group) {
+      var peak = peakMember(members, group.by);
+      if (!peak) return;
+      Object.keys(peak).forEach(function(key) {
+        if (key.indexOf(group.prefix) === 0) unit[key] = peak[key];
+      });
+    });
+    MAX_FIELDS.forEach(function(field) {
+      var peak = peakMember(members, field);
+      if (peak) unit[field] = peak[field];
+    });
+    WEIGHTED_FIELDS.forEach(function(field) {
+      if (members.some(function(p) { return p[field] !== undefined; })) unit[field] = weightedMean(members, field);
+    });
+    var ensembleMembers = weightedListMean(members, 'ens_members');
+    if (ensembleMembers) unit.ens_members = ensembleMembers;
+
+    // Differences and z-scores from the aggregated values, so they stay consistent
+    WINDOWS.forEach(function(window) {
+      var complete = members.filter(function(p) {
+        return !isMissing(p[window + '_value']) && !isMissing(p[window + '_baseline']);
+      });
+      var value = unit[window + '_value'] = weightedMean(complete, window + '_value');
+      var baseline = unit[window + '_baseline'] = weightedMean(complete, window + '_baseline');
+      unit[window + '_diff'] = isMissing(value) || isMissing(baseline) ? MISSING : value - baseline;
+      if (unit[window + '_sd'] !== undefined) {
+        var sd = unit[window + '_sd'];
+        unit[window + '_z'] = isMissing(unit[window + '_diff']) || !(sd > 0) ? MISSING : unit[window + '_diff'] / sd;
+      }
+    });
+    return unit;
+  });
+}
+
+
+exports.MISSING = MISSING;
+exports.LEVELS = LEVELS;
+exports.DISTRICT_LEVEL = DISTRICT_LEVEL;
+
+exports.level = level;
+exports.pathFields = pathFields;
+exports.unitKey = unitKey;
+exports.weightedMean = weightedMean;
+exports.aggregate = aggregate;
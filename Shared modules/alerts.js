@@ -0,0 +1,216 @@
+// ===========================================================================================
+// ALERTS: DISTRICTS ENTERING OR LEAVING A WARNING STATE BETWEEN RUNS
+// Compares a run's per-district warning levels and red / blue threshold classes with the
+// previous issue date and turns every change of state into a JSON alert payload (district,
+// parameter, anomalies, level, validity window) for a webhook, email gateway or SMS service.
+// A district is in a warning state at or above the minimum level, or beyond a threshold.
+// Plain data only, so the scheduled runs and any other client can use it.
+//
+// Code Editor:  var alerts = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/alerts');
+// Node:         var alerts = require('./Shared modules/alerts.js');
+// ===========================================================================================
+
+// Lowest warning level that counts as a warning state (1 = Watch, see Shared modules/warning_levels)
+var DEFAULT_MIN_LEVEL = 1;
+
+// Issue dates kept in the alert history
+var DEFAULT_KEEP_RUNS = 14;
+
+// Marker for missing values, as in the other modules
+var MISSING = -999;
+
+// Version tag carried by every payload, for receivers to check
+var SCHEMA = 'ews-alert/1';
+
+// GADM level-3 id, when the rows carry it (NAME_3 is not unique); rows are matched by name otherwise
+var ID_FIELD = 'GID_3';
+
+// Per-district fields kept in the history and copied into payloads
+var STATE_FIELDS = [ID_FIELD, 'district_name', 'warning_level', 'warning_label', 'warning_reasons', 'anomaly_class'];
+var ANOMALY_FIELDS = ['past_diff', 'forecast_diff', 'combined_diff', 'past_z', 'forecast_z', 'combined_z'];
+
+var CLASS_LABELS = {'1': 'Above red threshold', '0': 'Within thresholds', '-1': 'Below blue threshold'};
+
+
+// ===========================================================================================
+// STATE AND TRANSITIONS
+// ===========================================================================================
+
+function hasValue(value) {
+  return value !== null && value !== undefined && value !== MISSING;
+}
+
+// Key matching a district between runs
+function districtKey(row) {
+  return hasValue(row[ID_FIELD]) ? row[ID_FIELD] : row.district_name;
+}
+
+// True when a district row is in a warning state, null when it has no data
+function isActive(row, minLevel) {
+  if (!hasValue(row.warning_level)) return null;
+  return row.warning_level >= minLevel || (hasValue(row.anomaly_class) && row.anomaly_class !== 0);
+}
+
+// The fields alerts need from one district row (results table row or evaluated properties)
+function stateRow(row) {
+  var kept = {};
+  STATE_FIELDS.concat(ANOMALY_FIELDS).forEach(function(field) {
+    if (row[field] !== undefined) kept[field] = row[field];
+  });
+  return kept;
+}
+
+// Changes of state from the previous run's rows to the current run's, by districtKey():
+// [{district, event, previous, current}] with event
+//   'entered'  not in a warning state before (or not in the previous run), in one now
+//   'left'     in a warning state before, not now
+//   'changed'  in a warning state before and now, at another level or threshold class
+// Districts without data in the current run give no event (their state is unknown).
+function transitions(previousRows, currentRows, minLevel) {
+  var level = minLevel === undefined ? DEFAULT_MIN_LEVEL : minLevel;
+  var previousByKey = {};
+  (previousRows || []).forEach(function(row) { previousByKey[districtKey(row)] = row; });
+  var events = [];
+  currentRows.forEach(function(row) {
+    var active = isActive(row, level);
+    if (active === null) return;
+    var previous = previousByKey[districtKey(row)] || null;
+    var wasActive = previous ? isActive(previous, level) : null;
+    var event = null;
+    if (active && !wasActive) {
+      event = 'entered';
+    } else if (!active && wasActive) {
+      event = 'left';
+    } else if (active && wasActive &&
+               (row.warning_level !== previous.warning_level || row.anomaly_class !== previous.anomaly_class)) {
+      event = 'changed';
+    }
+    if (event) {
+      events.push({district: row.district_name, event: event, previous: previous, current: row});
+    }
+  });
+  return events;
+}
+
+// History of runs, {date ('YYYY-MM-DD'): rows}: the latest run issued before `date`, or null
+function previousRun(history, date) {
+  var dates = Object.keys(history).filter(function(d) { return d < date; }).sort();
+  if (dates.length === 0) return null;
+  return {date: dates[dates.length - 1], rows: history[dates[dates.length - 1]]};
+}
+
+// History with the run of `date` added (replacing a rerun of the same date); districts without
+// data keep their last known row, so a gap does not read as leaving the warning state.
+// Only the newest `keepRuns` dates are kept.
+function recordRun(history, date, rows, keepRuns) {
+  var previous = previousRun(history, date);
+  var previousByKey = {};
+  (previous ? previous.rows : []).forEach(function(row) { previousByKey[districtKey(row)] = row; });
+  var next = {};
+  Object.keys(history).forEach(function(d) { next[d] = history[d]; });
+  next[date] = rows.map(function(row) {
+    var last = previousByKey[districtKey(row)];
+    return hasValue(row.warning_level) || !last ? stateRow(row) : last;
+  });
+  var dates = Object.keys(next).sort();
+  dates.slice(0, Math.max(dates.length - (keepRuns || DEFAULT_KEEP_RUNS), 0)).forEach(function(d) { delete next[d]; });
+  return next;
+}
+
+
+// ===========================================================================================
+// PAYLOADS
+// ===========================================================================================
+
+// 'YYYY-MM-DD' (UTC) of a Date plus `days`
+function dayString(date, days) {
+  return new Date(date.getTime() + days * 86400000).toISOString().substring(0, 10);
+}
+
+// Period an alert covers: from the issue date to the end of the forecast window
+function validityWindow(issued, forecastDays) {
+  return {issued: issued.toISOString(), from: dayString(issued, 0), until: dayString(issued, forecastDays - 1)};
+}
+
+function unitsFor(parameter, anomalyMode) {
+  if (anomalyMode === 'standardized') return 'σ';
+  return parameter === 'precipitation' ? 'mm/day' : '°C';
+}
+
+// JSON payload for one transition
+//   run.name, run.parameter, run.anomalyMode, run.redThreshold, run.blueThreshold
+//   run.validity       validityWindow()
+//   run.previousDate   issue date compared against ('YYYY-MM-DD'), null for the first run
+//   run.pastStart, run.pastEnd, run.gfsRun
+function alertPayload(transition, run) {
+  var current = transition.current;
+  var previous = transition.previous;
+  var anomalies = {};
+  ANOMALY_FIELDS.forEach(function(field) {
+    if (hasValue(current[field])) anomalies[field] = current[field];
+  });
+  return {
+    schema: SCHEMA,
+    // By district id, as names repeat (the name only for rows without one)
+    id: run.name + '/' + districtKey(current) + '/' + transition.event,
+    event: transition.event,
+    district: transition.district,
+    district_id: hasValue(current[ID_FIELD]) ? current[ID_FIELD] : null,
+    parameter: run.parameter,
+    anomaly_mode: run.anomalyMode,
+    units: unitsFor(run.parameter, run.anomalyMode),
+    level: {
+      value: current.warning_level,
+      label: current.warning_label,
+      reasons: current.warning_reasons || '',
+      previous_value: previous ? previous.warning_level : null,
+      previous_label: previous ? previous.warning_label : null
+    },
+    threshold_class: {
+      value: current.anomaly_class,
+      label: CLASS_LABELS[String(current.anomaly_class)] || 'No data',
+      previous_value: previous ? previous.anomaly_class : null,
+      red: run.redThreshold,
+      blue: run.blueThreshold
+    },
+    anomalies: anomalies,
+    validity: run.validity,
+    compared_with: run.previousDate || null,
+    past_window: {start: run.pastStart, end: run.pastEnd},
+    gfs_run: run.gfsRun,
+    run: run.name
+  };
+}
+
+// Short subject and text of a payload, for email and SMS gateways
+function alertMessage(payload) {
+  var verbs = {entered: 'now at', left: 'back to', changed: 'changed to'};
+  var combined = payload.anomalies[payload.anomaly_mode === 'standardized' ? 'combined_z' : 'combined_diff'];
+  var subject = payload.district + ': ' + payload.parameter + ' ' + verbs[payload.event] + ' ' + payload.level.label;
+  var text = subject +
+    (payload.level.previous_label ? ' (was ' + payload.level.previous_label + ')' : '') + '. ' +
+    (payload.level.reasons ? payload.level.reasons + '. ' : '') +
+    (combined !== undefined ? 'Combined anomaly ' + (combined > 0 ? '+' : '') + combined.toFixed(2) + ' ' + payload.units + ', ' : '') +
+    payload.threshold_class.label.toLowerCase() + '. Valid ' + payload.validity.from + ' to ' + payload.validity.until + '.';
+  return {subject: subject, text: text};
+}
+
+
+exports.DEFAULT_MIN_LEVEL = DEFAULT_MIN_LEVEL;
+exports.DEFAULT_KEEP_RUNS = DEFAULT_KEEP_RUNS;
+exports.MISSING = MISSING;
+exports.SCHEMA = SCHEMA;
+exports.ID_FIELD = ID_FIELD;
+exports.STATE_FIELDS = STATE_FIELDS;
+exports.ANOMALY_FIELDS = ANOMALY_FIELDS;
+
+exports.districtKey = districtKey;
+exports.isActive = isActive;
+exports.stateRow = stateRow;
+exports.transitions = transitions;
+exports.previousRun = previousRun;
+exports.recordRun = recordRun;
+exports.validityWindow = validityWindow;
+exports.unitsFor = unitsFor;
+exports.alertPayload = alertPayload;
+exports.alertMessage = alertMessage;
@@ -0,0 +1,550 @@
+// ===========================================================================================
+// ANOMALY ENGINE: SHARED MATH FOR PAST / FORECAST / COMBINED DISTRICT ANOMALIES
+// Plain-number functions first (usable from Node with fixtures, no Earth Engine session),
+// then thin ee.* adapters that build the same calculation server-side for the GEE scripts.
+//
+// Code Editor:  var engine = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/anomaly_engine');
+// Node:         var engine = require('./Shared modules/anomaly_engine.js');
+// ===========================================================================================
+
+var MONTH_KEYS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+var DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+var MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// GFS0P25 is hourly for the first 120 hours, then 3-hourly out to 384 hours
+var GFS_HOURLY_UNTIL = 120;
+var GFS_MAX_HOUR = 384;
+
+// Scales used for district means (GFS 0.25° and ERA5-Land 0.1° grids)
+var GFS_SCALE = 27830;
+var ERA5_SCALE = 11132;
+
+var GFS_PRECIP_BAND = 'precipitation_rate';
+var GFS_TEMP_BAND = 'temperature_2m_above_ground';
+
+
+// ===========================================================================================
+// CLIMATOLOGY TABLE HELPERS (Pakistan_Climate_2014_2024 columns)
+// ===========================================================================================
+
+// e.g. monthColumn('precipitation', 0) -> 'rainfall_jan'
+function monthColumn(parameter, monthIndex) {
+  var prefix = parameter === 'precipitation' ? 'rainfall_' : 'temperature_';
+  return prefix + MONTH_KEYS[monthIndex];
+}
+
+// Per-month standard deviation column, e.g. sdColumn('precipitation', 0) -> 'rainfall_sd_jan'
+function sdColumn(parameter, monthIndex) {
+  var prefix = parameter === 'precipitation' ? 'rainfall_sd_' : 'temperature_sd_';
+  return prefix + MONTH_KEYS[monthIndex];
+}
+
+// Pulls the 12 monthly baseline values for a parameter out of a table row's properties
+function climatologyFromProperties(properties, parameter) {
+  return MONTH_KEYS.map(function(key, i) {
+    return Number(properties[monthColumn(parameter, i)]);
+  });
+}
+
+
+// ===========================================================================================
+// DATE WINDOW -> MONTH WEIGHTS
+// ===========================================================================================
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+// Real month length, including 29-day Februaries
+function daysInMonth(year, monthIndex) {
+  return monthIndex === 1 && isLeapYear(year) ? 29 : DAYS_IN_MONTH[monthIndex];
+}
+
+// Splits a window of `days` days starting on `startDate` (inclusive, UTC) into calendar-month
+// pieces, however many months it touches. Each piece is
+// {year, month: 0-11, days: days of the window in that month, daysInMonth}.
+function windowWeights(startDate, days) {
+  var year = startDate.getUTCFullYear();
+  var month = startDate.getUTCMonth();
+  var day = startDate.getUTCDate();
+  var remaining = days;
+  var pieces = [];
+
+  while (remaining > 0) {
+    var monthLength = daysInMonth(year, month);
+    var taken = Math.min(remaining, monthLength - day + 1);
+    pieces.push({year: year, month: month, days: taken, daysInMonth: monthLength});
+    remaining -= taken;
+    day = 1;
+    month = (month + 1) % 12;
+    if (month === 0) { year++; }
+  }
+  return pieces;
+}
+
+// First day of a window of `days` days that ends on `endDate` (inclusive)
+function pastWindowStart(endDate, days) {
+  return new Date(endDate.getTime() - (days - 1) * MS_PER_DAY);
+}
+
+// Same split for a window ending on `endDate`, e.g. the past window built from
+// ERA5-Land daily aggregates
+function pastWindowWeights(endDate, days) {
+  return windowWeights(pastWindowStart(endDate, days), days);
+}
+
+// 'YYYY-MM-DD' in UTC, for panel labels and ee.Date strings
+function formatDate(date) {
+  var pad = function(n) { return (n < 10 ? '0' : '') + n; };
+  return date.getUTCFullYear() + '-' + pad(date.getUTCMonth() + 1) + '-' + pad(date.getUTCDate());
+}
+
+// Multiplier applied to each month's baseline value.
+// Precipitation baselines are monthly totals, so each month contributes its daily share times
+// the days covered. Temperature baselines are monthly means, so months are day-weighted.
+// The first month counts its real remaining days (31-day months, February); the original
+// per-district code assumed 30 for temperature (30 - startDay + 1), see test/anomaly_engine.test.js.
+function weightFactors(weights, parameter) {
+  var totalDays = weights.reduce(function(sum, w) { return sum + w.days; }, 0);
+  return weights.map(function(w) {
+    var factor = parameter === 'precipitation' ? w.days / w.daysInMonth : w.days / totalDays;
+    return {month: w.month, factor: factor};
+  });
+}
+
+// Baseline for a date window: total mm for precipitation, mean °C for temperature
+function windowBaseline(monthlyValues, weights, parameter) {
+  return weightFactors(weights, parameter).reduce(function(sum, w) {
+    return sum + monthlyValues[w.month] * w.factor;
+  }, 0);
+}
+
+
+// ===========================================================================================
+// STANDARDIZED ANOMALIES (Z-SCORES)
+// Months are treated as independent and a partial month's total as scaling with its share
+// of the month, so a window's spread is the root-sum-square of the weighted monthly spreads.
+// ===========================================================================================
+
+// Root-sum-square of factor * sd pairs: [{factor, sd}]
+function combineStd(parts) {
+  return Math.sqrt(parts.reduce(function(sum, p) {
+    return sum + Math.pow(p.factor * p.sd, 2);
+  }, 0));
+}
+
+// Standard deviation of windowBaseline() given 12 monthly standard deviations
+function windowStd(monthlySds, weights, parameter) {
+  return combineStd(weightFactors(weights, parameter).map(function(w) {
+    return {factor: w.factor, sd: monthlySds[w.month]};
+  }));
+}
+
+// Spread of blend(): same day weights as the values
+function blendStd(pastSd, forecastSd, pastDays, forecastDays) {
+  var total = pastDays + forecastDays;
+  return combineStd([{factor: pastDays / total, sd: pastSd}, {factor: forecastDays / total, sd: forecastSd}]);
+}
+
+// Anomaly in units of standard deviation; null when the spread is unknown or zero
+function zScore(diff, sd) {
+  return sd > 0 ? diff / sd : null;
+}
+
+
+// ===========================================================================================
+// GFS FORECAST INTEGRATION
+// ===========================================================================================
+
+// Forecast steps covering `forecastDays`, each {hour, seconds} where seconds is the
+// accumulation period the step's precipitation rate stands for. `offsetHours` (default 0)
+// skips the start of an older run so it starts at the same valid time as the latest one; the
+// plan never passes GFS_MAX_HOUR, so it may end early (see planDays).
+function gfsStepPlan(forecastDays, offsetHours) {
+  var firstHour = offsetHours || 0;
+  var lastHour = Math.min(firstHour + forecastDays * 24, GFS_MAX_HOUR);
+  var steps = [];
+  for (var hour = firstHour + 1; hour <= Math.min(lastHour, GFS_HOURLY_UNTIL); hour++) {
+    steps.push({hour: hour, seconds: 3600});
+  }
+  for (var hour3 = GFS_HOURLY_UNTIL + 3; hour3 <= lastHour; hour3 += 3) {
+    if (hour3 > firstHour) steps.push({hour: hour3, seconds: 10800});
+  }
+  return steps;
+}
+
+// Days of forecast a step plan covers (accumulation seconds / 86400). An offset plan stops at
+// GFS_MAX_HOUR, so a lagged run covers less than forecastDays once lag + horizon passes it.
+function planDays(plan) {
+  return plan.reduce(function(sum, step) { return sum + step.seconds; }, 0) / 86400;
+}
+
+// Total precipitation (mm) from per-step rates in kg/m²/s keyed by forecast hour.
+// Missing steps count as zero, as in the original per-district loop.
+function accumulateGfsPrecip(ratesByHour, plan) {
+  return plan.reduce(function(sum, step) {
+    var rate = ratesByHour[step.hour];
+    return sum + (rate === undefined || rate === null ? 0 : rate * step.seconds);
+  }, 0);
+}
+
+// Band names of the per-step images (eeGfsPrecipStepsImage / eeGfsTempStepsImage), e.g. 'rain_step_0'
+function stepBands(prefix, plan) {
+  return plan.map(function(step, i) { return prefix + i; });
+}
+
+
+// ===========================================================================================
+// ERA5 UNITS AND BLENDING
+// ===========================================================================================
+
+// ERA5-Land stores precipitation in metres and temperature in Kelvin
+function era5ToObserved(value, parameter) {
+  return parameter === 'precipitation' ? value * 1000 : value - 273.15;
+}
+
+// Precipitation is reported per day; temperature is already a mean
+function perDay(total, days, parameter) {
+  return parameter === 'precipitation' ? total / days : total;
+}
+
+// Day-weighted average of a past-window value and a forecast-window value
+function blend(pastValue, forecastValue, pastDays, forecastDays) {
+  return (pastValue * pastDays + forecastValue * forecastDays) / (pastDays + forecastDays);
+}
+
+// Past window from whole ERA5 months: precipitation per day over `pastDays`, temperature
+// averaged over the months. Missing rainfall counts as zero; missing temperature falls back
+// to the baseline.
+function monthlyPastWindow(era5, climatology, pastDays, parameter) {
+  var obs = 0;
+  var base = 0;
+  era5.forEach(function(entry) {
+    var monthBase = climatology[entry.month];
+    var missing = entry.value === undefined || entry.value === null;
+    obs += missing ? (parameter === 'precipitation' ? 0 : monthBase) : era5ToObserved(entry.value, parameter);
+    base += monthBase;
+  });
+  var divisor = parameter === 'precipitation' ? pastDays : era5.length;
+  return {value: obs / divisor, baseline: base / divisor};
+}
+
+// Past window from ERA5 daily aggregates covering exactly `pastDays` days up to
+// daily.endDate, with the baseline prorated per day from the monthly climatology
+function dailyPastWindow(daily, climatology, pastDays, parameter) {
+  var baseline = windowBaseline(climatology, pastWindowWeights(daily.endDate, pastDays), parameter);
+  var missing = daily.value === undefined || daily.value === null;
+  var observed = missing ? (parameter === 'precipitation' ? 0 : baseline) : era5ToObserved(daily.value, parameter);
+  return {value: perDay(observed, pastDays, parameter), baseline: perDay(baseline, pastDays, parameter)};
+}
+
+// Full plain-number pipeline for one district. Returns the same properties the
+// early warning script sets on each district feature.
+//   input.parameter    'precipitation' | 'temperature'
+//   input.climatology  12 monthly baseline values (see climatologyFromProperties)
+//   input.startDate    forecast start (Date)
+//   input.pastDays, input.forecastDays
+//   input.era5         [{month: 0-11, value: raw ERA5 district mean or null}] (monthly past window)
+//   input.pastDaily    {endDate, value: raw ERA5 daily total (precip) or mean (temp), or null}
+//                      (daily past window; used instead of input.era5 when given)
+//   input.gfsRates     {forecastHour: rate} (precipitation)
+//   input.gfsMeanTemp  mean GFS 2 m temperature in °C (temperature)
+function computeDistrictAnomaly(input) {
+  var parameter = input.parameter;
+  var climatology = input.climatology;
+
+  var weights = windowWeights(input.startDate, input.forecastDays);
+  var forecastTotal = parameter === 'precipitation' ?
+    accumulateGfsPrecip(input.gfsRates, gfsStepPlan(input.forecastDays)) :
+    (input.gfsMeanTemp === undefined || input.gfsMeanTemp === null ? 0 : input.gfsMeanTemp);
+  var forecastValue = perDay(forecastTotal, input.forecastDays, parameter);
+  var forecastBaseline = perDay(windowBaseline(climatology, weights, parameter), input.forecastDays, parameter);
+
+  var past = input.pastDaily ?
+    dailyPastWindow(input.pastDaily, climatology, input.pastDays, parameter) :
+    monthlyPastWindow(input.era5, climatology, input.pastDays, parameter);
+  var pastValue = past.value;
+  var pastBaseline = past.baseline;
+
+  var combinedValue = blend(pastValue, forecastValue, input.pastDays, input.forecastDays);
+  var combinedBaseline = blend(pastBaseline, forecastBaseline, input.pastDays, input.forecastDays);
+
+  return {
+    forecast_value: forecastValue,
+    forecast_baseline: forecastBaseline,
+    forecast_diff: forecastValue - forecastBaseline,
+    past_value: pastValue,
+    past_baseline: pastBaseline,
+    past_diff: pastValue - pastBaseline,
+    combined_value: combinedValue,
+    combined_baseline: combinedBaseline,
+    combined_diff: combinedValue - combinedBaseline
+  };
+}
+
+
+// ===========================================================================================
+// EARTH ENGINE ADAPTERS
+// Only call these from the Code Editor; they mirror the plain functions above using ee objects.
+// ===========================================================================================
+
+// Mean of one band over a geometry, null-safe (falls back to `fallback`, default 0)
+function eeRegionMean(image, band, geometry, scale, fallback) {
+  var value = ee.Image(image).select(band).reduceRegion({
+    reducer: ee.Reducer.mean(), geometry: geometry, scale: scale, bestEffort: true
+  }).get(band);
+  return ee.Number(ee.Algorithms.If(value, value, fallback === undefined ? 0 : fallback));
+}
+
+// All forecast steps belonging to the newest GFS run in a collection
+function eeLatestRun(gfsData) {
+  var latestRunTime = gfsData.sort('creation_time', false).first().get('creation_time');
+  return gfsData.filter(ee.Filter.eq('creation_time', latestRunTime));
+}
+
+// Steps of a run that fall inside a forecast horizon of `forecastDays` days, starting
+// `offsetHours` (default 0) into the run: the same hours as gfsStepPlan(), so after (not at)
+// the first hour
+function eeRunWithinHorizon(runCollection, forecastDays, offsetHours) {
+  var firstHour = offsetHours || 0;
+  return runCollection
+    .filter(ee.Filter.gt('forecast_hours', firstHour))
+    .filter(ee.Filter.lte('forecast_hours', Math.min(firstHour + forecastDays * 24, GFS_MAX_HOUR)));
+}
+
+// Column holding the baseline for a server-side month number (1-12)
+function eeMonthColumn(parameter, eeMonth) {
+  var prefix = parameter === 'precipitation' ? 'rainfall_' : 'temperature_';
+  return ee.String(prefix).cat(ee.List(MONTH_KEYS).get(ee.Number(eeMonth).subtract(1)));
+}
+
+// Column holding the standard deviation for a server-side month number (1-12)
+function eeSdColumn(parameter, eeMonth) {
+  var prefix = parameter === 'precipitation' ? 'rainfall_sd_' : 'temperature_sd_';
+  return ee.String(prefix).cat(ee.List(MONTH_KEYS).get(ee.Number(eeMonth).subtract(1)));
+}
+
+// windowBaseline() against a climatology table row; weights are computed client-side
+function eeWindowBaseline(row, parameter, weights) {
+  return weightFactors(weights, parameter).reduce(function(sum, w) {
+    return sum.add(ee.Number(ee.Feature(row).get(monthColumn(parameter, w.month))).multiply(w.factor));
+  }, ee.Number(0));
+}
+
+// windowStd() against a row holding the sdColumn() attributes
+function eeWindowStd(sdRow, parameter, weights) {
+  return weightFactors(weights, parameter).reduce(function(sum, w) {
+    return sum.add(ee.Number(ee.Feature(sdRow).get(sdColumn(parameter, w.month))).multiply(w.factor).pow(2));
+  }, ee.Number(0)).sqrt();
+}
+
+// ERA5-Land monthly means over a geometry for startYear-endYear, one {month, value} feature per
+// image (monthly mm / °C, as eeEra5Observed())
+function eeMonthlySeries(era5Monthly, geometry, parameter, startYear, endYear) {
+  return era5Monthly
+    .filterDate(ee.Date.fromYMD(startYear, 1, 1), ee.Date.fromYMD(endYear + 1, 1, 1))
+    .map(function(img) {
+      return ee.Feature(null, {
+        'month': ee.Date(img.get('system:time_start')).get('month'),
+        'value': eeEra5Observed(img, geometry, parameter, 0)
+      });
+    });
+}
+
+// Builds a row with the 12 sdColumn() attributes from ERA5-Land monthly district means over
+// startYear-endYear, for climatology tables that do not carry them
+function eeMonthlyStdRow(era5Monthly, geometry, parameter, startYear, endYear) {
+  var series = eeMonthlySeries(era5Monthly, geometry, parameter, startYear, endYear);
+  var props = {};
+  MONTH_KEYS.forEach(function(key, i) {
+    props[sdColumn(parameter, i)] = series.filter(ee.Filter.eq('month', i + 1)).aggregate_sample_sd('value');
+  });
+  return ee.Feature(null, props);
+}
+
+// Stand-in for a climatology table row over any geometry (e.g. a drawn catchment): the 12
+// monthColumn() means and sdColumn() spreads from ERA5-Land over startYear-endYear
+function eeMonthlyClimatologyRow(era5Monthly, geometry, parameter, startYear, endYear) {
+  var series = eeMonthlySeries(era5Monthly, geometry, parameter, startYear, endYear);
+  var props = {};
+  MONTH_KEYS.forEach(function(key, i) {
+    var month = series.filter(ee.Filter.eq('month', i + 1));
+    props[monthColumn(parameter, i)] = month.aggregate_mean('value');
+    props[sdColumn(parameter, i)] = month.aggregate_sample_sd('value');
+  });
+  return ee.Feature(null, props);
+}
+
+// The table row itself when it already has the sd attributes, otherwise eeMonthlyStdRow()
+function eeStdRow(row, era5Monthly, geometry, parameter, startYear, endYear) {
+  return ee.Feature(ee.Algorithms.If(
+    ee.Feature(row).propertyNames().contains(sdColumn(parameter, 0)),
+    row,
+    eeMonthlyStdRow(era5Monthly, geometry, parameter, startYear, endYear)
+  ));
+}
+
+// accumulateGfsPrecip() over a district: ee.List of mm per plan step (0 where a step is missing)
+function eeGfsPrecipSteps(runCollection, geometry, plan) {
+  var pairs = ee.List(plan.map(function(step) { return [step.hour, step.seconds]; }));
+  return pairs.map(function(pair) {
+    pair = ee.List(pair);
+    var img = runCollection.filter(ee.Filter.eq('forecast_hours', pair.get(0))).first();
+    return ee.Algorithms.If(img,
+      eeRegionMean(img, GFS_PRECIP_BAND, geometry, GFS_SCALE).multiply(pair.get(1)),
+      0);
+  });
+}
+
+function eeGfsPrecipTotal(runCollection, geometry, plan) {
+  return ee.Number(eeGfsPrecipSteps(runCollection, geometry, plan).reduce(ee.Reducer.sum()));
+}
+
+// accumulateGfsPrecip() as an image (mm) over the whole grid, for reduceRegions over all
+// districts at once. Steps are grouped by accumulation period; missing steps add nothing.
+function eeGfsPrecipTotalImage(runCollection, plan) {
+  var hoursBySeconds = {};
+  plan.forEach(function(step) {
+    (hoursBySeconds[step.seconds] = hoursBySeconds[step.seconds] || []).push(step.hour);
+  });
+  var parts = Object.keys(hoursBySeconds).map(function(seconds) {
+    return runCollection.filter(ee.Filter.inList('forecast_hours', hoursBySeconds[seconds]))
+      .select(GFS_PRECIP_BAND)
+      .map(function(img) { return img.multiply(Number(seconds)); });
+  });
+  return parts.reduce(function(merged, part) { return merged.merge(part); }).sum().rename(GFS_PRECIP_BAND);
+}
+
+// One stepBands() band per plan step from `band` of the run, times the step length when
+// `perStep`; a missing step is the constant `fill`, or masked when fill is null
+function eeStepImage(runCollection, plan, band, prefix, perStep, fill) {
+  var names = stepBands(prefix, plan);
+  var missing = fill === null ? ee.Image.constant(0).updateMask(ee.Image(0)) : ee.Image.constant(fill);
+  return ee.Image.cat(plan.map(function(step, i) {
+    var img = runCollection.filter(ee.Filter.eq('forecast_hours', step.hour)).first();
+    var value = ee.Image(img).select(band);
+    return ee.Image(ee.Algorithms.If(img, perStep ? value.multiply(step.seconds) : value, missing))
+      .toFloat().rename(names[i]);
+  }));
+}
+
+// eeGfsPrecipSteps() as an image (mm per step, 0 where a step is missing), so the steps of
+// every district come out of one reduceRegions
+function eeGfsPrecipStepsImage(runCollection, plan, prefix) {
+  return eeStepImage(runCollection, plan, GFS_PRECIP_BAND, prefix, true, 0);
+}
+
+// GFS 2 m temperature (°C) at each plan step over a district: ee.List, -999 where a step is missing
+function eeGfsTempSteps(runCollection, geometry, plan) {
+  var hours = ee.List(plan.map(function(step) { return step.hour; }));
+  return hours.map(function(hour) {
+    var img = runCollection.filter(ee.Filter.eq('forecast_hours', hour)).first();
+    return ee.Algorithms.If(img, eeRegionMean(img, GFS_TEMP_BAND, geometry, GFS_SCALE, -999), -999);
+  });
+}
+
+// Mean GFS 2 m temperature (°C) over every step of the run
+function eeGfsMeanTemp(runCollection, geometry) {
+  return eeRegionMean(runCollection.select(GFS_TEMP_BAND).mean(), GFS_TEMP_BAND, geometry, GFS_SCALE);
+}
+
+// eeGfsTempSteps() as an image (°C per step); a missing step is masked, so reads as missing
+function eeGfsTempStepsImage(runCollection, plan, prefix) {
+  return eeStepImage(runCollection, plan, GFS_TEMP_BAND, prefix, false, null);
+}
+
+// era5ToObserved() for one ERA5-Land monthly image over a district.
+// Missing precipitation is 0; missing temperature falls back to `baseline`.
+function eeEra5Observed(image, geometry, parameter, baseline) {
+  var band = parameter === 'precipitation' ? 'total_precipitation_sum' : 'temperature_2m';
+  var value = ee.Image(image).select(band).reduceRegion({
+    reducer: ee.Reducer.mean(), geometry: geometry, scale: ERA5_SCALE, bestEffort: true
+  }).get(band);
+  if (parameter === 'precipitation') {
+    return ee.Number(ee.Algorithms.If(value, value, 0)).multiply(1000);
+  }
+  return ee.Number(ee.Algorithms.If(value, ee.Number(value).subtract(273.15), baseline));
+}
+
+// Same as eeEra5Observed() for a run of ERA5-Land DAILY_AGGR images:
+// precipitation summed over the days, temperature averaged
+function eeEra5DailyObserved(dailyCollection, geometry, parameter, baseline) {
+  var band = parameter === 'precipitation' ? 'total_precipitation_sum' : 'temperature_2m';
+  var composite = parameter === 'precipitation' ?
+    dailyCollection.select(band).sum() :
+    dailyCollection.select(band).mean();
+  return eeEra5Observed(composite, geometry, parameter, baseline);
+}
+
+function eeBlend(pastValue, forecastValue, pastDays, forecastDays) {
+  return ee.Number(pastValue).multiply(pastDays)
+    .add(ee.Number(forecastValue).multiply(forecastDays))
+    .divide(pastDays + forecastDays);
+}
+
+function eeBlendStd(pastSd, forecastSd, pastDays, forecastDays) {
+  return ee.Number(pastSd).multiply(pastDays).pow(2)
+    .add(ee.Number(forecastSd).multiply(forecastDays).pow(2))
+    .sqrt().divide(pastDays + forecastDays);
+}
+
+// zScore(); -999 (the scripts' no-data marker) when the spread is zero
+function eeZScore(diff, sd) {
+  return ee.Number(ee.Algorithms.If(ee.Number(sd).gt(0), ee.Number(diff).divide(sd), -999));
+}
+
+
+exports.MONTH_KEYS = MONTH_KEYS;
+exports.GFS_SCALE = GFS_SCALE;
+exports.ERA5_SCALE = ERA5_SCALE;
+exports.GFS_PRECIP_BAND = GFS_PRECIP_BAND;
+exports.GFS_TEMP_BAND = GFS_TEMP_BAND;
+
+exports.monthColumn = monthColumn;
+exports.sdColumn = sdColumn;
+exports.climatologyFromProperties = climatologyFromProperties;
+exports.isLeapYear = isLeapYear;
+exports.daysInMonth = daysInMonth;
+exports.windowWeights = windowWeights;
+exports.pastWindowStart = pastWindowStart;
+exports.pastWindowWeights = pastWindowWeights;
+exports.formatDate = formatDate;
+exports.weightFactors = weightFactors;
+exports.windowBaseline = windowBaseline;
+exports.combineStd = combineStd;
+exports.windowStd = windowStd;
+exports.blendStd = blendStd;
+exports.zScore = zScore;
+exports.gfsStepPlan = gfsStepPlan;
+exports.planDays = planDays;
+exports.accumulateGfsPrecip = accumulateGfsPrecip;
+exports.stepBands = stepBands;
+exports.era5ToObserved = era5ToObserved;
+exports.perDay = perDay;
+exports.blend = blend;
+exports.monthlyPastWindow = monthlyPastWindow;
+exports.dailyPastWindow = dailyPastWindow;
+exports.computeDistrictAnomaly = computeDistrictAnomaly;
+
+exports.eeRegionMean = eeRegionMean;
+exports.eeLatestRun = eeLatestRun;
+exports.eeRunWithinHorizon = eeRunWithinHorizon;
+exports.eeMonthColumn = eeMonthColumn;
+exports.eeSdColumn = eeSdColumn;
+exports.eeWindowBaseline = eeWindowBaseline;
+exports.eeWindowStd = eeWindowStd;
+exports.eeMonthlyStdRow = eeMonthlyStdRow;
+exports.eeMonthlyClimatologyRow = eeMonthlyClimatologyRow;
+exports.eeStdRow = eeStdRow;
+exports.eeGfsPrecipSteps = eeGfsPrecipSteps;
+exports.eeGfsPrecipTotal = eeGfsPrecipTotal;
+exports.eeGfsPrecipTotalImage = eeGfsPrecipTotalImage;
+exports.eeGfsPrecipStepsImage = eeGfsPrecipStepsImage;
+exports.eeGfsTempSteps = eeGfsTempSteps;
+exports.eeGfsMeanTemp = eeGfsMeanTemp;
+exports.eeGfsTempStepsImage = eeGfsTempStepsImage;
+exports.eeEra5Observed = eeEra5Observed;
+exports.eeEra5DailyObserved = eeEra5DailyObserved;
+exports.eeBlend = eeBlend;
+exports.eeBlendStd = eeBlendStd;
+exports.eeZScore = eeZScore;
@@ -0,0 +1,147 @@
+// ===========================================================================================
+// BULLETIN: ONE-PAGE PROVINCE SUMMARY OF AN EARLY WARNING RUN
+// Ranks a province's districts on one map layer, writes the fixed summary text and assembles
+// a self-contained HTML page (static map thumbnail, legend, ranked table) for partners who
+// need a document rather than the interactive map. Plain-number functions first, ee.*
+// adapters last.
+//
+// Code Editor:  var bulletin = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/bulletin');
+// Node:         var bulletin = require('./Shared modules/bulletin.js');
+// ===========================================================================================
+
+// Marker for missing values, as in the other modules
+var MISSING = -999;
+
+var DEFAULT_TOP_N = 10;
+
+// GADM level-1 name on the gadm36_PAK_3 districts
+var PROVINCE_FIELD = 'NAME_1';
+
+
+// ===========================================================================================
+// CONTENT
+// ===========================================================================================
+
+function isMissing(value) {
+  return value === null || value === undefined || value === MISSING || (typeof value === 'number' && isNaN(value));
+}
+
+// Sorted province names present in a set of feature properties
+function provinces(propertiesList) {
+  var names = [];
+  propertiesList.forEach(function(p) {
+    var name = p[PROVINCE_FIELD];
+    if (name && names.indexOf(name) === -1) names.push(name);
+  });
+  return names.sort();
+}
+
+function inProvince(propertiesList, province) {
+  return propertiesList.filter(function(p) { return p[PROVINCE_FIELD] === province; });
+}
+
+// Top `topN` districts by `property`, largest magnitude first when `byMagnitude` (anomalies
+// count both ways), otherwise largest value first; ties go to the higher warning level
+function rankDistricts(propertiesList, property, byMagnitude, topN) {
+  var score = function(p) { return byMagnitude ? Math.abs(p[property]) : p[property]; };
+  return propertiesList.filter(function(p) {
+    return !isMissing(p[property]);
+  }).sort(function(a, b) {
+    return (score(b) - score(a)) || ((b.warning_level || 0) - (a.warning_level || 0));
+  }).slice(0, topN || DEFAULT_TOP_N);
+}
+
+function signed(value, digits) {
+  return (value > 0 ? '+' : '') + value.toFixed(digits === undefined ? 2 : digits);
+}
+
+// Fixed-form summary paragraph
+//   info.province, info.issued ('YYYY-MM-DD'), info.parameter, info.pastDays, info.forecastDays
+//   info.levelCounts  [normal, watch, warning, alert] for the province
+//   info.levelLabels  matching labels
+//   info.ranked       rankDistricts() output
+//   info.layerLabel, info.property, info.unit
+function summaryText(info) {
+  var total = info.levelCounts.reduce(function(sum, n) { return sum + n; }, 0);
+  var flagged = total - info.levelCounts[0];
+  var byLevel = [];
+  for (var i = info.levelCounts.length - 1; i > 0; i--) {
+    if (info.levelCounts[i] > 0) byLevel.push(info.levelCounts[i] + ' ' + info.levelLabels[i]);
+  }
+  var top = info.ranked.slice(0, 3).map(function(p) {
+    return p.district_name + ' (' + signed(p[info.property]) + (info.unit ? ' ' + info.unit : '') + ')';
+  });
+  return info.province + ', ' + info.parameter + ' outlook issued ' + info.issued + '. ' +
+    'Based on the past ' + info.pastDays + ' days of ERA5-Land observations and the ' + info.forecastDays +
+    '-day GFS forecast against the 2014-2024 baseline. ' +
+    (flagged > 0 ?
+      flagged + ' of ' + total + ' districts are at Watch or above (' + byLevel.join(', ') + '). ' :
+      'All ' + total + ' districts are at Normal. ') +
+    (top.length ? 'Largest values on ' + info.layerLabel + ': ' + top.join(', ') + '.' : '');
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Self-contained HTML page
+//   page.title, page.subtitle, page.summary, page.thumbUrl
+//   page.legend   [{label, color}]
+//   page.columns  header labels
+//   page.rows     arrays of cell values (already formatted)
+//   page.footer
+function bulletinHtml(page) {
+  var legend = page.legend.map(function(entry) {
+    return '<span style="display:inline-block;margin:2px 10px 2px 0"><span style="display:inline-block;width:14px;height:14px;' +
+      'background:' + entry.color + ';border:1px solid #999;vertical-align:middle"></span> ' + escapeHtml(entry.label) + '</span>';
+  }).join('');
+  var header = '<tr>' + page.columns.map(function(c) { return '<th>' + escapeHtml(c) + '</th>'; }).join('') + '</tr>';
+  var body = page.rows.map(function(row) {
+    return '<tr>' + row.map(function(cell) { return '<td>' + escapeHtml(cell) + '</td>'; }).join('') + '</tr>';
+  }).join('\n');
+  return '<!DOCTYPE html>\n<html><head><meta charset="utf-8"><title>' + escapeHtml(page.title) + '</title>\n' +
+    '<style>body{font-family:Arial,sans-serif;max-width:800px;margin:20px auto;color:#2c3e50}' +
+    'table{border-collapse:collapse;width:100%;font-size:13px}th,td{border:1px solid #ccc;padding:4px 6px;text-align:left}' +
+    'th{background:#ecf0f1}p{font-size:14px;line-height:1.4}.small{font-size:11px;color:#888}</style></head><body>\n' +
+    '<h2>' + escapeHtml(page.title) + '</h2>\n<div class="small">' + escapeHtml(page.subtitle) + '</div>\n' +
+    '<p>' + escapeHtml(page.summary) + '</p>\n' +
+    '<img src="' + escapeHtml(page.thumbUrl) + '" style="width:100%;border:1px solid #ccc" alt="map">\n' +
+    '<div style="margin:6px 0 14px 0;font-size:12px">' + legend + '</div>\n' +
+    '<table>\n' + header + '\n' + body + '\n</table>\n' +
+    '<p class="small">' + escapeHtml(page.footer) + '</p>\n</body></html>\n';
+}
+
+
+// ===========================================================================================
+// EARTH ENGINE ADAPTERS
+// Only touch `ee` when called, so the module still loads outside the Code Editor.
+// ===========================================================================================
+
+// Province outline from the districts collection
+function eeProvinceGeometry(districts, province) {
+  return districts.filter(ee.Filter.eq(PROVINCE_FIELD, province)).geometry();
+}
+
+// RGB map of one layer over the province with district outlines on top
+function eeBulletinImage(layerImage, vis, districts, province) {
+  var region = eeProvinceGeometry(districts, province);
+  var outlines = districts.filter(ee.Filter.eq(PROVINCE_FIELD, province))
+    .style({color: '333333', width: 1, fillColor: '00000000'});
+  return ee.Image(0).visualize({palette: ['ffffff']})
+    .blend(ee.Image(layerImage).visualize(vis).clip(region))
+    .blend(outlines);
+}
+
+
+exports.MISSING = MISSING;
+exports.DEFAULT_TOP_N = DEFAULT_TOP_N;
+exports.PROVINCE_FIELD = PROVINCE_FIELD;
+
+exports.provinces = provinces;
+exports.inProvince = inProvince;
+exports.rankDistricts = rankDistricts;
+exports.summaryText = summaryText;
+exports.bulletinHtml = bulletinHtml;
+
+exports.eeProvinceGeometry = eeProvinceGeometry;
+exports.eeBulletinImage = eeBulletinImage;
@@ -0,0 +1,118 @@
+// ===========================================================================================
+// ENSEMBLE: FORECAST ANOMALY FROM SEVERAL RUNS / MODELS
+// Members are the previous GFS runs (a lagged ensemble, each started at the same valid time as
+// the latest run and cut at its last forecast hour) plus any other forecast ImageCollection
+// configured in the script. Each district gets an ensemble mean, spread and the probability of
+// passing the red / blue thresholds. Plain-number functions first, ee.* adapters last.
+//
+// Code Editor:  var ensemble = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/ensemble');
+// Node:         var ensemble = require('./Shared modules/ensemble.js');
+// ===========================================================================================
+
+var MS_PER_HOUR = 60 * 60 * 1000;
+
+// Marker for missing members / districts, as in the other modules
+var MISSING = -999;
+
+
+// ===========================================================================================
+// MEMBER STATISTICS
+// ===========================================================================================
+
+function isMissing(value) {
+  return value === null || value === undefined || value === MISSING || isNaN(value);
+}
+
+// Hours each run started before the newest one, from run start times (millis) in any order
+function lagHours(runStarts) {
+  var newest = Math.max.apply(Math, runStarts);
+  return runStarts.map(function(start) {
+    return Math.round((newest - start) / MS_PER_HOUR);
+  });
+}
+
+// Mean, spread (sample standard deviation), range and the share of members at or above
+// redThreshold / at or below blueThreshold; missing members are skipped.
+// Returns null when no member has a value.
+function ensembleStats(values, redThreshold, blueThreshold) {
+  var members = values.filter(function(v) { return !isMissing(v); });
+  var n = members.length;
+  if (n === 0) return null;
+
+  var mean = members.reduce(function(sum, v) { return sum + v; }, 0) / n;
+  var variance = n > 1 ? members.reduce(function(sum, v) { return sum + Math.pow(v - mean, 2); }, 0) / (n - 1) : 0;
+  var above = members.filter(function(v) { return v >= redThreshold; }).length;
+  var below = members.filter(function(v) { return v <= blueThreshold; }).length;
+  return {
+    count: n,
+    mean: mean,
+    spread: Math.sqrt(variance),
+    min: Math.min.apply(Math, members),
+    max: Math.max.apply(Math, members),
+    probAbove: above / n,
+    probBelow: below / n
+  };
+}
+
+// Run-to-run change of a forecast anomaly series ordered newest run first:
+// {change: newest - previous, direction: 1 / -1, or 0 within `tolerance`}, or null when
+// either of the two newest runs is missing
+function runTrend(anomalies, tolerance) {
+  if (anomalies.length < 2 || isMissing(anomalies[0]) || isMissing(anomalies[1])) return null;
+  var change = anomalies[0] - anomalies[1];
+  return {change: change, direction: Math.abs(change) <= tolerance ? 0 : (change > 0 ? 1 : -1)};
+}
+
+
+// ===========================================================================================
+// EARTH ENGINE ADAPTERS
+// Only touch `ee` when called, so the module still loads outside the Code Editor.
+// ===========================================================================================
+
+// Start times (millis) of the newest `count` runs in a GFS collection, newest first
+function eeRecentRunStarts(gfsCollection, count) {
+  return ee.List(gfsCollection.aggregate_array('creation_time')).distinct().sort().reverse().slice(0, count);
+}
+
+// One configured forecast source over a district for the window starting at `startDate`
+// (ee.Date): precipitation in mm/day (band summed over the window's images, so the band must
+// hold mm per image), temperature as the mean of a °C band. MISSING without images or pixels.
+// source: {label, collection, precipitationBand, temperatureBand, scale}
+function eeSourceMember(source, geometry, parameter, startDate, forecastDays) {
+  var band = parameter === 'precipitation' ? source.precipitationBand : source.temperatureBand;
+  var images = source.collection
+    .filterDate(startDate, ee.Date(startDate).advance(forecastDays, 'day'))
+    .select(band);
+  var composite = parameter === 'precipitation' ? images.sum() : images.mean();
+  var value = ee.Algorithms.If(images.size().gt(0),
+    composite.reduceRegion({
+      reducer: ee.Reducer.mean(), geometry: geometry, scale: source.scale, bestEffort: true
+    }).get(band),
+    null);
+  var perWindow = parameter === 'precipitation' ? ee.Number(value).divide(forecastDays) : ee.Number(value);
+  // IsEqual rather than a truthiness test, so a dry window (0 mm) is not mistaken for no data
+  return ee.Algorithms.If(ee.Algorithms.IsEqual(value, null), MISSING, perWindow);
+}
+
+// eeSourceMember() as an image (band 'member', mm/day or °C) for reduceRegions over every
+// district at once; masked when the source has no images in the window
+function eeSourceMemberImage(source, parameter, startDate, forecastDays) {
+  var band = parameter === 'precipitation' ? source.precipitationBand : source.temperatureBand;
+  var images = source.collection
+    .filterDate(startDate, ee.Date(startDate).advance(forecastDays, 'day'))
+    .select(band);
+  var composite = parameter === 'precipitation' ? images.sum().divide(forecastDays) : images.mean();
+  return ee.Image(ee.Algorithms.If(images.size().gt(0), composite, ee.Image.constant(0).updateMask(ee.Image(0))))
+    .toFloat().rename('member');
+}
+
+
+exports.MISSING = MISSING;
+
+exports.lagHours = lagHours;
+exports.ensembleStats = ensembleStats;
+exports.runTrend = runTrend;
+
+exports.eeRecentRunStarts = eeRecentRunStarts;
+exports.eeSourceMember = eeSourceMember;
+exports.eeSourceMemberImage = eeSourceMemberImage;
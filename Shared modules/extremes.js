@@ -0,0 +1,253 @@
+// ===========================================================================================
+// EXTREMES: SHORT-LIVED HAZARDS HIDDEN BY WINDOW AVERAGES
+// Scans the per-step GFS series of one district (the same steps the anomaly engine sums)
+// for heatwave spells and short-duration rainfall peaks. Plain-number functions first,
+// ee.* adapters last.
+//
+// Code Editor:  var extremes = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/extremes');
+// Node:         var extremes = require('./Shared modules/extremes.js');
+// ===========================================================================================
+
+var MS_PER_HOUR = 60 * 60 * 1000;
+
+// Forecast days are counted in Pakistan Standard Time (UTC+5)
+var PKT_OFFSET_HOURS = 5;
+
+// Marker for missing steps / districts, as in the other modules
+var MISSING = -999;
+
+// A heatwave needs at least this many consecutive days above the threshold
+var HEATWAVE_MIN_DAYS = 3;
+
+// Threshold choices: a district percentile of ERA5-Land daily maxima, or a fixed °C value
+var HEATWAVE_THRESHOLDS = [
+  {value: 'p95',   label: 'District 95th percentile of daily max', percentile: 95},
+  {value: 'p90',   label: 'District 90th percentile of daily max', percentile: 90},
+  {value: 'abs40', label: 'Daily max above 40 °C', absolute: 40},
+  {value: 'abs45', label: 'Daily max above 45 °C', absolute: 45}
+];
+
+// Rolling accumulation windows for extreme rainfall (hours; all multiples of the 3 h GFS step)
+var RAINFALL_WINDOWS = [
+  {hours: 24,  label: '24 h'},
+  {hours: 72,  label: '72 h'},
+  {hours: 168, label: '7 days'}
+];
+
+// Rainfall (mm) per window reached once every `years` on average. National defaults;
+// replace with district intensity-duration-frequency values where they exist.
+var RAINFALL_RETURN_PERIODS = [
+  {years: 2,  thresholds: {24: 50,  72: 75,  168: 100}},
+  {years: 5,  thresholds: {24: 75,  72: 110, 168: 150}},
+  {years: 10, thresholds: {24: 100, 72: 150, 168: 200}},
+  {years: 25, thresholds: {24: 130, 72: 200, 168: 260}}
+];
+
+var ERA5_SCALE = 11132;
+var ERA5_DAILY_MAX_BAND = 'temperature_2m_max';
+
+
+// ===========================================================================================
+// STEP SERIES -> DAILY SERIES
+// ===========================================================================================
+
+function isMissing(value) {
+  return value === null || value === undefined || value === MISSING || isNaN(value);
+}
+
+function heatwaveThreshold(value) {
+  for (var i = 0; i < HEATWAVE_THRESHOLDS.length; i++) {
+    if (HEATWAVE_THRESHOLDS[i].value === value) return HEATWAVE_THRESHOLDS[i];
+  }
+  return HEATWAVE_THRESHOLDS[0];
+}
+
+// 'YYYY-MM-DD' of a step's valid time in local (PKT) days
+function stepLocalDate(runStartMillis, hour) {
+  var local = new Date(runStartMillis + (hour + PKT_OFFSET_HOURS) * MS_PER_HOUR);
+  return local.toISOString().substring(0, 10);
+}
+
+// Daily maxima of per-step values (same order as `plan`), chronological [{date, value}]
+function dailyMaxima(stepValues, plan, runStartMillis) {
+  var days = [];
+  var byDate = {};
+  plan.forEach(function(step, i) {
+    var value = stepValues[i];
+    if (isMissing(value)) return;
+    var date = stepLocalDate(runStartMillis, step.hour);
+    if (!byDate[date]) {
+      byDate[date] = {date: date, value: value};
+      days.push(byDate[date]);
+    } else if (value > byDate[date].value) {
+      byDate[date].value = value;
+    }
+  });
+  return days;
+}
+
+
+// ===========================================================================================
+// HEATWAVE SPELLS
+// ===========================================================================================
+
+// Runs of at least minDays consecutive days above threshold:
+// [{onset, end, duration, peak, peakDate}], earliest first
+function detectSpells(daily, threshold, minDays) {
+  var spells = [];
+  var current = null;
+  daily.forEach(function(day, i) {
+    var previous = i > 0 ? daily[i - 1] : null;
+    var consecutive = previous && (Date.parse(day.date) - Date.parse(previous.date)) === 24 * MS_PER_HOUR;
+    if (day.value > threshold) {
+      if (current && consecutive) {
+        current.end = day.date;
+        current.duration += 1;
+        if (day.value > current.peak) { current.peak = day.value; current.peakDate = day.date; }
+      } else {
+        if (current) spells.push(current);
+        current = {onset: day.date, end: day.date, duration: 1, peak: day.value, peakDate: day.date};
+      }
+    } else if (current) {
+      spells.push(current);
+      current = null;
+    }
+  });
+  if (current) spells.push(current);
+  return spells.filter(function(spell) { return spell.duration >= minDays; });
+}
+
+// Heatwave summary for one district: the earliest spell plus how many were found, or
+// {flag: 0} when none. `threshold` is in °C.
+function detectHeatwave(stepTemps, plan, runStartMillis, threshold, minDays) {
+  if (isMissing(threshold)) return {flag: 0, count: 0};
+  var spells = detectSpells(dailyMaxima(stepTemps, plan, runStartMillis), threshold, minDays || HEATWAVE_MIN_DAYS);
+  if (spells.length === 0) return {flag: 0, count: 0};
+  var first = spells[0];
+  return {
+    flag: 1,
+    count: spells.length,
+    onset: first.onset,
+    end: first.end,
+    duration: first.duration,
+    peak: first.peak,
+    peakDate: first.peakDate
+  };
+}
+
+
+// ===========================================================================================
+// EXTREME RAINFALL (ROLLING ACCUMULATIONS)
+// ===========================================================================================
+
+function returnPeriod(years) {
+  for (var i = 0; i < RAINFALL_RETURN_PERIODS.length; i++) {
+    if (RAINFALL_RETURN_PERIODS[i].years === years) return RAINFALL_RETURN_PERIODS[i];
+  }
+  return RAINFALL_RETURN_PERIODS[0];
+}
+
+// 'YYYY-MM-DD HH:00' local (PKT) time of a forecast hour
+function stepLocalTime(runStartMillis, hour) {
+  var local = new Date(runStartMillis + (hour + PKT_OFFSET_HOURS) * MS_PER_HOUR);
+  return local.toISOString().substring(0, 13).replace('T', ' ') + ':00';
+}
+
+// Largest total (mm) over any `windowHours` span of the step series, where each step holds the
+// mm that fell in the `seconds` before its hour. Only complete windows count:
+// {total, startHour, endHour}, or null when the horizon is shorter than the window.
+function rollingMaximum(stepMm, plan, windowHours) {
+  var best = null;
+  plan.forEach(function(step, i) {
+    var startHour = step.hour - windowHours;
+    if (startHour < 0) return;
+    var total = 0;
+    for (var j = i; j >= 0 && plan[j].hour > startHour; j--) {
+      if (!isMissing(stepMm[j])) total += stepMm[j];
+    }
+    if (!best || total > best.total) {
+      best = {total: total, startHour: startHour, endHour: step.hour};
+    }
+  });
+  return best;
+}
+
+// Peak rolling accumulation per RAINFALL_WINDOWS entry against one return period.
+// `peak` is the window with the highest total / threshold ratio.
+function detectRainfallExtremes(stepMm, plan, runStartMillis, years) {
+  var period = returnPeriod(years);
+  var windows = [];
+  RAINFALL_WINDOWS.forEach(function(w) {
+    var max = rollingMaximum(stepMm, plan, w.hours);
+    if (!max) return;
+    var threshold = period.thresholds[w.hours];
+    windows.push({
+      hours: w.hours,
+      label: w.label,
+      total: max.total,
+      threshold: threshold,
+      ratio: max.total / threshold,
+      exceeded: max.total > threshold,
+      start: stepLocalTime(runStartMillis, max.startHour),
+      end: stepLocalTime(runStartMillis, max.endHour)
+    });
+  });
+  var peak = null;
+  windows.forEach(function(w) {
+    if (!peak || w.ratio > peak.ratio) peak = w;
+  });
+  return {
+    flag: windows.some(function(w) { return w.exceeded; }) ? 1 : 0,
+    returnPeriod: period.years,
+    windows: windows,
+    peak: peak
+  };
+}
+
+
+// ===========================================================================================
+// EARTH ENGINE ADAPTERS
+// Only touch `ee` when called, so the module still loads outside the Code Editor.
+// ===========================================================================================
+
+// Percentile (°C) of ERA5-Land daily maximum 2 m temperature over startYear-endYear,
+// restricted to the calendar months (0-11) the forecast window touches
+function eeDailyMaxPercentile(era5Daily, startYear, endYear, months, percentile) {
+  var monthFilters = months.map(function(m) { return ee.Filter.calendarRange(m + 1, m + 1, 'month'); });
+  return era5Daily.select(ERA5_DAILY_MAX_BAND)
+    .filterDate(ee.Date.fromYMD(startYear, 1, 1), ee.Date.fromYMD(endYear + 1, 1, 1))
+    .filter(monthFilters.length === 1 ? monthFilters[0] : ee.Filter.or.apply(null, monthFilters))
+    .reduce(ee.Reducer.percentile([percentile]))
+    .subtract(273.15)
+    .rename('threshold');
+}
+
+// District threshold (°C): the percentile image's mean, or the fixed value; MISSING without pixels
+function eeHeatwaveThreshold(option, percentileImage, geometry) {
+  if (option.absolute !== undefined) return ee.Number(option.absolute);
+  var value = percentileImage.reduceRegion({
+    reducer: ee.Reducer.mean(), geometry: geometry, scale: ERA5_SCALE, bestEffort: true
+  }).get('threshold');
+  return ee.Number(ee.Algorithms.If(value, value, MISSING));
+}
+
+
+exports.PKT_OFFSET_HOURS = PKT_OFFSET_HOURS;
+exports.MISSING = MISSING;
+exports.HEATWAVE_MIN_DAYS = HEATWAVE_MIN_DAYS;
+exports.HEATWAVE_THRESHOLDS = HEATWAVE_THRESHOLDS;
+exports.RAINFALL_WINDOWS = RAINFALL_WINDOWS;
+exports.RAINFALL_RETURN_PERIODS = RAINFALL_RETURN_PERIODS;
+
+exports.heatwaveThreshold = heatwaveThreshold;
+exports.stepLocalDate = stepLocalDate;
+exports.dailyMaxima = dailyMaxima;
+exports.detectSpells = detectSpells;
+exports.detectHeatwave = detectHeatwave;
+exports.returnPeriod = returnPeriod;
+exports.stepLocalTime = stepLocalTime;
+exports.rollingMaximum = rollingMaximum;
+exports.detectRainfallExtremes = detectRainfallExtremes;
+
+exports.eeDailyMaxPercentile = eeDailyMaxPercentile;
+exports.eeHeatwaveThreshold = eeHeatwaveThreshold;
@@ -0,0 +1,215 @@
+// ===========================================================================================
+// FLOOD EXTENT: OBSERVED INUNDATION PER DISTRICT FROM JRC GLOBAL SURFACE WATER
+// Monthly water (JRC/GSW1_4/MonthlyHistory, 1984 - Dec 2021) minus permanent water
+// (JRC/GSW1_4/GlobalSurfaceWater occurrence) gives the area flooded in a given month,
+// reported in km² and as a share of the district. Recorded flood events come from the Global
+// Flood Database (GLOBAL_FLOOD_DB/MODIS_EVENTS/V1, 2000-2018), one image per event.
+// Plain-number functions first, ee.* adapters last.
+//
+// Code Editor:  var floodExtent = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/flood_extent');
+// Node:         var floodExtent = require('./Shared modules/flood_extent.js');
+// ===========================================================================================
+
+var GSW_MONTHLY = 'JRC/GSW1_4/MonthlyHistory';
+var GSW_OCCURRENCE = 'JRC/GSW1_4/GlobalSurfaceWater';
+var GSW_FIRST_YEAR = 1984;
+var GSW_LAST_YEAR = 2021;
+
+// MonthlyHistory 'water' band: 0 = no observation, 1 = not water, 2 = water
+var WATER_NODATA = 0;
+var WATER_PRESENT = 2;
+
+// Pixels that hold water at least this % of the time count as permanent, not flood
+var PERMANENT_OCCURRENCE = 75;
+
+// JRC native resolution (m)
+var GSW_SCALE = 30;
+
+var GFD_EVENTS = 'GLOBAL_FLOOD_DB/MODIS_EVENTS/V1';
+var GFD_FIRST_YEAR = 2000;
+var GFD_LAST_YEAR = 2018;
+
+// MODIS resolution of the flood maps (m)
+var GFD_SCALE = 250;
+
+
+// ===========================================================================================
+// SERIES HELPERS
+// ===========================================================================================
+
+function percentOfArea(km2, districtKm2) {
+  return districtKm2 > 0 ? (km2 / districtKm2) * 100 : 0;
+}
+
+// Chronological [{year, month (1-12), label, inundatedKm2, inundatedPct, nodataPct}] from the
+// properties of eeMonthlyInundation() features
+function seriesFromFeatures(features) {
+  return features.map(function(f) {
+    var p = f.properties;
+    return {
+      year: p.year,
+      month: p.month,
+      label: p.year + '-' + (p.month < 10 ? '0' : '') + p.month,
+      inundatedKm2: p.inundated_km2,
+      inundatedPct: percentOfArea(p.inundated_km2, p.district_km2),
+      nodataPct: percentOfArea(p.nodata_km2, p.district_km2)
+    };
+  }).sort(function(a, b) { return (a.year - b.year) || (a.month - b.month); });
+}
+
+// Month with the largest inundated area, or null for an empty series
+function peakMonth(series) {
+  var peak = null;
+  series.forEach(function(entry) {
+    if (!peak || entry.inundatedKm2 > peak.inundatedKm2) peak = entry;
+  });
+  return peak;
+}
+
+// Clamps a year range to the JRC record: {startYear, endYear}, or null when they do not overlap
+function clampToRecord(startYear, endYear) {
+  var start = Math.max(startYear, GSW_FIRST_YEAR);
+  var end = Math.min(endYear, GSW_LAST_YEAR);
+  return start <= end ? {startYear: start, endYear: end} : null;
+}
+
+// Chronological flood events [{id, began, ended, year, floodedKm2, severity, meanDuration, cause,
+// dead, displaced}] from eeFloodEvents() features; events that did not reach the district are dropped.
+// severity is duration-weighted area (km²·days), meanDuration = severity / floodedKm2.
+function eventsFromFeatures(features) {
+  return features.map(function(f) {
+    var p = f.properties;
+    return {
+      id: p.id,
+      began: p.began,
+      ended: p.ended,
+      year: parseInt(String(p.began).substring(0, 4), 10),
+      floodedKm2: p.flooded_km2 || 0,
+      severity: p.severity_km2_days || 0,
+      meanDuration: p.flooded_km2 > 0 ? p.severity_km2_days / p.flooded_km2 : 0,
+      cause: p.dfo_main_cause || 'unknown',
+      dead: p.dfo_dead,
+      displaced: p.dfo_displaced
+    };
+  }).filter(function(e) {
+    return e.floodedKm2 > 0;
+  }).sort(function(a, b) {
+    return a.began < b.began ? -1 : (a.began > b.began ? 1 : 0);
+  });
+}
+
+// {year: number of events that began that year}
+function eventsPerYear(events) {
+  var counts = {};
+  events.forEach(function(e) {
+    counts[e.year] = (counts[e.year] || 0) + 1;
+  });
+  return counts;
+}
+
+
+// ===========================================================================================
+// EARTH ENGINE ADAPTERS
+// Only touch `ee` when called, so the module still loads outside the Code Editor.
+// ===========================================================================================
+
+// 1 where water is (near-)permanent
+function eePermanentWater() {
+  return ee.Image(GSW_OCCURRENCE).select('occurrence').gte(PERMANENT_OCCURRENCE).unmask(0);
+}
+
+// 1 where a MonthlyHistory image shows water outside the permanent-water mask
+function eeInundation(monthImage, permanentMask) {
+  return ee.Image(monthImage).select('water').eq(WATER_PRESENT)
+    .and(permanentMask.not())
+    .rename('inundated');
+}
+
+// One feature per month of startYear-endYear: inundated_km2, nodata_km2 (unobserved area),
+// district_km2, year, month
+function eeMonthlyInundation(geometry, startYear, endYear) {
+  var permanent = eePermanentWater();
+  var districtKm2 = ee.Number(geometry.area(100)).divide(1e6);
+  return ee.ImageCollection(GSW_MONTHLY)
+    .filter(ee.Filter.rangeContains('year', startYear, endYear))
+    .map(function(img) {
+      var areas = eeInundation(img, permanent)
+        .addBands(img.select('water').eq(WATER_NODATA).rename('nodata'))
+        .multiply(ee.Image.pixelArea())
+        .reduceRegion({
+          reducer: ee.Reducer.sum(),
+          geometry: geometry,
+          scale: GSW_SCALE,
+          maxPixels: 1e10,
+          tileScale: 4
+        });
+      return ee.Feature(null, {
+        'year': img.get('year'),
+        'month': img.get('month'),
+        'inundated_km2': ee.Number(areas.get('inundated')).divide(1e6),
+        'nodata_km2': ee.Number(areas.get('nodata')).divide(1e6),
+        'district_km2': districtKm2
+      });
+    });
+}
+
+// Inundation mask (self-masked) for one year / month, for a map layer
+function eeInundationLayer(year, month) {
+  var img = ee.ImageCollection(GSW_MONTHLY)
+    .filter(ee.Filter.eq('year', year))
+    .filter(ee.Filter.eq('month', month))
+    .first();
+  return eeInundation(img, eePermanentWater()).selfMask();
+}
+
+// One feature per Global Flood Database event touching the district: flooded_km2 (excluding
+// permanent water), severity_km2_days (flooded area weighted by the `duration` band) and the
+// event's dates / DFO attributes
+function eeFloodEvents(geometry) {
+  return ee.ImageCollection(GFD_EVENTS)
+    .filterBounds(geometry)
+    .map(function(img) {
+      var flooded = img.select('flooded').eq(1).and(img.select('jrc_perm_water').neq(1));
+      var km2 = ee.Image.pixelArea().divide(1e6);
+      var sums = flooded.multiply(km2).rename('flooded_km2')
+        .addBands(flooded.multiply(img.select('duration')).multiply(km2).rename('severity_km2_days'))
+        .reduceRegion({
+          reducer: ee.Reducer.sum(),
+          geometry: geometry,
+          scale: GFD_SCALE,
+          maxPixels: 1e10,
+          tileScale: 4
+        });
+      return ee.Feature(null, {
+        'id': img.get('id'),
+        'began': img.get('began'),
+        'ended': img.get('ended'),
+        'dfo_main_cause': img.get('dfo_main_cause'),
+        'dfo_dead': img.get('dfo_dead'),
+        'dfo_displaced': img.get('dfo_displaced'),
+        'flooded_km2': sums.get('flooded_km2'),
+        'severity_km2_days': sums.get('severity_km2_days')
+      });
+    });
+}
+
+
+exports.GFD_FIRST_YEAR = GFD_FIRST_YEAR;
+exports.GFD_LAST_YEAR = GFD_LAST_YEAR;
+exports.GSW_FIRST_YEAR = GSW_FIRST_YEAR;
+exports.GSW_LAST_YEAR = GSW_LAST_YEAR;
+exports.PERMANENT_OCCURRENCE = PERMANENT_OCCURRENCE;
+exports.GSW_SCALE = GSW_SCALE;
+
+exports.percentOfArea = percentOfArea;
+exports.seriesFromFeatures = seriesFromFeatures;
+exports.peakMonth = peakMonth;
+exports.clampToRecord = clampToRecord;
+exports.eventsFromFeatures = eventsFromFeatures;
+exports.eventsPerYear = eventsPerYear;
+
+exports.eePermanentWater = eePermanentWater;
+exports.eeInundation = eeInundation;
+exports.eeMonthlyInundation = eeMonthlyInundation;
+exports.eeInundationLayer = eeInundationLayer;
+exports.eeFloodEvents = eeFloodEvents;
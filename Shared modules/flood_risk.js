@@ -0,0 +1,135 @@
+// ===========================================================================================
+// FLOOD RISK: COMPOUND INDEX FROM ANTECEDENT WETNESS AND FORECAST HEAVY RAIN
+// A wet past with a wet forecast is the classic flood setup, so the two are multiplied rather
+// than averaged:  index = forecast score × (floor + (1 - floor) × wetness score),  all in 0-1.
+// Wetness combines the past-window rainfall anomaly and, optionally, the ERA5-Land top-layer
+// soil moisture anomaly. Plain-number functions first, ee.* adapters last.
+//
+// Code Editor:  var floodRisk = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/flood_risk');
+// Node:         var floodRisk = require('./Shared modules/flood_risk.js');
+// ===========================================================================================
+
+// Marker for missing values, as in the other modules
+var MISSING = -999;
+
+var ERA5_SCALE = 11132;
+var SOIL_BAND = 'volumetric_soil_water_layer_1';
+
+// Anomaly at which each component scores 1 (mm/day in absolute mode, σ in standardized mode;
+// soil moisture is always a z-score). `wetnessFloor` keeps a dry start from zeroing the risk.
+var DEFAULTS = {
+  forecastRef: {absolute: 10, standardized: 3},
+  pastRef: {absolute: 5, standardized: 2},
+  soilRef: 2,
+  soilWeight: 0.5,
+  wetnessFloor: 0.3
+};
+
+var CLASSES = [
+  {label: 'Low',       upper: 0.25,     color: '#ffffcc'},
+  {label: 'Moderate',  upper: 0.5,      color: '#fed976'},
+  {label: 'High',      upper: 0.75,     color: '#fd8d3c'},
+  {label: 'Very high', upper: Infinity, color: '#bd0026'}
+];
+
+
+// ===========================================================================================
+// SCORING
+// ===========================================================================================
+
+function isMissing(value) {
+  return value === null || value === undefined || value === MISSING || isNaN(value);
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+// Positive anomaly as a 0-1 score; missing counts as 0
+function anomalyScore(anomaly, reference) {
+  return isMissing(anomaly) ? 0 : clamp01(anomaly / reference);
+}
+
+// Index into CLASSES
+function classIndex(index) {
+  for (var i = 0; i < CLASSES.length; i++) {
+    if (index < CLASSES[i].upper) return i;
+  }
+  return CLASSES.length - 1;
+}
+
+// Compound index for one district from its feature properties: past / forecast anomalies
+// (*_diff or *_z by mode), the extreme rainfall peak ratio if present (rain_peak_ratio,
+// 1 = return-period threshold reached) and the soil moisture z-score if present (soil_z).
+// Returns every component so the panel can show where the risk comes from.
+function compoundFloodRisk(properties, anomalyMode, options) {
+  var opts = options || DEFAULTS;
+  var suffix = anomalyMode === 'standardized' ? '_z' : '_diff';
+  var mode = anomalyMode === 'standardized' ? 'standardized' : 'absolute';
+
+  // Forecast: the larger of the window anomaly and the short-duration peak
+  var forecastAnomalyScore = anomalyScore(properties['forecast' + suffix], opts.forecastRef[mode]);
+  var peakScore = isMissing(properties.rain_peak_ratio) ? 0 : clamp01(properties.rain_peak_ratio);
+  var forecastScore = Math.max(forecastAnomalyScore, peakScore);
+
+  // Antecedent wetness: past rainfall anomaly, blended with soil moisture when available
+  var precipScore = anomalyScore(properties['past' + suffix], opts.pastRef[mode]);
+  var hasSoil = !isMissing(properties.soil_z);
+  var soilScore = hasSoil ? anomalyScore(properties.soil_z, opts.soilRef) : null;
+  var wetnessScore = hasSoil ? (1 - opts.soilWeight) * precipScore + opts.soilWeight * soilScore : precipScore;
+  var wetnessFactor = opts.wetnessFloor + (1 - opts.wetnessFloor) * wetnessScore;
+
+  var index = forecastScore * wetnessFactor;
+  var cls = CLASSES[classIndex(index)];
+  return {
+    index: index,
+    classIndex: classIndex(index),
+    label: cls.label,
+    color: cls.color,
+    forecastScore: forecastScore,
+    forecastAnomalyScore: forecastAnomalyScore,
+    peakScore: peakScore,
+    precipScore: precipScore,
+    soilScore: soilScore,
+    wetnessScore: wetnessScore,
+    wetnessFactor: wetnessFactor
+  };
+}
+
+
+// ===========================================================================================
+// EARTH ENGINE ADAPTERS
+// Only touch `ee` when called, so the module still loads outside the Code Editor.
+// ===========================================================================================
+
+// Soil moisture z-score image: latest ERA5-Land daily top-layer value against the mean and
+// standard deviation of the same calendar month (1-12) over startYear-endYear monthly images
+function eeSoilMoistureZImage(latestDaily, era5Monthly, month, startYear, endYear) {
+  var sameMonth = era5Monthly.select(SOIL_BAND)
+    .filterDate(ee.Date.fromYMD(startYear, 1, 1), ee.Date.fromYMD(endYear + 1, 1, 1))
+    .filter(ee.Filter.calendarRange(month, month, 'month'));
+  var mean = sameMonth.mean();
+  var sd = sameMonth.reduce(ee.Reducer.stdDev());
+  return ee.Image(latestDaily).select(SOIL_BAND).subtract(mean).divide(sd).rename('soil_z');
+}
+
+// District mean of the z-score image, MISSING without pixels
+function eeSoilMoistureZ(zImage, geometry) {
+  var value = zImage.reduceRegion({
+    reducer: ee.Reducer.mean(), geometry: geometry, scale: ERA5_SCALE, bestEffort: true
+  }).get('soil_z');
+  return ee.Number(ee.Algorithms.If(value, value, MISSING));
+}
+
+
+exports.MISSING = MISSING;
+exports.SOIL_BAND = SOIL_BAND;
+exports.DEFAULTS = DEFAULTS;
+exports.CLASSES = CLASSES;
+
+exports.anomalyScore = anomalyScore;
+exports.classIndex = classIndex;
+exports.compoundFloodRisk = compoundFloodRisk;
+
+exports.eeSoilMoistureZImage = eeSoilMoistureZImage;
+exports.eeSoilMoistureZ = eeSoilMoistureZ;
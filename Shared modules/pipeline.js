@@ -0,0 +1,338 @@
+// ===========================================================================================
+// PIPELINE: WHOLE-COUNTRY PAST / FORECAST / COMBINED ANOMALIES IN ONE SERVER-SIDE PASS
+// The accumulated GFS precipitation (or mean temperature) and the ERA5-Land past window are
+// built as images, reduced over every district with a single reduceRegions, and the
+// Pakistan_Climate_2014_2024 rows are joined server-side. Callers add their own inputs (the
+// early warning app's hazard scans: SPI totals, per-step GFS rainfall and temperature, soil
+// moisture, ensemble members) as extra bands of the same reduction, see eeComputeAnomalies().
+// No `ui` code, so it also runs headless. Plain-number functions first, ee.* adapters last.
+//
+// Code Editor:  var pipeline = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/pipeline');
+// Node:         var pipeline = require('./Shared modules/pipeline.js');
+// ===========================================================================================
+
+// Relative file under Node (including headless runs), Code Editor path otherwise
+var engine = typeof process !== 'undefined' && process.versions && process.versions.node ?
+  require('./anomaly_engine.js') :
+  require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/anomaly_engine');
+
+// Marker for missing values, as in the other modules
+var MISSING = -999;
+
+// One reduction scale for both grids: ERA5-Land's, which samples the coarser GFS cells finely enough
+var REDUCE_SCALE = engine.ERA5_SCALE;
+
+// Climatology table field matched against the districts' NAME_3
+var CLIMATE_NAME_FIELD = 'district_name';
+
+
+// ===========================================================================================
+// WINDOWS AND CLASSES
+// ===========================================================================================
+
+// Forecast window starting on `startDate` (a Date): month split for the baseline and GFS step plan
+function forecastWindow(startDate, forecastDays) {
+  return {
+    start: startDate.toISOString().substring(0, 10),
+    days: forecastDays,
+    weights: engine.windowWeights(startDate, forecastDays),
+    stepPlan: engine.gfsStepPlan(forecastDays)
+  };
+}
+
+// Threshold class of an anomaly: 1 at or above red, -1 at or below blue, 0 between, MISSING without a value
+function anomalyClass(value, redThreshold, blueThreshold) {
+  if (value === null || value === undefined || value === MISSING || isNaN(value)) return MISSING;
+  return value >= redThreshold ? 1 : (value <= blueThreshold ? -1 : 0);
+}
+
+
+// ===========================================================================================
+// BASELINE FACTORS
+// ===========================================================================================
+
+// [{month: 0-11, factor}] for a monthly past window of `months` whole months starting on
+// `pastStart` ('YYYY-MM-DD'): precipitation sums the monthly totals, temperature averages the
+// monthly means
+function monthlyFactors(pastStart, months, parameter) {
+  var first = parseInt(pastStart.substring(5, 7), 10) - 1;
+  var factors = [];
+  for (var i = 0; i < months; i++) {
+    factors.push({month: (first + i) % 12, factor: parameter === 'precipitation' ? 1 : 1 / months});
+  }
+  return factors;
+}
+
+// Factors of the past window: monthlyFactors() in monthly mode, the day weights otherwise
+//   pastWindow: {mode, months, start, weights} as built by the early warning app
+function pastFactors(pastWindow, parameter) {
+  return pastWindow.mode === 'daily' ?
+    engine.weightFactors(pastWindow.weights, parameter) :
+    monthlyFactors(pastWindow.start, pastWindow.months, parameter);
+}
+
+// Band holding one baseline month in eeBaselineStackImage(), e.g. 'bl_2014_01'
+function stackBand(year, monthIndex) {
+  return 'bl_' + year + '_' + (monthIndex < 9 ? '0' : '') + (monthIndex + 1);
+}
+
+
+// ===========================================================================================
+// EARTH ENGINE ADAPTERS
+// Only touch `ee` when called, so the module still loads outside the Code Editor.
+// ===========================================================================================
+
+// Forecast over the horizon as band 'forecast_total': precipitation in mm (eeGfsPrecipTotalImage),
+// temperature as the mean °C of every step
+function eeForecastImage(runCollection, parameter, forecastWindow) {
+  if (parameter === 'precipitation') {
+    return engine.eeGfsPrecipTotalImage(runCollection, forecastWindow.stepPlan).rename('forecast_total');
+  }
+  return engine.eeRunWithinHorizon(runCollection, forecastWindow.days).select(engine.GFS_TEMP_BAND).mean().rename('forecast_total');
+}
+
+// Past window as band 'past_total': precipitation summed in mm, temperature the mean °C
+// (of the monthly means in monthly mode, of the days in daily mode)
+function eePastImage(pastWindow, parameter) {
+  var images = ee.ImageCollection(pastWindow.images);
+  if (parameter === 'precipitation') {
+    return images.select('total_precipitation_sum').sum().multiply(1000).rename('past_total');
+  }
+  return images.select('temperature_2m').mean().subtract(273.15).rename('past_total');
+}
+
+// One band per baseline month (stackBand() names) in monthly mm / °C, so every district's
+// monthly series comes out of the same reduceRegions; used for σ when the table has no *_sd_*
+function eeBaselineStackImage(era5Monthly, parameter, startYear, endYear) {
+  var band = parameter === 'precipitation' ? 'total_precipitation_sum' : 'temperature_2m';
+  var bands = [];
+  for (var year = startYear; year <= endYear; year++) {
+    for (var m = 0; m < 12; m++) {
+      var start = ee.Date.fromYMD(year, m + 1, 1);
+      var image = ee.Image(era5Monthly.filterDate(start, start.advance(1, 'month')).first()).select(band);
+      image = parameter === 'precipitation' ? image.multiply(1000) : image.subtract(273.15);
+      bands.push(image.rename(stackBand(year, m)));
+    }
+  }
+  return ee.Image.cat(bands);
+}
+
+// Resolves the past window client-side (so every district shares the same dates): monthly mode
+// uses the pastDays / 30 latest ERA5-Land monthly images, daily mode the pastDays days ending
+// on the latest ERA5-Land daily image. callback(window), or callback(null, error).
+function resolvePastWindow(era5Monthly, era5Daily, pastMode, pastDays, callback) {
+  if (pastMode === 'daily') {
+    era5Daily.aggregate_max('system:time_start').evaluate(function(latestMillis, err) {
+      if (err || !latestMillis) { callback(null, err || 'no ERA5-Land daily images'); return; }
+      var endDate = new Date(latestMillis);
+      var startDate = engine.pastWindowStart(endDate, pastDays);
+      callback({
+        mode: 'daily',
+        days: pastDays,
+        weights: engine.pastWindowWeights(endDate, pastDays),
+        // filterDate end is exclusive, so advance one day past the last image
+        images: era5Daily.filterDate(engine.formatDate(startDate), ee.Date(engine.formatDate(endDate)).advance(1, 'day')),
+        start: engine.formatDate(startDate),
+        end: engine.formatDate(endDate)
+      });
+    });
+    return;
+  }
+  var months = Math.round(pastDays / 30);
+  var latestImages = era5Monthly.sort('system:time_start', false).limit(months);
+  latestImages.aggregate_array('system:time_start').evaluate(function(starts, err) {
+    if (err || !starts || starts.length < months) { callback(null, err || 'not enough ERA5-Land monthly images'); return; }
+    var first = new Date(Math.min.apply(Math, starts));
+    var last = new Date(Math.max.apply(Math, starts));
+    var lastDay = engine.daysInMonth(last.getUTCFullYear(), last.getUTCMonth());
+    callback({
+      mode: 'monthly',
+      days: pastDays,
+      months: months,
+      images: latestImages.toList(months),
+      start: engine.formatDate(first),
+      end: engine.formatDate(new Date(Date.UTC(last.getUTCFullYear(), last.getUTCMonth(), lastDay)))
+    });
+  });
+}
+
+// Sum of factor * column over a row's month columns (columnFor: engine.monthColumn / sdColumn)
+function eeFactorSum(row, parameter, factors, columnFor) {
+  return factors.reduce(function(sum, f) {
+    return sum.add(ee.Number(ee.Feature(row).get(columnFor(parameter, f.month))).multiply(f.factor));
+  }, ee.Number(0));
+}
+
+// Root-sum-square of factor * monthly σ, as engine.windowStd()
+function eeFactorStd(sdRow, parameter, factors) {
+  return factors.reduce(function(sum, f) {
+    return sum.add(ee.Number(ee.Feature(sdRow).get(engine.sdColumn(parameter, f.month))).multiply(f.factor).pow(2));
+  }, ee.Number(0)).sqrt();
+}
+
+// The sdColumn() attributes from a feature carrying the stack band means
+function eeStackSdRow(feature, parameter, startYear, endYear) {
+  var props = {};
+  engine.MONTH_KEYS.forEach(function(key, m) {
+    var values = [];
+    for (var year = startYear; year <= endYear; year++) {
+      values.push(feature.get(stackBand(year, m)));
+    }
+    props[engine.sdColumn(parameter, m)] = ee.List(values).reduce(ee.Reducer.sampleStdDev());
+  });
+  return ee.Feature(null, props);
+}
+
+// A reduced band as a number, `fill` where the district had no unmasked pixels
+function eeBandValue(feature, band, fill) {
+  var value = ee.Feature(feature).get(band);
+  return ee.Algorithms.If(ee.Algorithms.IsEqual(value, null), fill, value);
+}
+
+// ee.List of eeBandValue() for several bands, in order (e.g. engine.stepBands() names)
+function eeBandValues(feature, bands, fill) {
+  return ee.List(bands.map(function(band) { return eeBandValue(feature, band, fill); }));
+}
+
+// Every district's anomalies as an ee.FeatureCollection: past / forecast / combined values,
+// baselines and differences (plus σ and z-scores when standardized), and -999 / debug
+// 'no_historical' where the climatology has no row
+//   config.districts       gadm36_PAK_3 collection (NAME_3 names), or any collection with NAME_3
+//   config.climatology     Pakistan_Climate_2014_2024 table, or rows with matching district_name
+//   config.parameter, config.anomalyMode
+//   config.gfsRun          steps of one GFS run (engine.eeLatestRun)
+//   config.pastWindow      {mode, days, months, images, start, end, weights}
+//   config.forecastWindow  {start, days, weights, stepPlan}
+//   config.baseline        {era5Monthly, startYear, endYear}, for σ in standardized mode
+//   config.extraImage      optional bands reduced along with the anomalies
+//   config.extraProperties optional function(reduced feature) -> {name: value} set on every
+//                          district with a row; read the extra bands with eeBandValue(s)()
+function eeComputeAnomalies(config) {
+  var parameter = config.parameter;
+  var pastWindow = config.pastWindow;
+  var forecastWindow = config.forecastWindow;
+  var standardized = config.anomalyMode === 'standardized';
+  var baseline = config.baseline;
+  var keep = ee.Feature(config.districts.first()).propertyNames();
+
+  var joined = ee.Join.saveFirst({matchKey: 'climate_row', outer: true}).apply(
+    config.districts, config.climatology, ee.Filter.equals({leftField: 'NAME_3', rightField: CLIMATE_NAME_FIELD}));
+
+  var image = eeForecastImage(config.gfsRun, parameter, forecastWindow).addBands(eePastImage(pastWindow, parameter));
+  if (standardized) {
+    image = image.addBands(eeBaselineStackImage(baseline.era5Monthly, parameter, baseline.startYear, baseline.endYear));
+  }
+  if (config.extraImage) {
+    image = image.addBands(config.extraImage);
+  }
+  var reduced = image.reduceRegions({collection: joined, reducer: ee.Reducer.mean(), scale: REDUCE_SCALE});
+
+  var forecastFactors = engine.weightFactors(forecastWindow.weights, parameter);
+  var pastWindowFactors = pastFactors(pastWindow, parameter);
+  var pastDays = pastWindow.days;
+  var forecastDays = forecastWindow.days;
+
+  return reduced.map(function(f) {
+    var district = ee.Feature(ee.Feature(f.geometry()).copyProperties(f, keep));
+    var row = f.get('climate_row');
+    var common = {
+      'district_name': f.get('NAME_3'),
+      'past_start': pastWindow.start,
+      'past_end': pastWindow.end,
+      'past_mode': pastWindow.mode,
+      'area_km2': f.geometry().area(100).divide(1e6),
+      'past_days': pastDays,
+      'forecast_days': forecastDays,
+      'anomaly_mode': config.anomalyMode
+    };
+    var missing = district.set(common).set({
+      'combined_diff': MISSING, 'forecast_diff': MISSING, 'past_diff': MISSING,
+      'forecast_value': MISSING, 'forecast_baseline': MISSING,
+      'past_value': MISSING, 'past_baseline': MISSING,
+      'combined_value': MISSING, 'combined_baseline': MISSING,
+      'debug': 'no_historical'
+    });
+
+    var computed = (function() {
+      var forecastBaseline = eeFactorSum(row, parameter, forecastFactors, engine.monthColumn);
+      var pastBaseline = eeFactorSum(row, parameter, pastWindowFactors, engine.monthColumn);
+      // Missing pixels: no rain, or the baseline temperature, as eeEra5Observed() does
+      var forecastTotal = ee.Number(ee.Algorithms.If(ee.Algorithms.IsEqual(f.get('forecast_total'), null),
+        parameter === 'precipitation' ? 0 : forecastBaseline, f.get('forecast_total')));
+      var pastTotal = ee.Number(ee.Algorithms.If(ee.Algorithms.IsEqual(f.get('past_total'), null),
+        parameter === 'precipitation' ? 0 : pastBaseline, f.get('past_total')));
+
+      var forecastValue = forecastTotal;
+      var pastValue = pastTotal;
+      if (parameter === 'precipitation') {
+        forecastValue = forecastTotal.divide(forecastDays);
+        forecastBaseline = forecastBaseline.divide(forecastDays);
+        pastValue = pastTotal.divide(pastDays);
+        pastBaseline = pastBaseline.divide(pastDays);
+      }
+      var forecastDiff = forecastValue.subtract(forecastBaseline);
+      var pastDiff = pastValue.subtract(pastBaseline);
+      var combinedValue = engine.eeBlend(pastValue, forecastValue, pastDays, forecastDays);
+      var combinedBaseline = engine.eeBlend(pastBaseline, forecastBaseline, pastDays, forecastDays);
+      var combinedDiff = combinedValue.subtract(combinedBaseline);
+
+      var result = district.set(common).set({
+        'combined_diff': combinedDiff,
+        'forecast_diff': forecastDiff,
+        'past_diff': pastDiff,
+        'forecast_value': forecastValue,
+        'forecast_baseline': forecastBaseline,
+        'past_value': pastValue,
+        'past_baseline': pastBaseline,
+        'combined_value': combinedValue,
+        'combined_baseline': combinedBaseline
+      });
+      if (config.extraProperties) {
+        result = result.set(config.extraProperties(f));
+      }
+      if (!standardized) {
+        return result;
+      }
+
+      var sdRow = ee.Feature(ee.Algorithms.If(
+        ee.Feature(row).propertyNames().contains(engine.sdColumn(parameter, 0)),
+        row,
+        eeStackSdRow(f, parameter, baseline.startYear, baseline.endYear)));
+      var forecastSd = eeFactorStd(sdRow, parameter, forecastFactors);
+      var pastSd = eeFactorStd(sdRow, parameter, pastWindowFactors);
+      if (parameter === 'precipitation') {
+        forecastSd = forecastSd.divide(forecastDays);
+        pastSd = pastSd.divide(pastDays);
+      }
+      var combinedSd = engine.eeBlendStd(pastSd, forecastSd, pastDays, forecastDays);
+      return result.set({
+        'past_sd': pastSd,
+        'forecast_sd': forecastSd,
+        'combined_sd': combinedSd,
+        'past_z': engine.eeZScore(pastDiff, pastSd),
+        'forecast_z': engine.eeZScore(forecastDiff, forecastSd),
+        'combined_z': engine.eeZScore(combinedDiff, combinedSd)
+      });
+    })();
+
+    return ee.Feature(ee.Algorithms.If(ee.Algorithms.IsEqual(row, null), missing, computed));
+  });
+}
+
+
+exports.MISSING = MISSING;
+exports.REDUCE_SCALE = REDUCE_SCALE;
+
+exports.forecastWindow = forecastWindow;
+exports.anomalyClass = anomalyClass;
+exports.monthlyFactors = monthlyFactors;
+exports.pastFactors = pastFactors;
+exports.stackBand = stackBand;
+
+exports.resolvePastWindow = resolvePastWindow;
+exports.eeForecastImage = eeForecastImage;
+exports.eePastImage = eePastImage;
+exports.eeBaselineStackImage = eeBaselineStackImage;
+exports.eeBandValue = eeBandValue;
+exports.eeBandValues = eeBandValues;
+exports.eeComputeAnomalies = eeComputeAnomalies;
@@ -0,0 +1,167 @@
+// ===========================================================================================
+// RESULT CACHE: PER-DISTRICT RESULTS OF EARLY WARNING RUNS
+// Keeps the raw per-district features (as evaluated, before any client-side classification)
+// under a key built from everything that changes them: parameter, ERA5 window (so the months
+// used), forecast start (so its month split), GFS run creation_time, anomaly units and hazard
+// settings. A new GFS run, issue date or ERA5 month gives a new key, so older entries simply
+// stop matching. Held in memory, and optionally persisted as one table asset per key.
+// Plain-number functions first, ee.* adapters last.
+//
+// Code Editor:  var resultCache = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/result_cache');
+// Node:         var resultCache = require('./Shared modules/result_cache.js');
+// ===========================================================================================
+
+// Runs kept in memory; the oldest key is dropped beyond this
+var DEFAULT_MAX_RUNS = 4;
+
+// GADM level-3 id on the gadm36_PAK_3 districts (NAME_3 is not unique)
+var ID_FIELD = 'GID_3';
+
+
+// ===========================================================================================
+// KEYS AND STORAGE
+// ===========================================================================================
+
+// Cache key for a run
+//   run.parameter, run.anomalyMode
+//   run.pastMode, run.pastStart, run.pastEnd   ERA5 window actually used
+//   run.forecastStart, run.forecastDays      issue date ('YYYY-MM-DD', sets the month split) and horizon
+//   run.gfsRunMillis                          creation_time of the GFS run
+//   run.settings                              flat {name: value} of anything else that changes
+//                                             the per-district values (hazard options, ...)
+function cacheKey(run) {
+  var settings = run.settings || {};
+  var settingsText = Object.keys(settings).sort().map(function(name) {
+    return name + '=' + settings[name];
+  }).join(';');
+  return [
+    run.parameter,
+    run.anomalyMode,
+    run.pastMode + ':' + run.pastStart + '..' + run.pastEnd,
+    run.forecastStart + '+' + run.forecastDays + 'd',
+    'gfs:' + new Date(run.gfsRunMillis).toISOString().substring(0, 13) + 'Z',
+    settingsText
+  ].join('|');
+}
+
+// 32-bit FNV-1a of a string as 8 hex digits
+function hashKey(key) {
+  var hash = 0x811c9dc5;
+  for (var i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = (hash + ((hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24))) >>> 0;
+  }
+  return ('0000000' + hash.toString(16)).slice(-8);
+}
+
+// Asset name for a key (asset ids allow letters, digits, '_' and '-')
+function assetName(key) {
+  return 'EWS_cache_' + key.split('|')[0] + '_' + hashKey(key);
+}
+
+// Deep copy, so callers can mutate what they get back (finalizeVisualization does)
+function cloneFeature(feature) {
+  return JSON.parse(JSON.stringify(feature));
+}
+
+function createCache(maxRuns) {
+  return {maxRuns: maxRuns || DEFAULT_MAX_RUNS, order: [], runs: {}};
+}
+
+function hasRun(cache, key) {
+  return cache.runs.hasOwnProperty(key);
+}
+
+// Adds features (GeoJSON-like, with properties[ID_FIELD]) under a key, replacing any with the
+// same id; the run becomes the newest
+function store(cache, key, features) {
+  if (!hasRun(cache, key)) {
+    cache.runs[key] = {};
+  }
+  cache.order = cache.order.filter(function(k) { return k !== key; }).concat([key]);
+  while (cache.order.length > cache.maxRuns) {
+    delete cache.runs[cache.order.shift()];
+  }
+  features.forEach(function(f) {
+    var id = f.properties && f.properties[ID_FIELD];
+    if (id !== undefined && id !== null) cache.runs[key][id] = cloneFeature(f);
+  });
+}
+
+// {hits: copies of the cached features for `ids`, missing: ids with nothing cached under `key`}
+function lookup(cache, key, ids) {
+  var run = cache.runs[key] || {};
+  var hits = [];
+  var missing = [];
+  ids.forEach(function(id) {
+    if (run.hasOwnProperty(id)) {
+      hits.push(cloneFeature(run[id]));
+    } else {
+      missing.push(id);
+    }
+  });
+  return {hits: hits, missing: missing};
+}
+
+// Every cached feature of a key (copies)
+function features(cache, key) {
+  var run = cache.runs[key] || {};
+  return Object.keys(run).map(function(id) { return cloneFeature(run[id]); });
+}
+
+
+// ===========================================================================================
+// EARTH ENGINE ADAPTERS
+// Only touch `ee` / Export when called, so the module still loads outside the Code Editor.
+// Properties are stored as one JSON string per row, so per-step lists survive the table.
+// ===========================================================================================
+
+function eeCacheTable(cachedFeatures, key) {
+  return ee.FeatureCollection(cachedFeatures.map(function(f) {
+    return ee.Feature(f.geometry ? ee.Geometry(f.geometry) : null, {
+      'cache_key': key,
+      'cache_id': f.properties[ID_FIELD],
+      'properties_json': JSON.stringify(f.properties)
+    });
+  }));
+}
+
+// Starts an Export.table.toAsset task for a key's features into `folder` (run it from the Tasks tab)
+function exportRun(cachedFeatures, key, folder) {
+  var name = assetName(key);
+  Export.table.toAsset({
+    collection: eeCacheTable(cachedFeatures, key),
+    description: name,
+    assetId: folder + '/' + name
+  });
+}
+
+// Loads a key's features from `folder`: callback(features), [] when the asset does not exist
+function loadRun(folder, key, callback) {
+  ee.FeatureCollection(folder + '/' + assetName(key))
+    .filter(ee.Filter.eq('cache_key', key))
+    .evaluate(function(table, err) {
+      if (err || !table || !table.features) { callback([]); return; }
+      callback(table.features.map(function(row) {
+        return {type: 'Feature', geometry: row.geometry, properties: JSON.parse(row.properties.properties_json)};
+      }));
+    });
+}
+
+
+exports.DEFAULT_MAX_RUNS = DEFAULT_MAX_RUNS;
+exports.ID_FIELD = ID_FIELD;
+
+exports.cacheKey = cacheKey;
+exports.hashKey = hashKey;
+exports.assetName = assetName;
+exports.cloneFeature = cloneFeature;
+exports.createCache = createCache;
+exports.hasRun = hasRun;
+exports.store = store;
+exports.lookup = lookup;
+exports.features = features;
+
+exports.eeCacheTable = eeCacheTable;
+exports.exportRun = exportRun;
+exports.loadRun = loadRun;
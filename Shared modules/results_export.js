@@ -0,0 +1,177 @@
+// ===========================================================================================
+// RESULTS EXPORT: DISTRICT ANOMALY TABLE AS CSV / GEOJSON
+// Flattens the per-district results of an early warning run into one table row per district,
+// stamped with the run metadata (parameter, thresholds, GFS run, ERA5 window, generation
+// time), and hands it to Export.table or a download link. Plain-number functions first,
+// ee.* adapters last.
+//
+// Code Editor:  var resultsExport = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/results_export');
+// Node:         var resultsExport = require('./Shared modules/results_export.js');
+// ===========================================================================================
+
+// Metadata columns repeated on every row, in output order
+var METADATA_COLUMNS = [
+  'parameter', 'anomaly_mode', 'red_threshold', 'blue_threshold', 'gfs_run',
+  'past_mode', 'past_start', 'past_end', 'era5_months', 'past_days', 'forecast_days', 'generated'
+];
+
+// Result columns in output order; whichever the run produced are written, then any others
+var RESULT_COLUMNS = [
+  'district_name', 'warning_level', 'warning_label', 'warning_reasons',
+  'past_value', 'past_baseline', 'past_diff', 'past_sd', 'past_z',
+  'forecast_value', 'forecast_baseline', 'forecast_diff', 'forecast_sd', 'forecast_z',
+  'combined_value', 'combined_baseline', 'combined_diff', 'combined_sd', 'combined_z',
+  'spi', 'spi_category', 'rain_flag', 'rain_peak_window', 'rain_peak_ratio',
+  'hw_flag', 'hw_onset', 'hw_duration', 'hw_peak', 'hw_threshold',
+  'flood_index', 'flood_label', 'soil_z',
+  'ens_count', 'ens_mean', 'ens_spread', 'ens_prob_above', 'ens_prob_below'
+];
+
+// Per-district bookkeeping not worth exporting (GADM codes, map colouring helpers)
+var SKIPPED_PREFIXES = ['GID_', 'NAME_', 'NL_NAME_', 'TYPE_', 'ENGTYPE_', 'CC_', 'HASC_', 'VARNAME_', 'color_index', 'debug'];
+
+
+// ===========================================================================================
+// TABLE HELPERS
+// ===========================================================================================
+
+function isSkipped(key) {
+  return SKIPPED_PREFIXES.some(function(prefix) { return key.indexOf(prefix) === 0; });
+}
+
+// 'YYYY-MM' of every month from startDate to endDate ('YYYY-MM-DD'), joined with ';'
+function monthsBetween(startDate, endDate) {
+  var year = parseInt(startDate.substring(0, 4), 10);
+  var month = parseInt(startDate.substring(5, 7), 10);
+  var endKey = endDate.substring(0, 7);
+  var months = [];
+  for (var guard = 0; guard < 240; guard++) {
+    var key = year + '-' + (month < 10 ? '0' : '') + month;
+    months.push(key);
+    if (key >= endKey) break;
+    month += 1;
+    if (month > 12) { month = 1; year += 1; }
+  }
+  return months.join(';');
+}
+
+// Metadata dictionary for a run; era5_months lists the ERA5-Land months of a monthly past window
+//   run.parameter, run.anomalyMode, run.redThreshold, run.blueThreshold
+//   run.gfsRunMillis  creation_time of the GFS run used
+//   run.pastMode ('monthly' | 'daily'), run.pastStart, run.pastEnd, run.pastDays, run.forecastDays
+//   run.generated     Date the results were produced
+function runMetadata(run) {
+  return {
+    parameter: run.parameter,
+    anomaly_mode: run.anomalyMode,
+    red_threshold: run.redThreshold,
+    blue_threshold: run.blueThreshold,
+    gfs_run: run.gfsRunMillis ? new Date(run.gfsRunMillis).toISOString() : '',
+    past_mode: run.pastMode,
+    past_start: run.pastStart,
+    past_end: run.pastEnd,
+    era5_months: run.pastMode === 'monthly' && run.pastStart && run.pastEnd ? monthsBetween(run.pastStart, run.pastEnd) : '',
+    past_days: run.pastDays,
+    forecast_days: run.forecastDays,
+    generated: run.generated.toISOString()
+  };
+}
+
+// One flat row: lists joined with ';' so they survive CSV, nested objects dropped,
+// metadata added
+function flattenProperties(properties, metadata) {
+  var row = {};
+  Object.keys(properties).forEach(function(key) {
+    var value = properties[key];
+    if (isSkipped(key) || value === null || value === undefined) return;
+    if (Array.isArray(value)) {
+      row[key] = value.join(';');
+    } else if (typeof value !== 'object') {
+      row[key] = value;
+    }
+  });
+  Object.keys(metadata).forEach(function(key) { row[key] = metadata[key]; });
+  return row;
+}
+
+// Column order for a set of flattened rows: metadata, known results, then the rest sorted
+function columnsFor(rows) {
+  var present = {};
+  rows.forEach(function(row) {
+    Object.keys(row).forEach(function(key) { present[key] = true; });
+  });
+  var known = METADATA_COLUMNS.concat(RESULT_COLUMNS);
+  var ordered = known.filter(function(key) { return present[key]; });
+  var rest = Object.keys(present).filter(function(key) { return known.indexOf(key) === -1; }).sort();
+  return ordered.concat(rest);
+}
+
+// e.g. 'EWS_precipitation_absolute_20260901T0930Z'
+function fileName(metadata) {
+  var stamp = metadata.generated.replace(/[-:]/g, '').substring(0, 13) + 'Z';
+  return 'EWS_' + metadata.parameter + '_' + metadata.anomaly_mode + '_' + stamp;
+}
+
+
+// ===========================================================================================
+// EARTH ENGINE ADAPTERS
+// Only touch `ee` / Export when called, so the module still loads outside the Code Editor.
+// ===========================================================================================
+
+// Client-side features -> ee.FeatureCollection of flattened rows. Geometry comes from the
+// feature, or from geometryFor(properties) when given (e.g. dissolved province outlines).
+function eeResultsTable(features, metadata, geometryFor) {
+  return ee.FeatureCollection(features.map(function(f) {
+    var geometry = geometryFor ? geometryFor(f.properties) : (f.geometry ? ee.Geometry(f.geometry) : null);
+    return ee.Feature(geometry, flattenProperties(f.properties, metadata));
+  }));
+}
+
+// Starts CSV and GeoJSON export tasks (run them from the Tasks tab). `bucket` switches the
+// destination from Drive to Cloud Storage.
+function exportTables(table, name, columns, bucket) {
+  var formats = [{fileFormat: 'CSV', suffix: '_csv', selectors: columns},
+                 {fileFormat: 'GeoJSON', suffix: '_geojson', selectors: columns.concat(['.geo'])}];
+  formats.forEach(function(format) {
+    var params = {
+      collection: table,
+      description: name + format.suffix,
+      fileNamePrefix: name,
+      fileFormat: format.fileFormat,
+      selectors: format.selectors
+    };
+    if (bucket) {
+      params.bucket = bucket;
+      Export.table.toCloudStorage(params);
+    } else {
+      Export.table.toDrive(params);
+    }
+  });
+}
+
+// Download URLs for the table: callback({csv, geojson}) or callback(null, error).
+// GeoJSON geometries are simplified to `simplifyMeters` to keep the file small.
+function downloadUrls(table, name, columns, simplifyMeters, callback) {
+  table.getDownloadURL('csv', columns, name, function(csvUrl, err) {
+    if (err) { callback(null, err); return; }
+    var simplified = table.map(function(f) { return f.simplify(simplifyMeters); });
+    simplified.getDownloadURL('geojson', columns, name, function(geojsonUrl, err2) {
+      if (err2) { callback(null, err2); return; }
+      callback({csv: csvUrl, geojson: geojsonUrl});
+    });
+  });
+}
+
+
+exports.METADATA_COLUMNS = METADATA_COLUMNS;
+exports.RESULT_COLUMNS = RESULT_COLUMNS;
+
+exports.monthsBetween = monthsBetween;
+exports.runMetadata = runMetadata;
+exports.flattenProperties = flattenProperties;
+exports.columnsFor = columnsFor;
+exports.fileName = fileName;
+
+exports.eeResultsTable = eeResultsTable;
+exports.exportTables = exportTables;
+exports.downloadUrls = downloadUrls;
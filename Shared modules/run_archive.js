@@ -0,0 +1,141 @@
+// ===========================================================================================
+// RUN ARCHIVE: DATED EARLY WARNING RESULTS, WRITTEN AND READ BACK
+// The scheduled runs write one results table and one classified raster per parameter, anomaly
+// units and issue date; these helpers keep the asset / file names the same for the writer and
+// the early warning app reading the archive back (replay of past issue dates). Plain-number
+// functions first, ee.* adapters last.
+//
+// Code Editor:  var runArchive = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/run_archive');
+// Node:         var runArchive = require('./Shared modules/run_archive.js');
+// ===========================================================================================
+
+var PREFIX = 'EWS';
+var RASTER_SUFFIX = '_classes';
+
+// Bands of the classified raster
+var RASTER_BANDS = ['warning_level', 'anomaly_class'];
+
+// GADM level-3 id archived with every district row; histories match on it (NAME_3 is not unique)
+var ID_FIELD = 'GID_3';
+
+
+// ===========================================================================================
+// NAMES
+// ===========================================================================================
+
+// 'YYYYMMDD' (UTC) of a Date
+function dateStamp(date) {
+  var pad = function(n) { return (n < 10 ? '0' : '') + n; };
+  return date.getUTCFullYear() + pad(date.getUTCMonth() + 1) + pad(date.getUTCDate());
+}
+
+// e.g. runName('precipitation', 'absolute', date) -> 'EWS_precipitation_absolute_20261019'
+function runName(parameter, anomalyMode, date) {
+  return [PREFIX, parameter, anomalyMode, dateStamp(date)].join('_');
+}
+
+function rasterName(name) {
+  return name + RASTER_SUFFIX;
+}
+
+// {parameter, anomalyMode, date: 'YYYY-MM-DD'} from a results table name or asset id,
+// null for rasters and anything else
+function parseRunName(assetId) {
+  var name = assetId.split('/').pop();
+  var match = /^([A-Za-z]+)_([a-z]+)_([a-z]+)_(\d{4})(\d{2})(\d{2})$/.exec(name);
+  if (!match || match[1] !== PREFIX) return null;
+  return {parameter: match[2], anomalyMode: match[3], date: match[4] + '-' + match[5] + '-' + match[6]};
+}
+
+
+// ===========================================================================================
+// READING THE ARCHIVE
+// ===========================================================================================
+
+// Archived tables of one parameter and anomaly units, oldest first: [{id, date}]
+function archivedRuns(assetIds, parameter, anomalyMode) {
+  var runs = [];
+  assetIds.forEach(function(id) {
+    var parsed = parseRunName(id);
+    if (parsed && parsed.parameter === parameter && parsed.anomalyMode === anomalyMode) {
+      runs.push({id: id, date: parsed.date});
+    }
+  });
+  return runs.sort(function(a, b) { return a.date < b.date ? -1 : (a.date > b.date ? 1 : 0); });
+}
+
+// Index of the last run issued on or before `date` ('YYYY-MM-DD'); 0 when all are later
+function runIndexFor(runs, date) {
+  var index = 0;
+  runs.forEach(function(run, i) {
+    if (run.date <= date) index = i;
+  });
+  return index;
+}
+
+// Issue dates on which a district's warning level changed, from its history
+// [{date, level, label}] in date order: [{date, from, to}] (labels), the first date included
+function statusChanges(history) {
+  var changes = [];
+  history.forEach(function(entry, i) {
+    if (i === 0 || entry.level !== history[i - 1].level) {
+      changes.push({date: entry.date, from: i === 0 ? null : history[i - 1].label, to: entry.label});
+    }
+  });
+  return changes;
+}
+
+
+// ===========================================================================================
+// EARTH ENGINE ADAPTERS
+// Only touch `ee` when called, so the module still loads outside the Code Editor.
+// ===========================================================================================
+
+// Archived runs in an asset folder: callback(archivedRuns()), or callback(null, error). Reads
+// every page of the listing, as a daily archive passes one page within a few years.
+function eeListRuns(folder, parameter, anomalyMode, callback) {
+  var ids = [];
+  function listPage(pageToken) {
+    var params = {pageSize: 1000};
+    if (pageToken) params.pageToken = pageToken;
+    ee.data.listAssets(folder, params, function(listing, err) {
+      if (err || !listing) { callback(null, err || 'cannot list ' + folder); return; }
+      ids = ids.concat((listing.assets || []).filter(function(asset) {
+        return asset.type === 'TABLE';
+      }).map(function(asset) { return asset.id || asset.name; }));
+      if (listing.nextPageToken) {
+        listPage(listing.nextPageToken);
+      } else {
+        callback(archivedRuns(ids, parameter, anomalyMode));
+      }
+    });
+  }
+  listPage();
+}
+
+// One district's row (by ID_FIELD) in every archived run, geometry dropped, each stamped with
+// its 'issue_date'
+function eeDistrictHistory(runs, districtId, properties) {
+  return ee.FeatureCollection(runs.map(function(run) {
+    return ee.FeatureCollection(run.id)
+      .filter(ee.Filter.eq(ID_FIELD, districtId))
+      .map(function(f) { return ee.Feature(ee.Feature(null).copyProperties(f, properties)).set('issue_date', run.date); });
+  })).flatten();
+}
+
+
+exports.PREFIX = PREFIX;
+exports.RASTER_SUFFIX = RASTER_SUFFIX;
+exports.RASTER_BANDS = RASTER_BANDS;
+exports.ID_FIELD = ID_FIELD;
+
+exports.dateStamp = dateStamp;
+exports.runName = runName;
+exports.rasterName = rasterName;
+exports.parseRunName = parseRunName;
+exports.archivedRuns = archivedRuns;
+exports.runIndexFor = runIndexFor;
+exports.statusChanges = statusChanges;
+
+exports.eeListRuns = eeListRuns;
+exports.eeDistrictHistory = eeDistrictHistory;
@@ -0,0 +1,302 @@
+// ===========================================================================================
+// SPI: STANDARDIZED PRECIPITATION INDEX (McKee et al. 1993) FOR DISTRICT DROUGHT MONITORING
+// k-month precipitation totals are fitted with a gamma distribution per calendar month
+// (Thom's maximum-likelihood estimate, with the share of dry months handled separately),
+// then mapped onto a standard normal. Plain-number functions first, ee.* adapters last.
+//
+// Code Editor:  var spi = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/spi');
+// Node:         var spi = require('./Shared modules/spi.js');
+// ===========================================================================================
+
+var SPI_SCALES = [1, 3, 6, 12];
+
+// ERA5-Land monthly record used by the Historical anomalies script
+var SPI_RECORD_START_YEAR = 1984;
+
+// Marker for districts / months with no data (ee.List cannot hold nulls)
+var MISSING = -999;
+
+// Values beyond ±3 only reflect the tail of the fitted distribution
+var SPI_LIMIT = 3;
+
+var ERA5_SCALE = 11132;
+var PRECIP_BAND = 'total_precipitation_sum';
+
+// WMO SPI classes, driest first; 'upper' is the inclusive top of each class
+var WMO_CATEGORIES = [
+  {label: 'Extremely dry',  range: '≤ -2.0',       upper: -2.0,     color: '#730000'},
+  {label: 'Severely dry',   range: '-1.5 to -1.99', upper: -1.5,     color: '#e60000'},
+  {label: 'Moderately dry', range: '-1.0 to -1.49', upper: -1.0,     color: '#ffaa00'},
+  {label: 'Near normal',    range: '-0.99 to 0.99', upper: 0.99,     color: '#f0f0f0'},
+  {label: 'Moderately wet', range: '1.0 to 1.49',   upper: 1.49,     color: '#9ecae1'},
+  {label: 'Very wet',       range: '1.5 to 1.99',   upper: 1.99,     color: '#3182bd'},
+  {label: 'Extremely wet',  range: '≥ 2.0',         upper: Infinity, color: '#08306b'}
+];
+
+
+// ===========================================================================================
+// DISTRIBUTIONS
+// ===========================================================================================
+
+// ln Γ(x), Lanczos approximation
+function lnGamma(x) {
+  var cof = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+             -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  var y = x;
+  var tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  var ser = 1.000000000190015;
+  for (var j = 0; j < cof.length; j++) {
+    y += 1;
+    ser += cof[j] / y;
+  }
+  return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+// Regularized lower incomplete gamma P(a, x): series below a + 1, continued fraction above
+function gammaP(a, x) {
+  if (x <= 0) return 0;
+  var EPS = 1e-12;
+  var FPMIN = 1e-300;
+  var lnPrefix = -x + a * Math.log(x) - lnGamma(a);
+  var n;
+  if (x < a + 1) {
+    var ap = a;
+    var del = 1 / a;
+    var sum = del;
+    for (n = 0; n < 500; n++) {
+      ap += 1;
+      del *= x / ap;
+      sum += del;
+      if (Math.abs(del) < Math.abs(sum) * EPS) break;
+    }
+    return sum * Math.exp(lnPrefix);
+  }
+  var b = x + 1 - a;
+  var c = 1 / FPMIN;
+  var d = 1 / b;
+  var h = d;
+  for (n = 1; n < 500; n++) {
+    var an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = b + an / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    var step = d * c;
+    h *= step;
+    if (Math.abs(step - 1) < EPS) break;
+  }
+  return 1 - Math.exp(lnPrefix) * h;
+}
+
+// Inverse standard normal CDF (Acklam's rational approximation, |error| < 1.2e-9)
+function normInv(p) {
+  var a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+           1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  var b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+           6.680131188771972e+01, -1.328068155288572e+01];
+  var c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+           -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  var d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+           3.754408661907416e+00];
+  var pLow = 0.02425;
+  var q, r;
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  if (p < pLow) {
+    q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+           ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p <= 1 - pLow) {
+    q = p - 0.5;
+    r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+           (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+  q = Math.sqrt(-2 * Math.log(1 - p));
+  return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+          ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+}
+
+
+// ===========================================================================================
+// GAMMA FIT AND SPI
+// ===========================================================================================
+
+function isMissing(value) {
+  return value === null || value === undefined || value === MISSING || isNaN(value);
+}
+
+// Fits totals (mm) for one calendar month: {alpha, beta, q} where q is the share of dry totals.
+// Returns null when there are too few wet totals or they do not vary.
+function gammaFit(totals) {
+  var valid = totals.filter(function(v) { return !isMissing(v); });
+  var wet = valid.filter(function(v) { return v > 0; });
+  if (wet.length < 3) return null;
+  var sum = 0;
+  var sumLog = 0;
+  wet.forEach(function(v) {
+    sum += v;
+    sumLog += Math.log(v);
+  });
+  var mean = sum / wet.length;
+  var A = Math.log(mean) - sumLog / wet.length;
+  if (!(A > 0)) return null;
+  var alpha = (1 + Math.sqrt(1 + 4 * A / 3)) / (4 * A);
+  return {alpha: alpha, beta: mean / alpha, q: (valid.length - wet.length) / valid.length};
+}
+
+// SPI of one total under a fitted month, clamped to ±SPI_LIMIT
+function spiValue(total, fit) {
+  if (isMissing(total) || !fit) return null;
+  var prob = total > 0 ? fit.q + (1 - fit.q) * gammaP(fit.alpha, total / fit.beta) : fit.q;
+  var z = normInv(prob);
+  return Math.max(-SPI_LIMIT, Math.min(SPI_LIMIT, z));
+}
+
+// Rolling k-month totals of a chronological monthly series [{year, month, value}] (month 0-11).
+// The first scale - 1 entries, and any window with a missing month, get null.
+function accumulate(series, scale) {
+  return series.map(function(entry, i) {
+    var total = null;
+    if (i >= scale - 1) {
+      total = 0;
+      for (var j = i - scale + 1; j <= i; j++) {
+        if (isMissing(series[j].value)) { total = null; break; }
+        total += series[j].value;
+      }
+    }
+    return {year: entry.year, month: entry.month, value: total};
+  });
+}
+
+// SPI-k for every month of a monthly series: one gamma fit per calendar (end) month
+// over the whole record. Returns [{year, month, total, spi}].
+function spiSeries(series, scale) {
+  var totals = accumulate(series, scale);
+  var fits = [];
+  for (var m = 0; m < 12; m++) {
+    fits.push(gammaFit(totals.filter(function(t) { return t.month === m; })
+                             .map(function(t) { return t.value; })));
+  }
+  return totals.map(function(t) {
+    return {year: t.year, month: t.month, total: t.value, spi: spiValue(t.value, fits[t.month])};
+  });
+}
+
+// SPI of the last total in a same-calendar-month list (one per year, oldest first)
+function latestSpi(totals) {
+  if (!totals || totals.length === 0) return null;
+  return spiValue(totals[totals.length - 1], gammaFit(totals));
+}
+
+// Index into WMO_CATEGORIES (0 = extremely dry ... 6 = extremely wet), null without a value
+function categoryIndex(value) {
+  if (isMissing(value)) return null;
+  var rounded = Math.round(value * 100) / 100;
+  for (var i = 0; i < WMO_CATEGORIES.length; i++) {
+    if (rounded <= WMO_CATEGORIES[i].upper) return i;
+  }
+  return WMO_CATEGORIES.length - 1;
+}
+
+function category(value) {
+  var index = categoryIndex(value);
+  return index === null ? null : WMO_CATEGORIES[index];
+}
+
+// Years whose k-month window ending in endMonth (0-11) lies fully inside the record
+function accumulationYears(recordStartYear, endYear, endMonth, scale) {
+  var firstYear = Math.ceil((recordStartYear * 12 + scale - 1 - endMonth) / 12);
+  var years = [];
+  for (var y = firstYear; y <= endYear; y++) years.push(y);
+  return years;
+}
+
+// Parses a toBands() reduceRegion dictionary of ERA5-Land monthly images
+// ({'198401_total_precipitation_sum': mm, ...}) into a chronological series
+function seriesFromBandDictionary(dict) {
+  return Object.keys(dict).sort().map(function(key) {
+    var value = dict[key];
+    return {
+      year: parseInt(key.substring(0, 4), 10),
+      month: parseInt(key.substring(4, 6), 10) - 1,
+      value: isMissing(value) ? null : value
+    };
+  });
+}
+
+
+// ===========================================================================================
+// EARTH ENGINE ADAPTERS
+// Only touch `ee` when called, so the module still loads outside the Code Editor.
+// ===========================================================================================
+
+// Monthly ERA5-Land precipitation in mm (system:index 'YYYYMM' is kept for toBands)
+function eeMonthlyPrecipMm(era5Monthly) {
+  return era5Monthly.select(PRECIP_BAND).map(function(img) {
+    return img.multiply(1000).copyProperties(img, ['system:time_start']);
+  });
+}
+
+// One band per year ('y1984', ...) holding the k-month total (mm) ending in endMonth (0-11)
+function eeAccumulationImage(era5MonthlyMm, years, endMonth, scale) {
+  return ee.Image.cat(years.map(function(year) {
+    var end = ee.Date.fromYMD(year, endMonth + 1, 1).advance(1, 'month');
+    return era5MonthlyMm.filterDate(end.advance(-scale, 'month'), end).sum().rename('y' + year);
+  }));
+}
+
+// District mean of each year's total, oldest first, MISSING where the district has no pixels
+function eeAccumulationTotals(accumulationImage, years, geometry) {
+  var means = accumulationImage.reduceRegion({
+    reducer: ee.Reducer.mean(),
+    geometry: geometry,
+    scale: ERA5_SCALE,
+    maxPixels: 1e9,
+    tileScale: 4
+  });
+  return ee.List(years.map(function(year) {
+    var band = 'y' + year;
+    return ee.Algorithms.If(means.contains(band), means.get(band), MISSING);
+  }));
+}
+
+// Full monthly record for one district, as a dictionary for seriesFromBandDictionary
+function eeDistrictMonthlySeries(era5MonthlyMm, geometry) {
+  return era5MonthlyMm.toBands().reduceRegion({
+    reducer: ee.Reducer.mean(),
+    geometry: geometry,
+    scale: ERA5_SCALE,
+    maxPixels: 1e9,
+    tileScale: 4
+  });
+}
+
+
+exports.SPI_SCALES = SPI_SCALES;
+exports.SPI_RECORD_START_YEAR = SPI_RECORD_START_YEAR;
+exports.MISSING = MISSING;
+exports.SPI_LIMIT = SPI_LIMIT;
+exports.WMO_CATEGORIES = WMO_CATEGORIES;
+
+exports.lnGamma = lnGamma;
+exports.gammaP = gammaP;
+exports.normInv = normInv;
+exports.gammaFit = gammaFit;
+exports.spiValue = spiValue;
+exports.accumulate = accumulate;
+exports.spiSeries = spiSeries;
+exports.latestSpi = latestSpi;
+exports.categoryIndex = categoryIndex;
+exports.category = category;
+exports.accumulationYears = accumulationYears;
+exports.seriesFromBandDictionary = seriesFromBandDictionary;
+
+exports.eeMonthlyPrecipMm = eeMonthlyPrecipMm;
+exports.eeAccumulationImage = eeAccumulationImage;
+exports.eeAccumulationTotals = eeAccumulationTotals;
+exports.eeDistrictMonthlySeries = eeDistrictMonthlySeries;
@@ -0,0 +1,129 @@
+// ===========================================================================================
+// VERIFICATION: WARNINGS AND FORECASTS AGAINST WHAT ACTUALLY HAPPENED
+// 2x2 contingency tables (warned / not warned vs observed / not observed) with the usual
+// categorical scores, and continuous scores for forecast vs observed anomalies.
+// Plain-number functions only.
+//
+// Code Editor:  var verification = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/verification');
+// Node:         var verification = require('./Shared modules/verification.js');
+// ===========================================================================================
+
+var OUTCOMES = [
+  {key: 'hit',               label: 'Hit',               color: '#1a9850'},
+  {key: 'miss',              label: 'Miss',              color: '#d73027'},
+  {key: 'false_alarm',       label: 'False alarm',       color: '#fdae61'},
+  {key: 'correct_negative',  label: 'Correct negative',  color: '#e0e0e0'}
+];
+
+// Marker for missing values, as in the other modules
+var MISSING = -999;
+
+
+// ===========================================================================================
+// CATEGORICAL
+// ===========================================================================================
+
+// Outcome key for one district
+function outcome(warned, observed) {
+  if (warned && observed) return 'hit';
+  if (!warned && observed) return 'miss';
+  if (warned && !observed) return 'false_alarm';
+  return 'correct_negative';
+}
+
+// Index into OUTCOMES (for categorical map layers)
+function outcomeIndex(key) {
+  for (var i = 0; i < OUTCOMES.length; i++) {
+    if (OUTCOMES[i].key === key) return i;
+  }
+  return -1;
+}
+
+// Counts from [{warned, observed}] pairs
+function contingency(pairs) {
+  var table = {hits: 0, misses: 0, falseAlarms: 0, correctNegatives: 0};
+  pairs.forEach(function(pair) {
+    switch (outcome(pair.warned, pair.observed)) {
+      case 'hit': table.hits += 1; break;
+      case 'miss': table.misses += 1; break;
+      case 'false_alarm': table.falseAlarms += 1; break;
+      default: table.correctNegatives += 1;
+    }
+  });
+  return table;
+}
+
+// Probability of detection (hit rate), false alarm ratio, critical success index and
+// frequency bias; null where the denominator is zero
+function categoricalScores(table) {
+  var ratio = function(num, den) { return den > 0 ? num / den : null; };
+  return {
+    pod: ratio(table.hits, table.hits + table.misses),
+    far: ratio(table.falseAlarms, table.hits + table.falseAlarms),
+    csi: ratio(table.hits, table.hits + table.misses + table.falseAlarms),
+    frequencyBias: ratio(table.hits + table.falseAlarms, table.hits + table.misses)
+  };
+}
+
+
+// ===========================================================================================
+// CONTINUOUS (FORECAST ANOMALY VS OBSERVED ANOMALY)
+// ===========================================================================================
+
+function isMissing(value) {
+  return value === null || value === undefined || value === MISSING || isNaN(value);
+}
+
+// Bias (mean forecast - observed), RMSE, MAE and anomaly correlation over [{forecast, observed}]
+// anomaly pairs; pairs with a missing side are skipped. The anomaly correlation is uncentred,
+// since both sides are already departures from the same climatology. Scores are null without pairs.
+function continuousScores(pairs) {
+  var n = 0, sumErr = 0, sumSq = 0, sumAbs = 0, sumFo = 0, sumFf = 0, sumOo = 0;
+  pairs.forEach(function(pair) {
+    if (isMissing(pair.forecast) || isMissing(pair.observed)) return;
+    var err = pair.forecast - pair.observed;
+    n += 1;
+    sumErr += err;
+    sumSq += err * err;
+    sumAbs += Math.abs(err);
+    sumFo += pair.forecast * pair.observed;
+    sumFf += pair.forecast * pair.forecast;
+    sumOo += pair.observed * pair.observed;
+  });
+  var denom = Math.sqrt(sumFf * sumOo);
+  return {
+    n: n,
+    bias: n > 0 ? sumErr / n : null,
+    rmse: n > 0 ? Math.sqrt(sumSq / n) : null,
+    mae: n > 0 ? sumAbs / n : null,
+    anomalyCorrelation: denom > 0 ? sumFo / denom : null
+  };
+}
+
+// An anomaly counts as an event when it reaches the threshold: at or above a positive
+// threshold, at or below a negative one (dry / cold events)
+function exceeds(anomaly, threshold) {
+  if (isMissing(anomaly)) return false;
+  return threshold >= 0 ? anomaly >= threshold : anomaly <= threshold;
+}
+
+// [{forecast, observed}] anomaly pairs -> [{warned, observed}] for contingency()
+function thresholdPairs(pairs, threshold) {
+  return pairs.filter(function(pair) {
+    return !isMissing(pair.forecast) && !isMissing(pair.observed);
+  }).map(function(pair) {
+    return {warned: exceeds(pair.forecast, threshold), observed: exceeds(pair.observed, threshold)};
+  });
+}
+
+
+exports.OUTCOMES = OUTCOMES;
+exports.MISSING = MISSING;
+
+exports.outcome = outcome;
+exports.outcomeIndex = outcomeIndex;
+exports.contingency = contingency;
+exports.categoricalScores = categoricalScores;
+exports.continuousScores = continuousScores;
+exports.exceeds = exceeds;
+exports.thresholdPairs = thresholdPairs;
@@ -0,0 +1,142 @@
+// ===========================================================================================
+// WARNING LEVELS: RULES ENGINE FOR DISCRETE DISTRICT WARNINGS
+// Turns a district's past / forecast / combined anomalies (plus any hazard flags) into one of
+// Normal / Watch / Warning / Alert. Rule sets are plain data, one per parameter and anomaly
+// mode, so a script can pass its own instead of DEFAULT_RULE_SETS.
+//
+// Code Editor:  var levels = require('users/mustafaasghar66/GIS-Summer-Research:Shared modules/warning_levels');
+// Node:         var levels = require('./Shared modules/warning_levels.js');
+// ===========================================================================================
+
+var LEVELS = [
+  {level: 0, label: 'Normal',  color: '#1a9850'},
+  {level: 1, label: 'Watch',   color: '#fee08b'},
+  {level: 2, label: 'Warning', color: '#fc8d59'},
+  {level: 3, label: 'Alert',   color: '#d73027'}
+];
+
+// Marker for missing values, as in the other modules
+var MISSING = -999;
+
+// A rule raises a district to `level` when every condition in `all` holds.
+// Condition: [field, operator, value]. 'past', 'forecast' and 'combined' resolve to the
+// anomaly in the run's units (*_diff, or *_z in standardized mode); any other field is read
+// as a feature property as-is (e.g. 'rain_flag', 'hw_flag', 'spi').
+var DEFAULT_RULE_SETS = {
+  precipitation: {
+    absolute: [
+      {level: 3, label: 'Wet past and very wet forecast',  all: [['past', '>=', 2], ['forecast', '>=', 10]]},
+      {level: 3, label: 'Extreme rainfall on a wet past',  all: [['rain_flag', '==', 1], ['past', '>=', 2]]},
+      {level: 2, label: 'Wet past and wet forecast',       all: [['past', '>=', 1], ['forecast', '>=', 5]]},
+      {level: 2, label: 'Extreme rainfall forecast',       all: [['rain_flag', '==', 1]]},
+      {level: 2, label: 'Severe drought (SPI)',            all: [['spi', '<=', -2]]},
+      {level: 1, label: 'Wet forecast',                    all: [['forecast', '>=', 3]]},
+      {level: 1, label: 'Wet combined window',             all: [['combined', '>=', 2]]},
+      {level: 1, label: 'Dry combined window',             all: [['combined', '<=', -2]]},
+      {level: 1, label: 'Moderate drought (SPI)',          all: [['spi', '<=', -1.5]]}
+    ],
+    standardized: [
+      {level: 3, label: 'Wet past and very wet forecast',  all: [['past', '>=', 1], ['forecast', '>=', 2]]},
+      {level: 3, label: 'Extreme rainfall on a wet past',  all: [['rain_flag', '==', 1], ['past', '>=', 1]]},
+      {level: 2, label: 'Wet past and wet forecast',       all: [['past', '>=', 0.5], ['forecast', '>=', 1.5]]},
+      {level: 2, label: 'Extreme rainfall forecast',       all: [['rain_flag', '==', 1]]},
+      {level: 2, label: 'Severe drought (SPI)',            all: [['spi', '<=', -2]]},
+      {level: 1, label: 'Wet forecast',                    all: [['forecast', '>=', 1]]},
+      {level: 1, label: 'Wet combined window',             all: [['combined', '>=', 1]]},
+      {level: 1, label: 'Dry combined window',             all: [['combined', '<=', -1]]},
+      {level: 1, label: 'Moderate drought (SPI)',          all: [['spi', '<=', -1.5]]}
+    ]
+  },
+  temperature: {
+    absolute: [
+      {level: 3, label: 'Heatwave on a hot forecast',      all: [['hw_flag', '==', 1], ['forecast', '>=', 3]]},
+      {level: 2, label: 'Heatwave forecast',               all: [['hw_flag', '==', 1]]},
+      {level: 2, label: 'Very hot forecast',               all: [['forecast', '>=', 4]]},
+      {level: 1, label: 'Hot forecast',                    all: [['forecast', '>=', 2]]},
+      {level: 1, label: 'Hot combined window',             all: [['combined', '>=', 2]]},
+      {level: 1, label: 'Cold combined window',            all: [['combined', '<=', -3]]}
+    ],
+    standardized: [
+      {level: 3, label: 'Heatwave on a hot forecast',      all: [['hw_flag', '==', 1], ['forecast', '>=', 1.5]]},
+      {level: 2, label: 'Heatwave forecast',               all: [['hw_flag', '==', 1]]},
+      {level: 2, label: 'Very hot forecast',               all: [['forecast', '>=', 2]]},
+      {level: 1, label: 'Hot forecast',                    all: [['forecast', '>=', 1]]},
+      {level: 1, label: 'Hot combined window',             all: [['combined', '>=', 1]]},
+      {level: 1, label: 'Cold combined window',            all: [['combined', '<=', -1.5]]}
+    ]
+  }
+};
+
+
+// ===========================================================================================
+// RULE EVALUATION
+// ===========================================================================================
+
+function isMissing(value) {
+  return value === null || value === undefined || value === MISSING || (typeof value === 'number' && isNaN(value));
+}
+
+function ruleSet(ruleSets, parameter, anomalyMode) {
+  var byMode = (ruleSets || DEFAULT_RULE_SETS)[parameter] || {};
+  return byMode[anomalyMode] || byMode.absolute || [];
+}
+
+// Value of a condition field on a properties object
+function fieldValue(properties, field, anomalyMode) {
+  if (field === 'past' || field === 'forecast' || field === 'combined') {
+    return properties[field + (anomalyMode === 'standardized' ? '_z' : '_diff')];
+  }
+  return properties[field];
+}
+
+// One [field, operator, value] condition; missing values never match
+function conditionHolds(properties, condition, anomalyMode) {
+  var value = fieldValue(properties, condition[0], anomalyMode);
+  if (isMissing(value)) return false;
+  var target = condition[2];
+  switch (condition[1]) {
+    case '>':  return value > target;
+    case '>=': return value >= target;
+    case '<':  return value < target;
+    case '<=': return value <= target;
+    case '==': return value === target;
+    case '!=': return value !== target;
+  }
+  return false;
+}
+
+// Highest level whose rule matches: {level, label, color, reasons: [rule labels at that level]}
+function classify(properties, rules, anomalyMode) {
+  var level = 0;
+  var reasons = [];
+  rules.forEach(function(rule) {
+    var matched = rule.all.every(function(condition) { return conditionHolds(properties, condition, anomalyMode); });
+    if (!matched || rule.level < level) return;
+    if (rule.level > level) {
+      level = rule.level;
+      reasons = [];
+    }
+    reasons.push(rule.label);
+  });
+  return {level: level, label: LEVELS[level].label, color: LEVELS[level].color, reasons: reasons};
+}
+
+// Number of districts per level, indexed like LEVELS
+function countByLevel(levelValues) {
+  var counts = LEVELS.map(function() { return 0; });
+  levelValues.forEach(function(level) {
+    if (counts[level] !== undefined) counts[level] += 1;
+  });
+  return counts;
+}
+
+
+exports.LEVELS = LEVELS;
+exports.MISSING = MISSING;
+exports.DEFAULT_RULE_SETS = DEFAULT_RULE_SETS;
+
+exports.ruleSet = ruleSet;
+exports.fieldValue = fieldValue;
+exports.conditionHolds = conditionHolds;
+exports.classify = classify;
+exports.countByLevel = countByLevel;
@@ -0,0 +1,73 @@
+// ===========================================================================================
+// ADMIN LEVELS: AGGREGATION TESTS
+// District rows rolled up to divisions and provinces: grouping by the whole name path,
+// area-weighted values and differences rebuilt from them, worst-member flags.
+//
+//   npm test
+// ===========================================================================================
+
+var test = require('node:test');
+var assert = require('node:assert');
+var adminLevels = require('../Shared modules/admin_levels.js');
+
+var MISSING = adminLevels.MISSING;
+
+function district(province, division, name, area, combinedValue, combinedBaseline, extra) {
+  var p = {
+    NAME_1: province, NAME_2: division, NAME_3: name, district_name: name, area_km2: area,
+    combined_value: combinedValue, combined_baseline: combinedBaseline,
+    combined_diff: combinedValue === MISSING ? MISSING : combinedValue - combinedBaseline,
+    past_days: 30, forecast_days: 7, anomaly_mode: 'absolute'
+  };
+  Object.keys(extra || {}).forEach(function(key) { p[key] = extra[key]; });
+  return p;
+}
+
+var DISTRICTS = [
+  district('Punjab', 'Sadar', 'A', 100, 6, 2, {rain_flag: 1, rain_peak_ratio: 1.5, rain_peak_window: '2025-08-01'}),
+  district('Punjab', 'Sadar', 'B', 300, 2, 2, {rain_flag: 2, rain_peak_ratio: 3, rain_peak_window: '2025-08-03'}),
+  district('Sindh', 'Sadar', 'C', 200, 10, 4),
+  district('Sindh', 'Karachi', 'D', 50, MISSING, 4)
+];
+
+test('divisions with the same name in different provinces stay separate units', function() {
+  var units = adminLevels.aggregate(DISTRICTS, 2);
+  assert.deepStrictEqual(units.map(function(u) { return u.admin_key; }),
+                         ['Punjab / Sadar', 'Sindh / Karachi', 'Sindh / Sadar']);
+  assert.deepStrictEqual(units.map(function(u) { return [u.district_name, u.NAME_1, u.member_names]; }), [
+    ['Sadar', 'Punjab', 'A, B'],
+    ['Karachi', 'Sindh', 'D'],
+    ['Sadar', 'Sindh', 'C']
+  ]);
+  assert.strictEqual(units[0].NAME_3, undefined);
+});
+
+test('values and baselines are area-weighted and the difference is rebuilt from them', function() {
+  var punjab = adminLevels.aggregate(DISTRICTS, 2)[0];
+  assert.strictEqual(punjab.area_km2, 400);
+  assert.strictEqual(punjab.combined_value, (6 * 100 + 2 * 300) / 400);
+  assert.strictEqual(punjab.combined_baseline, 2);
+  assert.strictEqual(punjab.combined_diff, 1);
+  assert.strictEqual(punjab.past_days, 30);
+});
+
+test('the worst member sets the flags and its peak details come along', function() {
+  var punjab = adminLevels.aggregate(DISTRICTS, 2)[0];
+  assert.strictEqual(punjab.rain_flag, 2);
+  assert.strictEqual(punjab.rain_peak_window, '2025-08-03');
+});
+
+test('members without data are left out, and a unit of only those is missing', function() {
+  var sindh = adminLevels.aggregate(DISTRICTS, 1)[1];
+  assert.strictEqual(sindh.admin_key, 'Sindh');
+  assert.strictEqual(sindh.member_count, 2);
+  assert.strictEqual(sindh.area_km2, 250);
+  assert.strictEqual(sindh.combined_diff, 6);
+  assert.strictEqual(adminLevels.aggregate(DISTRICTS, 2)[1].combined_diff, MISSING);
+});
+
+test('the district level is returned as it is', function() {
+  assert.strictEqual(adminLevels.aggregate(DISTRICTS, adminLevels.DISTRICT_LEVEL), DISTRICTS);
+  assert.strictEqual(adminLevels.unitKey(DISTRICTS[0], 3), 'Punjab / Sadar / A');
+  assert.deepStrictEqual(adminLevels.pathFields(1), ['NAME_1']);
+});
@@ -0,0 +1,127 @@
+// ===========================================================================================
+// ALERTS: TRANSITION, HISTORY AND PAYLOAD TESTS
+// Districts entering, leaving or changing a warning state between two runs, the stored history
+// and the payload ids receivers deduplicate on.
+//
+//   npm test
+// ===========================================================================================
+
+var test = require('node:test');
+var assert = require('node:assert');
+var alerts = require('../Shared modules/alerts.js');
+
+var LABELS = ['Normal', 'Watch', 'Warning', 'Severe'];
+
+// One district row as the scheduled run builds it
+function row(id, name, level, anomalyClass) {
+  return {
+    GID_3: id,
+    district_name: name,
+    warning_level: level,
+    warning_label: level === alerts.MISSING ? 'No data' : LABELS[level],
+    anomaly_class: anomalyClass === undefined ? 0 : anomalyClass,
+    combined_diff: level === alerts.MISSING ? alerts.MISSING : level * 2
+  };
+}
+
+function eventsById(events) {
+  var byId = {};
+  events.forEach(function(e) { byId[e.current.GID_3] = e.event; });
+  return byId;
+}
+
+var RUN = {
+  name: 'EWS_precipitation_absolute_20250801',
+  parameter: 'precipitation',
+  anomalyMode: 'absolute',
+  redThreshold: 5,
+  blueThreshold: -5,
+  validity: alerts.validityWindow(new Date('2025-08-01T12:00:00Z'), 7),
+  previousDate: '2025-07-31',
+  pastStart: '2025-05-01',
+  pastEnd: '2025-07-31',
+  gfsRun: '2025-08-01T06:00:00Z'
+};
+
+test('the first run alerts every district already in a warning state', function() {
+  var current = [row('PAK.1.1.1_1', 'Swat', 2), row('PAK.1.1.2_1', 'Dir', 0), row('PAK.1.1.3_1', 'Chitral', 0, 1)];
+  assert.deepStrictEqual(eventsById(alerts.transitions(null, current)), {
+    'PAK.1.1.1_1': 'entered',
+    'PAK.1.1.3_1': 'entered'
+  });
+  assert.strictEqual(alerts.transitions([], current)[0].previous, null);
+});
+
+test('escalation and de-escalation are changes, leaving the warning state is left, steady districts are quiet', function() {
+  var previous = [
+    row('A', 'Escalates', 1), row('B', 'Eases', 3), row('C', 'Clears', 2),
+    row('D', 'Steady', 2), row('E', 'Still quiet', 0), row('F', 'Flips class', 1, 1)
+  ];
+  var current = [
+    row('A', 'Escalates', 3), row('B', 'Eases', 1), row('C', 'Clears', 0),
+    row('D', 'Steady', 2), row('E', 'Still quiet', 0), row('F', 'Flips class', 1, -1)
+  ];
+  assert.deepStrictEqual(eventsById(alerts.transitions(previous, current)), {
+    A: 'changed', B: 'changed', C: 'left', F: 'changed'
+  });
+});
+
+test('minLevel moves the warning state boundary', function() {
+  var events = alerts.transitions([row('A', 'Swat', 0)], [row('A', 'Swat', 1)], 2);
+  assert.deepStrictEqual(events, []);
+});
+
+test('districts without data give no event and keep their last known state', function() {
+  var previous = [row('A', 'Swat', 2), row('B', 'Dir', 0)];
+  var current = [row('A', 'Swat', alerts.MISSING), row('B', 'Dir', null)];
+  assert.deepStrictEqual(alerts.transitions(previous, current), []);
+
+  var history = alerts.recordRun({}, '2025-07-31', previous);
+  history = alerts.recordRun(history, '2025-08-01', current);
+  assert.strictEqual(history['2025-08-01'][0].warning_level, 2);
+  assert.strictEqual(history['2025-08-01'][1].warning_level, 0);
+
+  // A later run back at level 2 is not a new entry
+  var back = alerts.previousRun(history, '2025-08-02');
+  assert.deepStrictEqual(alerts.transitions(back.rows, [row('A', 'Swat', 2)]), []);
+});
+
+test('districts are matched by id, not by their repeated name', function() {
+  var previous = [row('PAK.2.1.1_1', 'Sadar', 2), row('PAK.4.3.1_1', 'Sadar', 0)];
+  var current = [row('PAK.2.1.1_1', 'Sadar', 2), row('PAK.4.3.1_1', 'Sadar', 2)];
+  assert.deepStrictEqual(eventsById(alerts.transitions(previous, current)), {'PAK.4.3.1_1': 'entered'});
+});
+
+test('recordRun replaces a rerun of the same date and keeps the newest runs', function() {
+  var history = {};
+  ['2025-07-29', '2025-07-30', '2025-07-31'].forEach(function(date) {
+    history = alerts.recordRun(history, date, [row('A', 'Swat', 1)], 2);
+  });
+  assert.deepStrictEqual(Object.keys(history).sort(), ['2025-07-30', '2025-07-31']);
+  history = alerts.recordRun(history, '2025-07-31', [row('A', 'Swat', 3)], 2);
+  assert.strictEqual(history['2025-07-31'][0].warning_level, 3);
+  assert.strictEqual(alerts.previousRun(history, '2025-07-31').date, '2025-07-30');
+  assert.strictEqual(alerts.previousRun(history, '2025-07-30'), null);
+});
+
+test('payload ids are unique per district id even when names repeat', function() {
+  var events = alerts.transitions([], [row('PAK.2.1.1_1', 'Sadar', 2), row('PAK.4.3.1_1', 'Sadar', 1)]);
+  var payloads = events.map(function(e) { return alerts.alertPayload(e, RUN); });
+  assert.deepStrictEqual(payloads.map(function(p) { return p.id; }), [
+    RUN.name + '/PAK.2.1.1_1/entered',
+    RUN.name + '/PAK.4.3.1_1/entered'
+  ]);
+  assert.strictEqual(payloads[0].district_id, 'PAK.2.1.1_1');
+  assert.strictEqual(payloads[0].level.previous_value, null);
+  assert.deepStrictEqual(payloads[0].anomalies, {combined_diff: 4});
+  assert.deepStrictEqual(payloads[0].validity, {issued: '2025-08-01T12:00:00.000Z', from: '2025-08-01', until: '2025-08-07'});
+});
+
+test('payloads and messages describe the level change', function() {
+  var events = alerts.transitions([row('A', 'Swat', 1)], [row('A', 'Swat', 3, 1)]);
+  var payload = alerts.alertPayload(events[0], RUN);
+  assert.strictEqual(payload.level.previous_label, 'Watch');
+  assert.strictEqual(payload.threshold_class.label, 'Above red threshold');
+  assert.strictEqual(alerts.alertMessage(payload).subject, 'Swat: precipitation changed to Severe');
+  assert.match(alerts.alertMessage(payload).text, /\(was Watch\)\. Combined anomaly \+6\.00 mm\/day/);
+});
@@ -0,0 +1,104 @@
+// ===========================================================================================
+// ANOMALY ENGINE: REGRESSION TESTS AGAINST RECORDED FIXTURES
+// Inputs and expected outputs live in fixtures/anomaly_engine.json; dates are 'YYYY-MM-DD'
+// (UTC) there and turned into Date objects here.
+//
+//   npm test
+// ===========================================================================================
+
+var test = require('node:test');
+var assert = require('node:assert');
+var engine = require('../Shared modules/anomaly_engine.js');
+var fixtures = require('./fixtures/anomaly_engine.json');
+
+var TOLERANCE = 1e-9;
+
+function utcDate(text) {
+  return new Date(text + 'T00:00:00Z');
+}
+
+function assertClose(actual, expected, label) {
+  assert.ok(Math.abs(actual - expected) < TOLERANCE, label + ': expected ' + expected + ', got ' + actual);
+}
+
+test('windowWeights splits windows across real calendar months', function() {
+  fixtures.windowWeights.forEach(function(c) {
+    assert.deepStrictEqual(engine.windowWeights(utcDate(c.start), c.days), c.expected, c.note);
+  });
+});
+
+test('weightFactors uses the real length of the first month', function() {
+  fixtures.weightFactors.forEach(function(c) {
+    var factors = engine.weightFactors(engine.windowWeights(utcDate(c.start), c.days), c.parameter);
+    assert.strictEqual(factors.length, c.expected.length, c.note);
+    factors.forEach(function(f, i) {
+      assert.strictEqual(f.month, c.expected[i].month, c.note);
+      assertClose(f.factor, c.expected[i].factor, c.note);
+    });
+  });
+});
+
+test('gfsStepPlan covers the horizon hourly then 3-hourly', function() {
+  fixtures.gfsStepPlan.forEach(function(c) {
+    var plan = engine.gfsStepPlan(c.forecastDays, c.offsetHours);
+    var label = c.forecastDays + ' days from hour ' + c.offsetHours;
+    assert.strictEqual(plan.length, c.expected.steps, label);
+    assert.strictEqual(plan[0].hour, c.expected.firstHour, label);
+    assert.strictEqual(plan[plan.length - 1].hour, c.expected.lastHour, label);
+    assert.strictEqual(plan.reduce(function(sum, step) { return sum + step.seconds; }, 0), c.expected.totalSeconds, label);
+  });
+});
+
+test('planDays is what an offset plan covers before forecast hour 384', function() {
+  fixtures.gfsStepPlan.forEach(function(c) {
+    var plan = engine.gfsStepPlan(c.forecastDays, c.offsetHours);
+    assertClose(engine.planDays(plan), c.expected.days, c.forecastDays + ' days from hour ' + c.offsetHours);
+  });
+});
+
+test('stepBands names one band per plan step', function() {
+  var plan = engine.gfsStepPlan(1);
+  var bands = engine.stepBands('rain_step_', plan);
+  assert.strictEqual(bands.length, plan.length);
+  assert.strictEqual(bands[0], 'rain_step_0');
+  assert.strictEqual(bands[bands.length - 1], 'rain_step_' + (plan.length - 1));
+});
+
+test('accumulateGfsPrecip sums rate times step length', function() {
+  fixtures.accumulateGfsPrecip.forEach(function(c) {
+    assertClose(engine.accumulateGfsPrecip(c.rates, c.plan), c.expected, c.note);
+  });
+});
+
+test('monthlyPastWindow averages whole ERA5-Land months', function() {
+  fixtures.monthlyPastWindow.forEach(function(c) {
+    var past = engine.monthlyPastWindow(c.era5, c.climatology, c.pastDays, c.parameter);
+    assertClose(past.value, c.expected.value, c.note + ' (value)');
+    assertClose(past.baseline, c.expected.baseline, c.note + ' (baseline)');
+  });
+});
+
+test('dailyPastWindow prorates the baseline per day', function() {
+  fixtures.dailyPastWindow.forEach(function(c) {
+    var daily = {endDate: utcDate(c.daily.endDate), value: c.daily.value};
+    var past = engine.dailyPastWindow(daily, c.climatology, c.pastDays, c.parameter);
+    assertClose(past.value, c.expected.value, c.note + ' (value)');
+    assertClose(past.baseline, c.expected.baseline, c.note + ' (baseline)');
+  });
+});
+
+test('computeDistrictAnomaly matches the recorded district results', function() {
+  fixtures.computeDistrictAnomaly.forEach(function(c) {
+    var input = JSON.parse(JSON.stringify(c.input));
+    input.startDate = utcDate(input.startDate);
+    if (input.pastDaily) input.pastDaily.endDate = utcDate(input.pastDaily.endDate);
+    if (input.gfsRatesEveryHour !== undefined) {
+      input.gfsRates = {};
+      engine.gfsStepPlan(input.forecastDays).forEach(function(step) { input.gfsRates[step.hour] = input.gfsRatesEveryHour; });
+    }
+    var result = engine.computeDistrictAnomaly(input);
+    Object.keys(c.expected).forEach(function(key) {
+      assertClose(result[key], c.expected[key], c.note + ' (' + key + ')');
+    });
+  });
+});
@@ -0,0 +1,61 @@
+// ===========================================================================================
+// BULLETIN: RANKING, SUMMARY AND HTML TESTS
+// A province's districts ranked on one layer, the fixed summary paragraph and the escaped page.
+//
+//   npm test
+// ===========================================================================================
+
+var test = require('node:test');
+var assert = require('node:assert');
+var bulletin = require('../Shared modules/bulletin.js');
+
+var DISTRICTS = [
+  {NAME_1: 'Sindh', district_name: 'Thatta', combined_diff: -6, warning_level: 1},
+  {NAME_1: 'Punjab', district_name: 'Lahore', combined_diff: 4, warning_level: 1},
+  {NAME_1: 'Sindh', district_name: 'Karachi', combined_diff: 6, warning_level: 2},
+  {NAME_1: 'Sindh', district_name: 'Dadu', combined_diff: bulletin.MISSING, warning_level: 0},
+  {NAME_1: 'Sindh', district_name: 'Badin', combined_diff: 1.5, warning_level: 0}
+];
+
+test('provinces are listed once, sorted, and inProvince keeps their districts', function() {
+  assert.deepStrictEqual(bulletin.provinces(DISTRICTS.concat([{district_name: 'No province'}])), ['Punjab', 'Sindh']);
+  assert.strictEqual(bulletin.inProvince(DISTRICTS, 'Sindh').length, 4);
+});
+
+test('rankDistricts skips missing values and breaks ties on the warning level', function() {
+  var sindh = bulletin.inProvince(DISTRICTS, 'Sindh');
+  var byMagnitude = bulletin.rankDistricts(sindh, 'combined_diff', true);
+  assert.deepStrictEqual(byMagnitude.map(function(p) { return p.district_name; }), ['Karachi', 'Thatta', 'Badin']);
+  var byValue = bulletin.rankDistricts(sindh, 'combined_diff', false, 2);
+  assert.deepStrictEqual(byValue.map(function(p) { return p.district_name; }), ['Karachi', 'Badin']);
+});
+
+test('summaryText counts the districts at Watch or above and names the top three', function() {
+  var sindh = bulletin.inProvince(DISTRICTS, 'Sindh');
+  var info = {
+    province: 'Sindh', issued: '2025-08-01', parameter: 'precipitation', pastDays: 30, forecastDays: 7,
+    levelCounts: [2, 1, 1, 0], levelLabels: ['Normal', 'Watch', 'Warning', 'Alert'],
+    ranked: bulletin.rankDistricts(sindh, 'combined_diff', true),
+    layerLabel: 'combined anomaly', property: 'combined_diff', unit: 'mm/day'
+  };
+  assert.strictEqual(bulletin.summaryText(info),
+    'Sindh, precipitation outlook issued 2025-08-01. Based on the past 30 days of ERA5-Land observations and the ' +
+    '7-day GFS forecast against the 2014-2024 baseline. 2 of 4 districts are at Watch or above (1 Warning, 1 Watch). ' +
+    'Largest values on combined anomaly: Karachi (+6.00 mm/day), Thatta (-6.00 mm/day), Badin (+1.50 mm/day).');
+
+  info.levelCounts = [4, 0, 0, 0];
+  info.ranked = [];
+  assert.match(bulletin.summaryText(info), /All 4 districts are at Normal\. $/);
+});
+
+test('bulletinHtml escapes every text it is given', function() {
+  var html = bulletin.bulletinHtml({
+    title: 'Sindh <bulletin>', subtitle: 'a & b', summary: '"quoted"', thumbUrl: 'https://x/thumb?a=1&b=2',
+    legend: [{label: 'Alert', color: '#d73027'}], columns: ['District'], rows: [['<Karachi>']], footer: 'f'
+  });
+  assert.match(html, /<title>Sindh &lt;bulletin&gt;<\/title>/);
+  assert.match(html, /src="https:\/\/x\/thumb\?a=1&amp;b=2"/);
+  assert.match(html, /<td>&lt;Karachi&gt;<\/td>/);
+  assert.match(html, /<p>&quot;quoted&quot;<\/p>/);
+  assert.strictEqual(html.indexOf('<Karachi>'), -1);
+});
@@ -0,0 +1,51 @@
+// ===========================================================================================
+// ENSEMBLE: MEMBER STATISTICS TESTS
+// Lags of the previous GFS runs, the mean / spread / threshold probabilities of the members
+// and the run-to-run trend.
+//
+//   npm test
+// ===========================================================================================
+
+var test = require('node:test');
+var assert = require('node:assert');
+var ensemble = require('../Shared modules/ensemble.js');
+
+var TOLERANCE = 1e-12;
+
+function assertClose(actual, expected, label) {
+  assert.ok(Math.abs(actual - expected) < TOLERANCE, label + ': expected ' + expected + ', got ' + actual);
+}
+
+test('lagHours counts back from the newest run, whatever the order', function() {
+  var newest = Date.UTC(2025, 7, 1, 12);
+  var starts = [newest - 6 * 3600000, newest, newest - 24 * 3600000, newest - 12 * 3600000];
+  assert.deepStrictEqual(ensemble.lagHours(starts), [6, 0, 24, 12]);
+});
+
+test('ensembleStats gives the mean, sample spread, range and threshold shares', function() {
+  var stats = ensemble.ensembleStats([2, 4, 6, 8], 6, 2);
+  assert.strictEqual(stats.count, 4);
+  assert.strictEqual(stats.mean, 5);
+  assertClose(stats.spread, Math.sqrt(20 / 3), 'spread');
+  assert.strictEqual(stats.min, 2);
+  assert.strictEqual(stats.max, 8);
+  assert.strictEqual(stats.probAbove, 0.5);
+  assert.strictEqual(stats.probBelow, 0.25);
+});
+
+test('missing members are left out of the probabilities', function() {
+  var stats = ensemble.ensembleStats([ensemble.MISSING, 10, null, -10, NaN], 5, -5);
+  assert.strictEqual(stats.count, 2);
+  assert.strictEqual(stats.probAbove, 0.5);
+  assert.strictEqual(stats.probBelow, 0.5);
+  assert.strictEqual(ensemble.ensembleStats([7], 5, -5).spread, 0);
+  assert.strictEqual(ensemble.ensembleStats([ensemble.MISSING, null], 5, -5), null);
+});
+
+test('runTrend compares the two newest runs within a tolerance', function() {
+  assert.deepStrictEqual(ensemble.runTrend([3, 1, 0], 0.5), {change: 2, direction: 1});
+  assert.deepStrictEqual(ensemble.runTrend([1, 3], 0.5), {change: -2, direction: -1});
+  assert.strictEqual(ensemble.runTrend([1.25, 1], 0.5).direction, 0);
+  assert.strictEqual(ensemble.runTrend([1, ensemble.MISSING], 0.5), null);
+  assert.strictEqual(ensemble.runTrend([1], 0.5), null);
+});
@@ -0,0 +1,111 @@
+// ===========================================================================================
+// EXTREMES: HEATWAVE SPELL AND EXTREME RAINFALL TESTS
+// Per-step GFS series on a 3-hourly plan, grouped into Pakistan (PKT) days or summed over
+// rolling windows against the return-period thresholds.
+//
+//   npm test
+// ===========================================================================================
+
+var test = require('node:test');
+var assert = require('node:assert');
+var extremes = require('../Shared modules/extremes.js');
+
+var RUN_START = Date.UTC(2025, 5, 1);
+
+// Steps every 3 h up to `lastHour`, as the GFS plan beyond hour 120
+function threeHourlyPlan(lastHour) {
+  var plan = [];
+  for (var hour = 3; hour <= lastHour; hour += 3) {
+    plan.push({hour: hour, seconds: 3 * 3600});
+  }
+  return plan;
+}
+
+// Step temperatures whose daily maximum is dayMax[local date]; every other step is 1 °C cooler
+function stepTemps(plan, dayMax) {
+  return plan.map(function(step, i) {
+    return dayMax[extremes.stepLocalDate(RUN_START, step.hour)] - (i % 2);
+  });
+}
+
+var PLAN = threeHourlyPlan(144);
+var DAY_MAX = {
+  '2025-06-01': 38, '2025-06-02': 41, '2025-06-03': 42, '2025-06-04': 43,
+  '2025-06-05': 39, '2025-06-06': 44, '2025-06-07': 45
+};
+
+test('steps fall on Pakistan days, five hours ahead of UTC', function() {
+  assert.strictEqual(extremes.stepLocalDate(RUN_START, 18), '2025-06-01');
+  assert.strictEqual(extremes.stepLocalDate(RUN_START, 19), '2025-06-02');
+});
+
+test('dailyMaxima keeps the warmest step of each day and skips missing steps', function() {
+  var temps = stepTemps(PLAN, DAY_MAX);
+  temps[0] = extremes.MISSING;
+  var daily = extremes.dailyMaxima(temps, PLAN, RUN_START);
+  assert.deepStrictEqual(daily.map(function(d) { return d.date; }), Object.keys(DAY_MAX));
+  assert.deepStrictEqual(daily.map(function(d) { return d.value; }), [38, 41, 42, 43, 39, 44, 45]);
+});
+
+test('detectHeatwave reports the first spell of at least three days above the threshold', function() {
+  var heatwave = extremes.detectHeatwave(stepTemps(PLAN, DAY_MAX), PLAN, RUN_START, 40);
+  assert.deepStrictEqual(heatwave, {
+    flag: 1, count: 1, onset: '2025-06-02', end: '2025-06-04', duration: 3, peak: 43, peakDate: '2025-06-04'
+  });
+  assert.strictEqual(extremes.detectHeatwave(stepTemps(PLAN, DAY_MAX), PLAN, RUN_START, 40, 2).count, 2);
+  assert.deepStrictEqual(extremes.detectHeatwave(stepTemps(PLAN, DAY_MAX), PLAN, RUN_START, 43), {flag: 0, count: 0});
+  assert.deepStrictEqual(extremes.detectHeatwave([], [], RUN_START, extremes.MISSING), {flag: 0, count: 0});
+});
+
+test('a missing day breaks a spell', function() {
+  var daily = [{date: '2025-06-01', value: 41}, {date: '2025-06-02', value: 41}, {date: '2025-06-04', value: 41}];
+  var spells = extremes.detectSpells(daily, 40, 2);
+  assert.strictEqual(spells.length, 1);
+  assert.strictEqual(spells[0].end, '2025-06-02');
+});
+
+test('heatwaveThreshold falls back to the first option', function() {
+  assert.strictEqual(extremes.heatwaveThreshold('abs45').absolute, 45);
+  assert.strictEqual(extremes.heatwaveThreshold('p99').value, 'p95');
+});
+
+// 10 mm in every step from hour 27 to 48: 80 mm inside one 24 h window
+function rainSteps(plan, mmPerStep) {
+  return plan.map(function(step) { return step.hour > 24 && step.hour <= 48 ? mmPerStep : 0; });
+}
+
+test('rollingMaximum sums complete windows only and keeps the earliest largest', function() {
+  var plan = threeHourlyPlan(180);
+  assert.deepStrictEqual(extremes.rollingMaximum(rainSteps(plan, 10), plan, 24), {total: 80, startHour: 24, endHour: 48});
+  assert.strictEqual(extremes.rollingMaximum(rainSteps(plan, 10), threeHourlyPlan(48), 72), null);
+});
+
+test('detectRainfallExtremes compares every window with the return-period thresholds', function() {
+  var plan = threeHourlyPlan(180);
+  var runStart = Date.UTC(2025, 7, 1);
+  var result = extremes.detectRainfallExtremes(rainSteps(plan, 10), plan, runStart, 5);
+  assert.strictEqual(result.flag, 1);
+  assert.strictEqual(result.returnPeriod, 5);
+  assert.deepStrictEqual(result.windows.map(function(w) { return [w.hours, w.total, w.threshold, w.exceeded]; }), [
+    [24, 80, 75, true], [72, 80, 110, false], [168, 80, 150, false]
+  ]);
+  assert.strictEqual(result.peak.hours, 24);
+  assert.strictEqual(result.peak.ratio, 80 / 75);
+  assert.strictEqual(result.peak.start, '2025-08-02 05:00');
+  assert.strictEqual(result.peak.end, '2025-08-03 05:00');
+});
+
+test('a total equal to the threshold is not an exceedance', function() {
+  var plan = threeHourlyPlan(180);
+  var result = extremes.detectRainfallExtremes(rainSteps(plan, 75 / 8), plan, Date.UTC(2025, 7, 1), 5);
+  assert.strictEqual(result.windows[0].total, 75);
+  assert.strictEqual(result.flag, 0);
+});
+
+test('short horizons drop the longer windows, unknown periods use the 2-year thresholds', function() {
+  var plan = threeHourlyPlan(48);
+  var result = extremes.detectRainfallExtremes(rainSteps(plan, 10), plan, Date.UTC(2025, 7, 1), 7);
+  assert.strictEqual(result.returnPeriod, 2);
+  assert.deepStrictEqual(result.windows.map(function(w) { return w.hours; }), [24]);
+  assert.strictEqual(result.windows[0].threshold, 50);
+});
@@ -0,0 +1,62 @@
+// ===========================================================================================
+// FLOOD EXTENT: JRC SERIES AND FLOOD EVENT CATALOGUE TESTS
+// Monthly inundation features turned into the chart series, its peak month and the year
+// range clamped to the JRC record; Global Flood Database events per district and year.
+//
+//   npm test
+// ===========================================================================================
+
+var test = require('node:test');
+var assert = require('node:assert');
+var floodExtent = require('../Shared modules/flood_extent.js');
+
+function monthFeature(year, month, inundatedKm2, nodataKm2) {
+  return {properties: {year: year, month: month, inundated_km2: inundatedKm2, nodata_km2: nodataKm2, district_km2: 500}};
+}
+
+test('seriesFromFeatures sorts the months and works out the shares of the district', function() {
+  var series = floodExtent.seriesFromFeatures([
+    monthFeature(2010, 9, 40, 0), monthFeature(2010, 8, 125, 50), monthFeature(2009, 12, 0, 500)
+  ]);
+  assert.deepStrictEqual(series.map(function(e) { return e.label; }), ['2009-12', '2010-08', '2010-09']);
+  assert.deepStrictEqual(series[1], {year: 2010, month: 8, label: '2010-08', inundatedKm2: 125, inundatedPct: 25, nodataPct: 10});
+  assert.strictEqual(series[0].nodataPct, 100);
+});
+
+test('peakMonth keeps the first month with the largest area', function() {
+  var series = floodExtent.seriesFromFeatures([monthFeature(2010, 8, 125, 0), monthFeature(2010, 9, 125, 0)]);
+  assert.strictEqual(floodExtent.peakMonth(series).label, '2010-08');
+  assert.strictEqual(floodExtent.peakMonth([]), null);
+  assert.strictEqual(floodExtent.percentOfArea(5, 0), 0);
+});
+
+test('clampToRecord trims the years to the JRC record', function() {
+  assert.deepStrictEqual(floodExtent.clampToRecord(1980, 2025), {startYear: floodExtent.GSW_FIRST_YEAR, endYear: floodExtent.GSW_LAST_YEAR});
+  assert.deepStrictEqual(floodExtent.clampToRecord(2010, 2012), {startYear: 2010, endYear: 2012});
+  assert.strictEqual(floodExtent.clampToRecord(2022, 2025), null);
+});
+
+function eventFeature(id, began, floodedKm2, severity, cause) {
+  return {properties: {id: id, began: began, ended: began, flooded_km2: floodedKm2, severity_km2_days: severity,
+                       dfo_main_cause: cause, dfo_dead: 0, dfo_displaced: 1000}};
+}
+
+test('eventsFromFeatures drops events that missed the district and sorts by start date', function() {
+  var events = floodExtent.eventsFromFeatures([
+    eventFeature(3, '2010-07-28', 200, 1000, 'Monsoonal rain'),
+    eventFeature(2, '2005-03-01', 0, 0, 'Snowmelt'),
+    eventFeature(1, '2003-08-10', 50, 75, null)
+  ]);
+  assert.deepStrictEqual(events.map(function(e) { return e.id; }), [1, 3]);
+  assert.strictEqual(events[0].cause, 'unknown');
+  assert.strictEqual(events[0].meanDuration, 1.5);
+  assert.strictEqual(events[1].year, 2010);
+  assert.strictEqual(events[1].severity, 1000);
+});
+
+test('eventsPerYear counts events by the year they began', function() {
+  var events = floodExtent.eventsFromFeatures([
+    eventFeature(1, '2010-07-28', 200, 1000), eventFeature(2, '2010-09-01', 20, 20), eventFeature(3, '2011-08-15', 10, 30)
+  ]);
+  assert.deepStrictEqual(floodExtent.eventsPerYear(events), {2010: 2, 2011: 1});
+});
@@ -0,0 +1,55 @@
+// ===========================================================================================
+// FLOOD RISK: COMPOUND INDEX TESTS
+// index = forecast score × (floor + (1 - floor) × wetness score), worked by hand with the
+// default references (forecast 10 mm/day, past 5 mm/day, soil 2σ, floor 0.3).
+//
+//   npm test
+// ===========================================================================================
+
+var test = require('node:test');
+var assert = require('node:assert');
+var floodRisk = require('../Shared modules/flood_risk.js');
+
+var TOLERANCE = 1e-12;
+
+function assertClose(actual, expected, label) {
+  assert.ok(Math.abs(actual - expected) < TOLERANCE, label + ': expected ' + expected + ', got ' + actual);
+}
+
+test('a wet past multiplies the forecast score', function() {
+  var risk = floodRisk.compoundFloodRisk({forecast_diff: 5, past_diff: 2.5}, 'absolute');
+  assertClose(risk.forecastScore, 0.5, 'forecast');
+  assertClose(risk.wetnessFactor, 0.65, 'wetness factor');
+  assertClose(risk.index, 0.325, 'index');
+  assert.strictEqual(risk.label, 'Moderate');
+  assert.strictEqual(risk.soilScore, null);
+});
+
+test('a dry past keeps the wetness floor and a missing forecast gives no risk', function() {
+  var dry = floodRisk.compoundFloodRisk({forecast_diff: 20, past_diff: -3}, 'absolute');
+  assertClose(dry.index, 0.3, 'floor');
+  assert.strictEqual(floodRisk.compoundFloodRisk({forecast_diff: floodRisk.MISSING, past_diff: 5}, 'absolute').index, 0);
+});
+
+test('the rainfall peak ratio and soil moisture feed their components', function() {
+  var risk = floodRisk.compoundFloodRisk({forecast_diff: 2, rain_peak_ratio: 1.2, past_diff: 2.5, soil_z: 2}, 'absolute');
+  assert.strictEqual(risk.peakScore, 1);
+  assert.strictEqual(risk.forecastScore, 1);
+  assert.strictEqual(risk.soilScore, 1);
+  assertClose(risk.wetnessScore, 0.75, 'wetness');
+  assertClose(risk.index, 0.825, 'index');
+  assert.strictEqual(risk.label, 'Very high');
+});
+
+test('standardized mode reads the z-scores against the σ references', function() {
+  var risk = floodRisk.compoundFloodRisk({forecast_z: 1.5, past_z: 2, forecast_diff: 0, past_diff: 0}, 'standardized');
+  assertClose(risk.forecastAnomalyScore, 0.5, 'forecast');
+  assertClose(risk.precipScore, 1, 'past');
+  assertClose(risk.index, 0.5, 'index');
+});
+
+test('class limits belong to the class above', function() {
+  assert.deepStrictEqual([0, 0.2499, 0.25, 0.5, 0.75, 1].map(floodRisk.classIndex), [0, 0, 1, 2, 3, 3]);
+  assert.strictEqual(floodRisk.anomalyScore(null, 10), 0);
+  assert.strictEqual(floodRisk.anomalyScore(25, 10), 1);
+});
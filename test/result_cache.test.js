@@ -0,0 +1,40 @@
+// ===========================================================================================
+// RESULT CACHE: KEY TESTS
+// A run's key must change with anything that changes the per-district values.
+//
+//   npm test
+// ===========================================================================================
+
+var test = require('node:test');
+var assert = require('node:assert');
+var resultCache = require('../Shared modules/result_cache.js');
+var pipeline = require('../Shared modules/pipeline.js');
+
+function run(changes) {
+  var forecastWindow = pipeline.forecastWindow(new Date('2025-07-30T12:00:00Z'), 7);
+  var base = {
+    parameter: 'precipitation',
+    anomalyMode: 'absolute',
+    pastMode: 'monthly',
+    pastStart: '2025-05-01',
+    pastEnd: '2025-07-01',
+    forecastStart: forecastWindow.start,
+    forecastDays: forecastWindow.days,
+    gfsRunMillis: Date.UTC(2025, 6, 30, 6),
+    settings: {spi: true}
+  };
+  Object.keys(changes || {}).forEach(function(name) { base[name] = changes[name]; });
+  return base;
+}
+
+test('cacheKey is stable for the same run', function() {
+  assert.strictEqual(resultCache.cacheKey(run()), resultCache.cacheKey(run()));
+  assert.strictEqual(run().forecastStart, '2025-07-30');
+});
+
+test('cacheKey changes with the GFS run hour and the forecast start', function() {
+  var key = resultCache.cacheKey(run());
+  assert.notStrictEqual(resultCache.cacheKey(run({gfsRunMillis: Date.UTC(2025, 6, 30, 12)})), key);
+  assert.notStrictEqual(resultCache.cacheKey(run({forecastStart: '2025-07-31'})), key);
+  assert.notStrictEqual(resultCache.cacheKey(run({settings: {spi: false}})), key);
+});
@@ -0,0 +1,67 @@
+// ===========================================================================================
+// RESULTS EXPORT: TABLE ROW AND METADATA TESTS
+// Flattened rows, the column order of the CSV and the run metadata stamped on every row.
+//
+//   npm test
+// ===========================================================================================
+
+var test = require('node:test');
+var assert = require('node:assert');
+var resultsExport = require('../Shared modules/results_export.js');
+
+var RUN = {
+  parameter: 'precipitation',
+  anomalyMode: 'absolute',
+  redThreshold: 5,
+  blueThreshold: -5,
+  gfsRunMillis: Date.UTC(2025, 7, 1, 6),
+  pastMode: 'monthly',
+  pastStart: '2024-11-01',
+  pastEnd: '2025-01-31',
+  pastDays: 90,
+  forecastDays: 7,
+  generated: new Date('2025-08-01T09:30:15Z')
+};
+
+test('runMetadata lists the ERA5-Land months of a monthly past window only', function() {
+  var metadata = resultsExport.runMetadata(RUN);
+  assert.strictEqual(metadata.gfs_run, '2025-08-01T06:00:00.000Z');
+  assert.strictEqual(metadata.era5_months, '2024-11;2024-12;2025-01');
+  assert.strictEqual(metadata.generated, '2025-08-01T09:30:15.000Z');
+  assert.deepStrictEqual(Object.keys(metadata), resultsExport.METADATA_COLUMNS);
+
+  var daily = {};
+  Object.keys(RUN).forEach(function(key) { daily[key] = RUN[key]; });
+  daily.pastMode = 'daily';
+  daily.gfsRunMillis = null;
+  assert.strictEqual(resultsExport.runMetadata(daily).era5_months, '');
+  assert.strictEqual(resultsExport.runMetadata(daily).gfs_run, '');
+});
+
+test('flattenProperties joins lists, drops objects, empties and GADM codes, and adds the metadata', function() {
+  var metadata = resultsExport.runMetadata(RUN);
+  var row = resultsExport.flattenProperties({
+    district_name: 'Swat', GID_3: 'PAK.1.1.1_1', NAME_1: 'Khyber Pakhtunkhwa', debug: 'x',
+    warning_reasons: ['Wet forecast', 'Wet combined window'], combined_diff: 0, spi: null,
+    rain_windows: {24: 80}
+  }, metadata);
+  assert.deepStrictEqual(Object.keys(row).slice(0, 3), ['district_name', 'warning_reasons', 'combined_diff']);
+  assert.strictEqual(row.warning_reasons, 'Wet forecast;Wet combined window');
+  assert.strictEqual(row.combined_diff, 0);
+  assert.strictEqual(row.parameter, 'precipitation');
+  ['GID_3', 'NAME_1', 'debug', 'spi', 'rain_windows'].forEach(function(key) {
+    assert.strictEqual(key in row, false, key);
+  });
+});
+
+test('columnsFor puts metadata first, then known results, then the rest sorted', function() {
+  var columns = resultsExport.columnsFor([
+    {zeta: 1, combined_diff: 2, parameter: 'precipitation'},
+    {district_name: 'Swat', alpha: 3, generated: 'now'}
+  ]);
+  assert.deepStrictEqual(columns, ['parameter', 'generated', 'district_name', 'combined_diff', 'alpha', 'zeta']);
+});
+
+test('fileName stamps the generation time to the minute', function() {
+  assert.strictEqual(resultsExport.fileName(resultsExport.runMetadata(RUN)), 'EWS_precipitation_absolute_20250801T0930Z');
+});
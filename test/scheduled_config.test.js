@@ -0,0 +1,91 @@
+// ===========================================================================================
+// SCHEDULED RUNS: CONFIGURATION TESTS
+// Partial JSON configs keep the nested defaults they do not set, and bad ones are reported
+// before the run starts.
+//
+//   npm test
+// ===========================================================================================
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var runConfig = require('../Scheduled runs/config.js');
+
+var tempDirs = [];
+
+test.after(function() {
+  tempDirs.forEach(function(dir) { fs.rmSync(dir, {recursive: true, force: true}); });
+});
+
+// Path of a temporary JSON config holding `overrides`, removed once the tests finish
+function configFile(overrides) {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ews-config-'));
+  tempDirs.push(dir);
+  var file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, JSON.stringify(overrides));
+  return file;
+}
+
+test('loadConfig without a file returns a copy of the defaults', function() {
+  var config = runConfig.loadConfig();
+  assert.deepStrictEqual(config, runConfig.DEFAULT_CONFIG);
+  config.thresholds.precipitation.red = 99;
+  assert.strictEqual(runConfig.DEFAULT_CONFIG.thresholds.precipitation.red, 5);
+  assert.deepStrictEqual(runConfig.validateConfig(config), []);
+});
+
+test('loadConfig merges nested thresholds key by key', function() {
+  var config = runConfig.loadConfig(configFile({thresholds: {precipitation: {red: 10}}}));
+  assert.deepStrictEqual(config.thresholds, {
+    precipitation: {red: 10, blue: -5},
+    temperature: {red: 2, blue: -2}
+  });
+  assert.deepStrictEqual(runConfig.validateConfig(config), []);
+});
+
+test('loadConfig replaces lists instead of merging them', function() {
+  var config = runConfig.loadConfig(configFile({parameters: ['temperature']}));
+  assert.deepStrictEqual(config.parameters, ['temperature']);
+});
+
+test('validateConfig names every bad setting', function() {
+  var config = runConfig.loadConfig(configFile({
+    anomalyMode: 'relative',
+    thresholds: {precipitation: {red: 'high'}},
+    issueDates: ['20/08/2022'],
+    forecastDay: 7
+  }));
+  var problems = runConfig.validateConfig(config);
+  assert.deepStrictEqual(problems, [
+    'unknown setting "forecastDay"',
+    'anomalyMode must be absolute or standardized',
+    'issueDates must be a list of YYYY-MM-DD dates',
+    'thresholds.precipitation needs numeric red and blue'
+  ]);
+});
+
+test('a receivers-only alerts config keeps the default state directory and limits', function() {
+  var receivers = [{url: 'http://localhost:8787/alerts', format: 'batch'}];
+  var config = runConfig.loadConfig(configFile({alerts: {receivers: receivers}}));
+  assert.deepStrictEqual(config.alerts, {
+    minLevel: runConfig.DEFAULT_CONFIG.alerts.minLevel,
+    stateDir: 'alert_state',
+    keepRuns: runConfig.DEFAULT_CONFIG.alerts.keepRuns,
+    receivers: receivers
+  });
+  assert.deepStrictEqual(runConfig.validateConfig(config), []);
+  // The same merge without a file, and the defaults are left as they were
+  assert.deepStrictEqual(runConfig.mergeConfig(runConfig.DEFAULT_CONFIG, {alerts: {receivers: receivers}}).alerts,
+                         config.alerts);
+  assert.deepStrictEqual(runConfig.DEFAULT_CONFIG.alerts.receivers, []);
+});
+
+test('validateConfig reports an alerts block without a state directory', function() {
+  var config = runConfig.loadConfig(configFile({alerts: {stateDir: '', receivers: [{url: 'localhost:8787'}]}}));
+  assert.deepStrictEqual(runConfig.validateConfig(config), [
+    'alerts.stateDir must be a directory path',
+    'alerts.receivers[0].url must be an http(s) URL'
+  ]);
+});
@@ -0,0 +1,68 @@
+// ===========================================================================================
+// SPI: DISTRIBUTION, GAMMA FIT AND CATEGORY TESTS
+// Expected values come from closed forms (integer and half-integer shapes of the incomplete
+// gamma, the exponential case of the SPI) and from Thom's estimate worked by hand.
+//
+//   npm test
+// ===========================================================================================
+
+var test = require('node:test');
+var assert = require('node:assert');
+var spi = require('../Shared modules/spi.js');
+
+var TOLERANCE = 1e-8;
+
+function assertClose(actual, expected, label) {
+  assert.ok(Math.abs(actual - expected) < TOLERANCE, label + ': expected ' + expected + ', got ' + actual);
+}
+
+test('lnGamma, gammaP and normInv match their closed forms', function() {
+  assertClose(spi.lnGamma(5), Math.log(24), 'ln 4!');
+  assertClose(spi.lnGamma(0.5), Math.log(Math.sqrt(Math.PI)), 'ln Γ(1/2)');
+  assertClose(spi.gammaP(1, 0.7), 1 - Math.exp(-0.7), 'P(1, x) below a + 1');
+  assertClose(spi.gammaP(2, 3), 1 - Math.exp(-3) * 4, 'P(2, x) above a + 1');
+  assertClose(spi.gammaP(0.5, 2.5), 0.9746526813225318, 'P(1/2, x) = erf(√x)');
+  assert.strictEqual(spi.gammaP(2, 0), 0);
+  assertClose(spi.normInv(0.975), 1.959963984540054, 'upper 2.5%');
+  assertClose(spi.normInv(0.01), -2.326347874040841, 'lower tail');
+  assert.strictEqual(spi.normInv(0.5), 0);
+});
+
+test('gammaFit uses Thom\'s estimate on the wet totals and counts the dry share', function() {
+  var fit = spi.gammaFit([12.0, 0, 35.5, 8.2, spi.MISSING, 60.1, 22.7, 0, 15.3, null]);
+  assertClose(fit.alpha, 2.3639095743864496, 'alpha');
+  assertClose(fit.beta, 10.843618390092795, 'beta');
+  assert.strictEqual(fit.q, 0.25);
+});
+
+test('gammaFit needs three varying wet totals', function() {
+  assert.strictEqual(spi.gammaFit([0, 0, 5, 7]), null);
+  assert.strictEqual(spi.gammaFit([4, 4, 4, 4]), null);
+});
+
+test('spiValue maps the mixed distribution onto a standard normal, clamped to ±3', function() {
+  var fit = {alpha: 1, beta: 10, q: 0.2};
+  assertClose(spi.spiValue(10 * Math.log(2), {alpha: 1, beta: 10, q: 0}), 0, 'median');
+  assertClose(spi.spiValue(10, fit), 0.540855615019536, 'one scale above');
+  assertClose(spi.spiValue(0, fit), -0.8416212335729144, 'dry month at the dry share');
+  assert.strictEqual(spi.spiValue(1e4, fit), spi.SPI_LIMIT);
+  assert.strictEqual(spi.spiValue(spi.MISSING, fit), null);
+  assert.strictEqual(spi.spiValue(5, null), null);
+});
+
+test('accumulate leaves the first months and windows with a gap empty', function() {
+  var series = [3, 1, 2, spi.MISSING, 4, 5].map(function(value, i) { return {year: 2020, month: i, value: value}; });
+  assert.deepStrictEqual(spi.accumulate(series, 2).map(function(t) { return t.value; }), [null, 4, 3, null, null, 9]);
+});
+
+test('categoryIndex rounds to two decimals before the WMO class limits', function() {
+  assert.deepStrictEqual([-2, -1.995, -1.5, -1.0, 0.99, 0.995, 1.99, 2].map(spi.categoryIndex), [0, 1, 1, 2, 3, 4, 5, 6]);
+  assert.strictEqual(spi.categoryIndex(spi.MISSING), null);
+  assert.strictEqual(spi.category(-2.4).label, 'Extremely dry');
+});
+
+test('accumulationYears starts with the first window inside the record', function() {
+  var years = spi.accumulationYears(1984, 1990, 1, 3);
+  assert.deepStrictEqual(years, [1985, 1986, 1987, 1988, 1989, 1990]);
+  assert.strictEqual(spi.accumulationYears(1984, 1990, 2, 3)[0], 1984);
+});
@@ -0,0 +1,62 @@
+// ===========================================================================================
+// VERIFICATION: CONTINGENCY AND SCORE TESTS
+// Warned / observed outcomes, the 2x2 table and its categorical scores, and the continuous
+// scores of forecast vs observed anomalies, including the scores left null when their
+// denominator is zero.
+//
+//   npm test
+// ===========================================================================================
+
+var test = require('node:test');
+var assert = require('node:assert');
+var verification = require('../Shared modules/verification.js');
+
+test('outcome and outcomeIndex cover the four cells', function() {
+  assert.deepStrictEqual([[true, true], [false, true], [true, false], [false, false]].map(function(pair) {
+    return verification.outcomeIndex(verification.outcome(pair[0], pair[1]));
+  }), [0, 1, 2, 3]);
+  assert.strictEqual(verification.outcomeIndex('unknown'), -1);
+});
+
+test('contingency counts every pair once', function() {
+  var table = verification.contingency([
+    {warned: true, observed: true}, {warned: true, observed: true}, {warned: false, observed: true},
+    {warned: true, observed: false}, {warned: false, observed: false}, {warned: false, observed: false}
+  ]);
+  assert.deepStrictEqual(table, {hits: 2, misses: 1, falseAlarms: 1, correctNegatives: 2});
+  assert.deepStrictEqual(verification.categoricalScores(table), {pod: 2 / 3, far: 1 / 3, csi: 0.5, frequencyBias: 1});
+});
+
+test('categoricalScores are null where nothing was observed or warned', function() {
+  assert.deepStrictEqual(verification.categoricalScores({hits: 0, misses: 0, falseAlarms: 0, correctNegatives: 5}),
+                         {pod: null, far: null, csi: null, frequencyBias: null});
+  assert.deepStrictEqual(verification.categoricalScores({hits: 0, misses: 0, falseAlarms: 3, correctNegatives: 1}),
+                         {pod: null, far: 1, csi: 0, frequencyBias: null});
+  assert.deepStrictEqual(verification.categoricalScores({hits: 0, misses: 2, falseAlarms: 0, correctNegatives: 1}),
+                         {pod: 0, far: null, csi: 0, frequencyBias: 0});
+});
+
+test('continuousScores skip pairs with a missing side', function() {
+  var scores = verification.continuousScores([
+    {forecast: 2, observed: 1}, {forecast: 4, observed: 5}, {forecast: -1, observed: -2},
+    {forecast: verification.MISSING, observed: 3}, {forecast: 1, observed: null}
+  ]);
+  assert.strictEqual(scores.n, 3);
+  assert.strictEqual(scores.bias, 1 / 3);
+  assert.strictEqual(scores.rmse, 1);
+  assert.strictEqual(scores.mae, 1);
+  assert.strictEqual(scores.anomalyCorrelation, 24 / Math.sqrt(21 * 30));
+});
+
+test('continuousScores are null without pairs, the correlation also without variation', function() {
+  assert.deepStrictEqual(verification.continuousScores([]), {n: 0, bias: null, rmse: null, mae: null, anomalyCorrelation: null});
+  var flat = verification.continuousScores([{forecast: 0, observed: 2}, {forecast: 0, observed: -1}]);
+  assert.strictEqual(flat.bias, -0.5);
+  assert.strictEqual(flat.anomalyCorrelation, null);
+});
+
+test('thresholdPairs counts events at or beyond the threshold, both ways', function() {
+  var pairs = [{forecast: 3, observed: 2.9}, {forecast: -3, observed: -3.5}, {forecast: verification.MISSING, observed: 5}];
+  assert.deepStrictEqual(verification.thresholdPairs(pairs, 3), [{warned: true, observed: false}, {warned: false, observed: false}]);
+  assert.deepStrictEqual(verification.thresholdPairs(pairs, -3), [{warned: false, observed: false}, {warned: true, observed: true}]);
+});
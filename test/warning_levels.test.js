@@ -0,0 +1,70 @@
+// ===========================================================================================
+// WARNING LEVELS: RULE BOUNDARY TESTS
+// The default rule sets at and just below their thresholds, the anomaly field each mode reads
+// and the reasons kept for the winning level.
+//
+//   npm test
+// ===========================================================================================
+
+var test = require('node:test');
+var assert = require('node:assert');
+var levels = require('../Shared modules/warning_levels.js');
+
+var PRECIP_ABSOLUTE = levels.ruleSet(levels.DEFAULT_RULE_SETS, 'precipitation', 'absolute');
+var PRECIP_STANDARDIZED = levels.ruleSet(levels.DEFAULT_RULE_SETS, 'precipitation', 'standardized');
+var TEMP_ABSOLUTE = levels.ruleSet(levels.DEFAULT_RULE_SETS, 'temperature', 'absolute');
+
+function level(properties, rules, anomalyMode) {
+  return levels.classify(properties, rules, anomalyMode || 'absolute').level;
+}
+
+test('each threshold is inclusive', function() {
+  assert.strictEqual(level({past_diff: 2, forecast_diff: 10}, PRECIP_ABSOLUTE), 3);
+  assert.strictEqual(level({past_diff: 1.99, forecast_diff: 10}, PRECIP_ABSOLUTE), 2);
+  assert.strictEqual(level({past_diff: 1, forecast_diff: 5}, PRECIP_ABSOLUTE), 2);
+  assert.strictEqual(level({past_diff: 1, forecast_diff: 4.99}, PRECIP_ABSOLUTE), 1);
+  assert.strictEqual(level({forecast_diff: 3}, PRECIP_ABSOLUTE), 1);
+  assert.strictEqual(level({forecast_diff: 2.99, combined_diff: 1.99}, PRECIP_ABSOLUTE), 0);
+  assert.strictEqual(level({combined_diff: -2}, PRECIP_ABSOLUTE), 1);
+  assert.strictEqual(level({spi: -2}, PRECIP_ABSOLUTE), 2);
+  assert.strictEqual(level({spi: -1.5}, PRECIP_ABSOLUTE), 1);
+  assert.strictEqual(level({spi: -1.49}, PRECIP_ABSOLUTE), 0);
+});
+
+test('hazard flags raise the level on their own and with a wet past', function() {
+  assert.strictEqual(level({rain_flag: 1}, PRECIP_ABSOLUTE), 2);
+  assert.strictEqual(level({rain_flag: 1, past_diff: 2}, PRECIP_ABSOLUTE), 3);
+  assert.strictEqual(level({rain_flag: 0, past_diff: 2}, PRECIP_ABSOLUTE), 0);
+  assert.strictEqual(level({hw_flag: 1, forecast_diff: 3}, TEMP_ABSOLUTE), 3);
+  assert.strictEqual(level({hw_flag: 1, forecast_diff: 2.99}, TEMP_ABSOLUTE), 2);
+  assert.strictEqual(level({combined_diff: -3}, TEMP_ABSOLUTE), 1);
+});
+
+test('standardized mode reads the z-scores, absolute mode the differences', function() {
+  var properties = {past_diff: 0, forecast_diff: 0, past_z: 1, forecast_z: 2};
+  assert.strictEqual(level(properties, PRECIP_STANDARDIZED, 'standardized'), 3);
+  assert.strictEqual(level(properties, PRECIP_ABSOLUTE, 'absolute'), 0);
+  assert.strictEqual(levels.fieldValue(properties, 'forecast', 'standardized'), 2);
+  assert.strictEqual(levels.fieldValue({spi: -1}, 'spi', 'standardized'), -1);
+});
+
+test('missing values never match', function() {
+  assert.strictEqual(level({past_diff: levels.MISSING, forecast_diff: 10}, PRECIP_ABSOLUTE), 1);
+  assert.strictEqual(level({combined_diff: levels.MISSING, spi: null}, PRECIP_ABSOLUTE), 0);
+  assert.strictEqual(levels.conditionHolds({spi: NaN}, ['spi', '<=', -2], 'absolute'), false);
+});
+
+test('classify keeps every reason at the winning level only', function() {
+  var warning = levels.classify({past_diff: 1, forecast_diff: 6, rain_flag: 1, combined_diff: 3}, PRECIP_ABSOLUTE, 'absolute');
+  assert.deepStrictEqual(warning, {
+    level: 2, label: 'Warning', color: '#fc8d59',
+    reasons: ['Wet past and wet forecast', 'Extreme rainfall forecast']
+  });
+  assert.deepStrictEqual(levels.classify({}, PRECIP_ABSOLUTE, 'absolute').reasons, []);
+});
+
+test('ruleSet falls back to the absolute rules, countByLevel ignores unknown levels', function() {
+  assert.strictEqual(levels.ruleSet(levels.DEFAULT_RULE_SETS, 'temperature', 'relative'), TEMP_ABSOLUTE);
+  assert.deepStrictEqual(levels.ruleSet(levels.DEFAULT_RULE_SETS, 'wind', 'absolute'), []);
+  assert.deepStrictEqual(levels.countByLevel([0, 2, 2, 3, levels.MISSING]), [1, 0, 2, 1]);
+});